@@ -0,0 +1,88 @@
+/**
+ * Service worker: keeps the app shell (index.html, the hashed bundles it references,
+ * the manifest and icons) in Cache Storage so the UI opens without a network. API
+ * traffic is never cached; the backend lives on another origin or under /api.
+ */
+
+const CACHE = 'ultradownloader-shell-v1';
+const SHELL = ['/', '/manifest.webmanifest', '/icon.svg', '/icon-192.png', '/icon-512.png'];
+
+// Vite's build output: /assets/name-hash.ext never changes content under the same URL
+const isHashedAsset = (url) => url.pathname.startsWith('/assets/');
+
+// The bundles index.html loads are only known after the build, so read them from the page
+const referencedAssets = (html) => [...html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)].map(match => match[1]);
+
+// Stores a fresh copy of index.html and drops bundles that it no longer references
+const storeShell = async (response) => {
+  const cache = await caches.open(CACHE);
+  const current = new Set(referencedAssets(await response.clone().text()));
+  await cache.put('/', response);
+
+  const keys = await cache.keys();
+  await Promise.all(keys
+    .filter(request => isHashedAsset(new URL(request.url)) && !current.has(new URL(request.url).pathname))
+    .map(request => cache.delete(request)));
+  return current;
+};
+
+const cacheShell = async () => {
+  const response = await fetch('/', { cache: 'no-cache' });
+  if (!response.ok) throw new Error(`App shell request failed with status ${response.status}`);
+
+  const assets = await storeShell(response);
+  const cache = await caches.open(CACHE);
+  await cache.addAll([...SHELL.slice(1), ...assets]);
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(cacheShell().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names.filter(name => name !== CACHE).map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+// Pages: network first so deployments show up immediately, the cached shell when offline
+const handleNavigation = async (request) => {
+  try {
+    const response = await fetch(request);
+    // Every route renders the same index.html; keep the newest one for offline starts
+    if (response.ok && new URL(request.url).pathname === '/') {
+      storeShell(response.clone()).catch(() => {});
+    }
+    return response;
+  } catch {
+    const cached = await caches.match('/');
+    return cached || Response.error();
+  }
+};
+
+// Hashed bundles and icons: cache first, filling the cache on a miss
+const handleAsset = async (request) => {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(CACHE);
+    cache.put(request, response.clone());
+  }
+  return response;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request));
+  } else if (isHashedAsset(url) || SHELL.includes(url.pathname)) {
+    event.respondWith(handleAsset(request));
+  }
+});
@@ -1,310 +1,552 @@
-import React, { useState } from 'react';
-import { Download, Video, Loader2, CheckCircle, XCircle, Info, Music, Clock, Gauge } from 'lucide-react';
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { Video, Loader2, CheckCircle, XCircle, Info, History, ClipboardPaste, Settings, Keyboard } from 'lucide-react';
+import { useDownloadQueue } from './hooks/useDownloadQueue';
+import { useDownloadHistory } from './hooks/useDownloadHistory';
+import { useBackendStatus } from './hooks/useBackendStatus';
+import { useKeyboardShortcuts } from './hooks/useKeyboardShortcuts';
+import DownloadQueue from './components/DownloadQueue';
+import PlaylistView from './components/PlaylistView';
+import HistoryPanel from './components/HistoryPanel';
+import FormatExplorer from './components/FormatExplorer';
+import AudioOptions from './components/AudioOptions';
+import TrimEditor from './components/TrimEditor';
+import SubtitlesPanel from './components/SubtitlesPanel';
+import ThemeToggle from './components/ThemeToggle';
+import LanguageSwitcher from './components/LanguageSwitcher';
+import SettingsPanel from './components/SettingsPanel';
+import BackendStatus from './components/BackendStatus';
+import VideoDetails from './components/VideoDetails';
+import ShortcutsDialog from './components/ShortcutsDialog';
+import ErrorNotice from './components/ErrorNotice';
+import { useTranslation } from './hooks/useTranslation';
+import { useSettings } from './hooks/useSettings';
+import { formatBytes, formatDuration, formatNumber, formatTimestamp, formatUploadDate } from './utils/format';
+import { applyFilenameTemplate, templateDate } from './utils/filename';
+import { bestAudioFormat, bestMatchFormat, downloadSize, formatKind, resolutionHeight } from './utils/formats';
+import { validateClip } from './utils/clip';
+import { availableSpace, pickSaveTarget, supportsFilePicker } from './utils/fileSaver';
+import { findYouTubeUrl, parseYouTubeUrl } from './utils/youtubeUrl';
+import { isHttpUrl } from './utils/description';
+import { describeFailure } from './utils/apiError';
+import { getVideoInfo } from './services/downloaderApi';
 
-// Simplified API URL definition
-const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
+const canReadClipboard = () => Boolean(navigator.clipboard?.readText);
+
+// Values a filename template can reference, for the loaded video or a queued request
+const templateFields = ({ url, title, author, uploadDate }, { resolution = '', ext = '' } = {}) => ({
+  title,
+  author,
+  resolution,
+  ext,
+  id: parseYouTubeUrl(url).videoId || '',
+  date: templateDate(uploadDate),
+});
+
+// Parameters the manifest's share_target maps shared content onto
+const SHARE_PARAMS = ['url', 'text', 'title'];
 
 /**
- * Converts seconds into a human-readable duration format (e.g., '01:35' or '1:10:30').
- * @param {number | string} seconds - The duration in seconds.
- * @returns {string} The formatted duration string.
+ * Reads a link shared into the installed app and clears the share parameters from the
+ * address bar, so a reload does not fetch it again. Without a YouTube link in any of
+ * them, the first shared value is returned so validation can say what is wrong.
+ * @returns {string | null}
  */
-const formatDuration = (seconds) => {
-    if (typeof seconds !== 'number' || isNaN(seconds) || seconds <= 0) return 'N/A';
-    
-    const h = Math.floor(seconds / 3600);
-    const m = Math.floor((seconds % 3600) / 60);
-    const s = Math.floor(seconds % 60);
-
-    const parts = [m, s];
-    if (h > 0) parts.unshift(h);
-    
-    return parts.map((n, index) => {
-        if (h > 0 && index > 0) return n.toString().padStart(2, '0');
-        if (h === 0) return n.toString().padStart(2, '0');
-        return n.toString();
-    }).join(':');
+const takeSharedUrl = () => {
+  const params = new URLSearchParams(window.location.search);
+  const values = SHARE_PARAMS.map(name => params.get(name)).filter(Boolean);
+  if (values.length === 0) return null;
+
+  const url = values.map(findYouTubeUrl).find(Boolean) || values[0];
+
+  SHARE_PARAMS.forEach(name => params.delete(name));
+  const query = params.toString();
+  window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+
+  return url;
+};
+
+const bestResolution = (formats = []) => {
+  const height = Math.max(0, ...formats.map(resolutionHeight));
+  return height ? `${height}p` : '';
 };
 
 function App() {
   const [url, setUrl] = useState('');
   const [videoInfo, setVideoInfo] = useState(null);
+  const [playlist, setPlaylist] = useState(null);
+  const [clip, setClip] = useState({ enabled: false, start: 0, end: 0 });
+  const [embedSubs, setEmbedSubs] = useState(null);
   const [loading, setLoading] = useState(false);
-  const [downloading, setDownloading] = useState(false);
-  const [progress, setProgress] = useState(0);
-  const [downloadDetails, setDownloadDetails] = useState({});
-  const [currentSession, setCurrentSession] = useState(null);
   const [error, setError] = useState('');
+  // Classified API failure behind `error`, for guidance and recovery actions
+  const [failure, setFailure] = useState(null);
   const [success, setSuccess] = useState('');
+  const [showHistory, setShowHistory] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+  const [showShortcuts, setShowShortcuts] = useState(false);
+  const urlInputRef = useRef(null);
+  const videoTitleRef = useRef(null);
+  const playlistTitleRef = useRef(null);
+  const formatsTitleRef = useRef(null);
+  const { t, locale } = useTranslation();
+  const { settings } = useSettings();
+  const backend = useBackendStatus();
 
-  const fetchVideoInfo = async () => {
-    if (!url.trim()) {
-      setError('Please enter a YouTube URL');
+  const history = useDownloadHistory();
+  const { record } = history;
+
+  const handleComplete = useCallback((item, filename) => {
+    setSuccess(t('app.downloadComplete', { filename }));
+    record({
+      url: item.url,
+      title: item.title,
+      author: item.author,
+      thumbnail: item.thumbnail,
+      format_id: item.formatId,
+      quality: item.quality,
+      audio_format_id: item.audioFormatId,
+      audio_options: item.audioOptions,
+      trim: item.trim,
+      subtitles: item.subtitles,
+      ext: item.ext,
+      is_audio: item.isAudio,
+      resolution: item.resolution,
+      upload_date: item.uploadDate,
+      filename,
+      size: item.transfer?.total || item.transfer?.received || item.details.total || null,
+      timestamp: Date.now(),
+    });
+  }, [record, t]);
+
+  const queue = useDownloadQueue({ onComplete: handleComplete });
+
+  const parsedUrl = parseYouTubeUrl(url);
+
+  const showError = (message, details = null) => {
+    setError(message);
+    setFailure(details);
+  };
+
+  /**
+   * Validates and cleans the URL before asking the backend; `input` overrides the
+   * field's value for paste and clipboard flows that fetch before state updates.
+   */
+  const fetchVideoInfo = async (input = url) => {
+    const parsed = parseYouTubeUrl(input);
+    if (!parsed.valid) {
+      showError(t(`url.errors.${parsed.code}`));
       setVideoInfo(null);
+      setPlaylist(null);
+      urlInputRef.current?.focus();
       return;
     }
 
+    setUrl(parsed.cleanUrl);
     setLoading(true);
-    setError('');
+    showError('');
     setVideoInfo(null);
+    setPlaylist(null);
     setSuccess('');
 
     try {
-      const response = await fetch(`${API_URL}/video-info`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ url })
-      });
-      
-      if (!response.ok) {
-        const errData = await response.json();
-        throw new Error(errData.error || 'Failed to fetch video info');
+      const data = await getVideoInfo(parsed.cleanUrl);
+
+      // Playlists and channels come back as a list of entries instead of a single video
+      if (Array.isArray(data.entries)) {
+        setPlaylist(data);
+        return;
       }
-      
-      const data = await response.json();
-      setVideoInfo({
-          ...data,
-          duration: formatDuration(data.duration_seconds) 
-      });
+
+      setVideoInfo(data);
+      // A `t=` in the link preloads the trim start without turning trimming on
+      const duration = data.duration_seconds || 0;
+      setClip({ enabled: false, start: Math.min(parsed.startTime || 0, duration), end: duration });
+      setEmbedSubs(null);
+      if (settings.autoDownload) downloadBestMatch(data, parsed.cleanUrl);
     } catch (err) {
-      setError(err.message || 'Failed to fetch video information');
+      showError(err.message || t('app.fetchFailed'), describeFailure(err));
+      urlInputRef.current?.focus();
     } finally {
       setLoading(false);
     }
   };
 
-  const handleDownload = async (formatId = null, isAudio = false) => {
-    setDownloading(true);
-    setProgress(0);
-    setDownloadDetails({});
-    setError('');
-    setSuccess('');
-    setCurrentSession(null);
+  // Screen readers continue from the result's title instead of the fetch button
+  useEffect(() => {
+    if (videoInfo) videoTitleRef.current?.focus();
+  }, [videoInfo]);
+
+  useEffect(() => {
+    if (playlist) playlistTitleRef.current?.focus();
+  }, [playlist]);
+
+  // The share-target effect runs once, so it reaches the latest fetchVideoInfo through a ref
+  const fetchVideoInfoRef = useRef(fetchVideoInfo);
+  useEffect(() => {
+    fetchVideoInfoRef.current = fetchVideoInfo;
+  });
 
+  // Web Share Target: the installed app is opened with the shared link in the query string
+  useEffect(() => {
+    const sharedUrl = takeSharedUrl();
+    if (!sharedUrl) return;
+    setUrl(sharedUrl.trim());
+    fetchVideoInfoRef.current(sharedUrl);
+  }, []);
+
+  const handlePaste = (e) => {
+    const text = e.clipboardData.getData('text');
+    if (loading || !parseYouTubeUrl(text).valid) return;
+
+    // A recognised link replaces whatever was in the field and loads right away
+    e.preventDefault();
+    setUrl(text.trim());
+    fetchVideoInfo(text);
+  };
+
+  const pasteFromClipboard = async () => {
+    let text;
     try {
-      const payload = { 
-        url, 
-        format_id: formatId, 
-        is_audio: isAudio 
-      };
-
-      // 1. Start Download Session
-      const startRes = await fetch(`${API_URL}/start-download`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload)
-      });
-      
-      if (!startRes.ok) {
-        const errData = await startRes.json();
-        throw new Error(errData.error || 'Failed to start download');
+      text = await navigator.clipboard.readText();
+    } catch {
+      showError(t('url.clipboardBlocked'));
+      return;
+    }
+
+    setUrl(text.trim());
+    if (parseYouTubeUrl(text).valid) fetchVideoInfo(text);
+  };
+
+  /**
+   * Queues a download. Defaults to the currently loaded video; history re-downloads
+   * pass their stored `source` instead. When the expected `size` (bytes) is known, the
+   * user is warned before a download that may not fit.
+   */
+  const handleDownload = async (formatId = null, isAudio = false, { audioFormatId = null, audioOptions = null, quality = null, label = '', ext = '', resolution = '', size = null, source, range, subtitles: storedSubtitles, auto = false } = {}) => {
+    showError('');
+    setSuccess('');
+
+    // The trim editor only applies to the loaded video; re-downloads carry their own range
+    let trim = range || null;
+    if (!source && clip.enabled) {
+      const clipError = validateClip(clip, videoInfo?.duration_seconds);
+      if (clipError) {
+        showError(t('app.fixTrim', { error: t(`trim.errors.${clipError}`) }));
+        return;
       }
-      
-      const { session_id: sessionId } = await startRes.json();
-      setCurrentSession(sessionId);
-
-      // 2. Poll for Progress
-      const interval = setInterval(async () => {
-        try {
-          const progRes = await fetch(`${API_URL}/progress/${sessionId}`);
-          
-          if (!progRes.ok) {
-            console.error('Progress check request failed');
-            return;
-          }
-          
-          const progressData = await progRes.json();
-          const { progress: p, error: err, status, downloaded, total, speed, eta } = progressData;
-          
-          setProgress(p || 0);
-          setDownloadDetails({ status, downloaded, total, speed, eta });
-
-          if (err) {
-            clearInterval(interval);
-            setError(err);
-            setDownloading(false);
-            setCurrentSession(null);
-            setProgress(0);
-            setDownloadDetails({});
-            return;
-          }
-
-          if (p >= 100) {
-            clearInterval(interval);
-            
-            // 3. Fetch the downloaded file
-            try {
-              const fileRes = await fetch(`${API_URL}/file/${sessionId}`);
-              
-              if (!fileRes.ok) {
-                throw new Error('File download failed on server/network');
-              }
-              
-              const blob = await fileRes.blob();
-              const downloadUrl = window.URL.createObjectURL(blob);
-              const link = document.createElement('a');
-              link.href = downloadUrl;
-
-              const contentDisposition = fileRes.headers.get('content-disposition');
-              const filename = contentDisposition
-                ? contentDisposition.split('filename=')[1].replace(/"/g, '').split(';')[0]
-                : `${videoInfo?.title?.substring(0, 50) || 'download'}.${isAudio ? 'mp3' : 'mp4'}`;
-
-              link.setAttribute('download', filename);
-              document.body.appendChild(link);
-              link.click();
-              link.remove();
-              window.URL.revokeObjectURL(downloadUrl);
-
-              setSuccess(`Download of "${filename}" completed successfully!`);
-              setDownloading(false);
-              setCurrentSession(null);
-              setProgress(0);
-              setDownloadDetails({});
-            } catch (fileErr) {
-              setError('Failed to download file: ' + fileErr.message);
-              setDownloading(false);
-              setCurrentSession(null);
-              setProgress(0);
-              setDownloadDetails({});
-            }
-          }
-        } catch (progressErr) {
-          clearInterval(interval);
-          setError('Download progress check failed');
-          setDownloading(false);
-          setCurrentSession(null);
-          setProgress(0);
-          setDownloadDetails({});
-        }
-      }, 750); 
+      trim = { start: clip.start, end: clip.end };
+    }
 
-    } catch (err) {
-      setError(err.message || 'Download failed to start');
-      setDownloading(false);
-      setProgress(0);
-      setDownloadDetails({});
+    // Soft subtitles only make sense inside a video container
+    let subtitles = storedSubtitles || null;
+    if (!source && !isAudio && embedSubs) {
+      subtitles = { languages: [embedSubs.lang], auto: embedSubs.auto, embed: true };
+    }
+
+    const target = source || {
+      url,
+      title: videoInfo?.title,
+      author: videoInfo?.author,
+      thumbnail: videoInfo?.thumbnail,
+      uploadDate: videoInfo?.upload_date,
+    };
+
+    const fileExt = ext || (isAudio ? 'mp3' : 'mp4');
+    const suggestedName = applyFilenameTemplate(settings.filenameTemplate, templateFields(target, { resolution, ext: fileExt }));
+    let fileHandle = null;
+
+    // Pick the save location now, while the click still counts as a user gesture;
+    // automatic downloads have no gesture and go to the browser's download folder
+    if (supportsFilePicker() && !auto) {
+      try {
+        fileHandle = await pickSaveTarget(suggestedName);
+      } catch (err) {
+        showError(t('app.saveDialogFailed', { error: err.message }));
+        return;
+      }
+      if (!fileHandle) return;
+    }
+
+    // Only after the picker: waiting on the Storage API or a dialog could use up the gesture.
+    // A trimmed download only fetches its share of the video.
+    const duration = videoInfo?.duration_seconds;
+    const expectedSize = size && trim && !source && duration ? size * ((trim.end - trim.start) / duration) : size;
+    if (expectedSize) {
+      const free = await availableSpace();
+      if (free != null && free < expectedSize
+        && !window.confirm(t('app.lowSpace', { size: formatBytes(expectedSize, locale), free: formatBytes(free, locale) }))) {
+        return;
+      }
     }
+
+    queue.enqueue({
+      ...target,
+      formatId,
+      audioFormatId,
+      audioOptions,
+      quality,
+      trim,
+      subtitles,
+      isAudio,
+      ext: fileExt,
+      resolution,
+      suggestedName,
+      label: `${label || (isAudio ? t('app.defaultAudioLabel') : t('app.defaultVideoLabel'))}${trim ? ` • ${formatTimestamp(trim.start)}–${formatTimestamp(trim.end)}` : ''}`,
+      fileHandle,
+    });
+  };
+
+  // Queues the format closest to the default resolution and container: on its own after
+  // fetching when auto-download is on, or from the keyboard shortcut with the save dialog
+  const downloadBestMatch = (data, videoUrl, { auto = true } = {}) => {
+    const preference = { resolution: settings.videoResolution, container: settings.videoContainer };
+    const format = bestMatchFormat(data.formats || [], preference);
+    if (!format) return;
+
+    const audio = formatKind(format) === 'video' ? bestAudioFormat(data.formats, format.ext) : null;
+    const height = resolutionHeight(format);
+    const label = `${format.resolution} • ${format.ext.toUpperCase()}`;
+    handleDownload(format.format_id, false, {
+      audioFormatId: audio?.format_id || null,
+      size: downloadSize(format, audio, data.duration_seconds).bytes,
+      ext: format.ext,
+      resolution: height ? `${height}p` : '',
+      label: auto ? t('app.autoLabel', { format: label }) : label,
+      source: { url: videoUrl, title: data.title, author: data.author, thumbnail: data.thumbnail, uploadDate: data.upload_date },
+      auto,
+    });
+  };
+
+  // Recovery actions offered with errors
+  const checkBackend = () => {
+    setShowSettings(true);
+    backend.check();
+    // The settings panel may only just be mounting
+    requestAnimationFrame(() => document.getElementById('api-url')?.focus());
+  };
+
+  const pickOtherFormat = () => formatsTitleRef.current?.focus();
+
+  // The most recently queued download that can still be stopped
+  const cancelLatest = () => {
+    const latest = queue.items.findLast(item => !['completed', 'failed', 'cancelled'].includes(item.status));
+    if (latest) queue.cancel(latest.id);
+  };
+
+  useKeyboardShortcuts({
+    focusUrl: () => {
+      urlInputRef.current?.focus();
+      urlInputRef.current?.select();
+    },
+    fetch: () => !loading && fetchVideoInfo(),
+    downloadBest: () => videoInfo && downloadBestMatch(videoInfo, url, { auto: false }),
+    cancel: cancelLatest,
+    history: () => setShowHistory(prev => !prev),
+    help: () => setShowShortcuts(true),
+  }, settings.keyboardShortcuts && !showShortcuts);
+
+  const handleRedownload = (entry) => {
+    handleDownload(entry.format_id, entry.is_audio, {
+      audioFormatId: entry.audio_format_id || null,
+      // Playlist entries have no format id, only the resolution preset they were queued with
+      quality: entry.quality || null,
+      audioOptions: entry.audio_options || null,
+      range: entry.trim || null,
+      subtitles: entry.subtitles || null,
+      ext: entry.ext,
+      resolution: entry.resolution || '',
+      label: t('app.againLabel', { format: entry.ext?.toUpperCase() || (entry.is_audio ? 'MP3' : t('app.defaultVideoLabel')) }),
+      source: { url: entry.url, title: entry.title, author: entry.author, thumbnail: entry.thumbnail, uploadDate: entry.upload_date },
+    });
+  };
+
+  const handleBatchDownload = (requests) => {
+    showError('');
+    setSuccess('');
+    queue.enqueueBatch(requests.map(request => ({
+      ...request,
+      suggestedName: applyFilenameTemplate(settings.filenameTemplate, templateFields(request, request)),
+    })), playlist?.title);
   };
 
-  const isVideoLoading = loading && !downloading;
+  const channelUrl = videoInfo?.channel_url || videoInfo?.uploader_url;
 
   return (
-    // Dark background, minimal padding
-    <div className="min-h-screen bg-gray-900 text-gray-100 p-4 md:p-10">
+    // Page colors follow the theme (see App.css), minimal padding
+    <div className="min-h-screen bg-base text-fg p-4 md:p-10">
       <div className="mx-auto max-w-4xl">
         
         {/* Header Section */}
-        <header className="text-center mb-10 pb-4 border-b border-gray-700">
+        <header className="text-center mb-10 pb-4 border-b border-line">
           <div className="flex items-center justify-center gap-3">
             <Video className="w-9 h-9 md:w-10 md:h-10 text-red-500" />
-            <h1 className="text-3xl md:text-4xl font-extrabold text-white">
-              UltraDownloader
+            <h1 className="text-3xl md:text-4xl font-extrabold text-fg-strong">
+              {t('app.title')}
             </h1>
           </div>
-          <p className="text-gray-400 mt-2 text-lg">Fast, Free YouTube Video & Audio Downloads</p>
+          <p className="text-fg-muted mt-2 text-lg">{t('app.tagline')}</p>
+          <div className="mt-4 flex flex-wrap items-center justify-center gap-3">
+            <button
+              onClick={() => setShowHistory(prev => !prev)}
+              aria-expanded={showHistory}
+              className="inline-flex items-center gap-2 px-4 py-2 text-sm font-medium text-fg-soft border border-line rounded-lg hover:bg-surface hover:text-fg-strong transition-colors"
+            >
+              <History className="w-4 h-4" />
+              {showHistory ? t('app.hideHistory') : t('app.history')}
+              {history.entries.length > 0 && <span className="text-fg-subtle">({formatNumber(history.entries.length, locale)})</span>}
+            </button>
+            <button
+              onClick={() => setShowSettings(prev => !prev)}
+              aria-expanded={showSettings}
+              className="inline-flex items-center gap-2 px-4 py-2 text-sm font-medium text-fg-soft border border-line rounded-lg hover:bg-surface hover:text-fg-strong transition-colors"
+            >
+              <Settings className="w-4 h-4" />
+              {showSettings ? t('app.hideSettings') : t('app.settings')}
+            </button>
+            <button
+              onClick={() => setShowShortcuts(true)}
+              aria-haspopup="dialog"
+              className="inline-flex items-center gap-2 px-4 py-2 text-sm font-medium text-fg-soft border border-line rounded-lg hover:bg-surface hover:text-fg-strong transition-colors"
+            >
+              <Keyboard className="w-4 h-4" />
+              {t('shortcuts.open')}
+            </button>
+            <LanguageSwitcher />
+            <ThemeToggle />
+          </div>
         </header>
 
+        <BackendStatus backend={backend} />
+
         {/* Input & Get Info Section */}
         <section className="mb-8">
           <div className="flex flex-col sm:flex-row items-center gap-3">
-            <input
-              type="url"
-              value={url}
-              onChange={(e) => setUrl(e.target.value)}
-              placeholder="Paste YouTube URL here..."
-              // Dark mode input styling
-              className="px-4 py-3 w-full border border-gray-700 bg-gray-800 text-white rounded-lg focus:outline-none focus:ring-4 focus:ring-red-900 focus:border-red-500 transition-all"
-              onKeyPress={(e) => e.key === 'Enter' && !isVideoLoading && fetchVideoInfo()}
-            />
+            <div className="relative w-full">
+              <input
+                ref={urlInputRef}
+                type="url"
+                value={url}
+                onChange={(e) => setUrl(e.target.value)}
+                onPaste={handlePaste}
+                placeholder={t('url.placeholder')}
+                aria-label={t('url.label')}
+                aria-invalid={Boolean(url.trim()) && !parsedUrl.valid}
+                aria-describedby="url-feedback app-error"
+                // Themed input styling
+                className={`px-4 py-3 w-full border bg-surface text-fg-strong rounded-lg focus:outline-none focus:ring-4 focus:ring-red-100 dark:focus:ring-red-900 focus:border-red-500 transition-all ${url.trim() && !parsedUrl.valid ? 'border-red-500' : 'border-line'} ${canReadClipboard() ? 'pe-12' : ''}`}
+                // Enter that confirms an IME composition should not submit
+                onKeyDown={(e) => e.key === 'Enter' && !e.nativeEvent.isComposing && !loading && fetchVideoInfo()}
+              />
+              {canReadClipboard() && (
+                <button
+                  onClick={pasteFromClipboard}
+                  disabled={loading}
+                  title={t('url.paste')}
+                  aria-label={t('url.paste')}
+                  className="absolute end-2 top-1/2 -translate-y-1/2 p-2 text-fg-muted hover:text-fg-strong transition-colors disabled:opacity-50"
+                >
+                  <ClipboardPaste className="w-5 h-5" />
+                </button>
+              )}
+            </div>
             <button
-              onClick={fetchVideoInfo}
-              disabled={isVideoLoading || downloading}
+              onClick={() => fetchVideoInfo()}
+              disabled={loading}
               // Primary button styling
-              className="w-full sm:w-auto px-6 py-3 bg-red-600 text-white rounded-lg hover:bg-red-500 active:bg-red-700 transition-colors duration-200 disabled:bg-gray-600 disabled:cursor-not-allowed flex items-center justify-center gap-2 font-semibold whitespace-nowrap"
+              className="w-full sm:w-auto px-6 py-3 bg-red-600 text-white rounded-lg hover:bg-red-500 active:bg-red-700 transition-colors duration-200 disabled:bg-raised-strong disabled:cursor-not-allowed flex items-center justify-center gap-2 font-semibold whitespace-nowrap"
             >
-              {isVideoLoading ? (
+              {loading ? (
                 <>
                   <Loader2 className="w-5 h-5 animate-spin" />
-                  Loading...
+                  {t('url.loading')}
                 </>
               ) : (
                 <>
                   <Info className="w-5 h-5" />
-                  Get Video Info
+                  {t('url.fetch')}
                 </>
               )}
             </button>
           </div>
+          {/* Inline URL validation */}
+          <p id="url-feedback" aria-live="polite" className="mt-2 min-h-5 text-sm">
+            {url.trim() && !parsedUrl.valid && <span className="text-red-600 dark:text-red-400">{t(`url.errors.${parsedUrl.code}`)}</span>}
+            {parsedUrl.valid && (
+              <span className="text-fg-muted">
+                {[
+                  parsedUrl.music && t('url.music'),
+                  t(`url.types.${parsedUrl.type}`),
+                  parsedUrl.type !== 'playlist' && parsedUrl.playlistId && t('url.inPlaylist'),
+                  parsedUrl.startTime && t('url.startsAt', { time: formatTimestamp(parsedUrl.startTime) }),
+                  parsedUrl.trackingRemoved && t('url.trackingRemoved'),
+                ].filter(Boolean).join(' • ')}
+              </span>
+            )}
+          </p>
         </section>
 
-        {/* Alerts Section (Error, Success, Downloading) */}
+        {/* Alerts Section (Error, Success) - the live regions stay mounted so new messages are announced */}
         <section className="mb-8">
           {/* Error Alert - High Contrast Red */}
-          {error && (
-            <div className="p-4 bg-red-900 border-l-4 border-red-500 text-red-100 flex items-start gap-3 mb-4 rounded-md">
-              <XCircle className="w-5 h-5 flex-shrink-0 mt-0.5" />
-              <span className="font-medium">{error}</span>
-            </div>
-          )}
-          
-          {/* Success Alert - High Contrast Green */}
-          {success && (
-            <div className="p-4 bg-green-900 border-l-4 border-green-500 text-green-100 flex items-start gap-3 mb-4 rounded-md">
-              <CheckCircle className="w-5 h-5 flex-shrink-0 mt-0.5" />
-              <span className="font-medium">{success}</span>
-            </div>
-          )}
-          
-          {/* Downloading Progress Bar - High Contrast Blue/Gray */}
-          {downloading && (
-            <div className="p-4 bg-gray-800 border border-gray-700 rounded-lg">
-              <div className="flex items-center justify-between mb-2">
-                <div className="flex items-center gap-2 text-blue-400 font-bold">
-                  <Loader2 className="w-5 h-5 animate-spin text-blue-500" />
-                  <span>{downloadDetails.status || 'Processing...'}</span>
+          <div id="app-error" role="alert">
+            {error && (
+              <div className="p-4 bg-red-100 dark:bg-red-900 border-s-4 border-red-500 text-red-900 dark:text-red-100 flex items-start gap-3 mb-4 rounded-md">
+                <XCircle className="w-5 h-5 flex-shrink-0 mt-0.5" />
+                <div className="flex-1 min-w-0">
+                  <span className="font-medium">{error}</span>
+                  {failure && (
+                    <ErrorNotice
+                      failure={failure}
+                      context={{ url }}
+                      onRetry={() => fetchVideoInfo()}
+                      onCheckBackend={checkBackend}
+                    />
+                  )}
                 </div>
-                <span className="text-blue-400 font-extrabold text-xl">{Math.round(progress)}%</span>
               </div>
-              
-              <div className="w-full bg-gray-700 rounded-full h-3 mb-3 overflow-hidden">
-                <div 
-                  className="bg-blue-500 h-3 rounded-full transition-all duration-500 ease-out" 
-                  style={{ width: `${Math.min(progress, 100)}%` }}
-                ></div>
+            )}
+          </div>
+
+          {/* Success Alert - High Contrast Green */}
+          <div role="status">
+            {success && (
+              <div className="p-4 bg-green-100 dark:bg-green-900 border-s-4 border-green-500 text-green-900 dark:text-green-100 flex items-start gap-3 mb-4 rounded-md">
+                <CheckCircle className="w-5 h-5 flex-shrink-0 mt-0.5" />
+                <span className="font-medium">{success}</span>
               </div>
-              
-              {/* Download Details Grid */}
-              {downloadDetails.speed && downloadDetails.speed !== 'N/A' && (
-                <div className="grid grid-cols-2 sm:grid-cols-4 gap-y-2 text-xs md:text-sm text-blue-300">
-                  <div className="flex items-center gap-1 font-semibold">
-                    <Download className="w-4 h-4 text-blue-500" />
-                    <span>DL: {downloadDetails.downloaded || 'N/A'}</span>
-                  </div>
-                  <div className="flex items-center gap-1 font-semibold">
-                    <Info className="w-4 h-4 text-blue-500" />
-                    <span>Total: {downloadDetails.total || 'N/A'}</span>
-                  </div>
-                  <div className="flex items-center gap-1 font-semibold">
-                    <Gauge className="w-4 h-4 text-blue-500" />
-                    <span>Speed: {downloadDetails.speed || 'N/A'}</span>
-                  </div>
-                  <div className="flex items-center gap-1 font-semibold">
-                    <Clock className="w-4 h-4 text-blue-500" />
-                    <span>ETA: {downloadDetails.eta || 'N/A'}</span>
-                  </div>
-                </div>
-              )}
-            </div>
-          )}
+            )}
+          </div>
         </section>
 
+        {showSettings && (
+          <SettingsPanel
+            previewFields={videoInfo && templateFields(
+              { url, title: videoInfo.title, author: videoInfo.author, uploadDate: videoInfo.upload_date },
+              { resolution: bestResolution(videoInfo.formats), ext: 'mp4' },
+            )}
+          />
+        )}
+
+        <DownloadQueue
+          queue={queue}
+          fallbackFocus={urlInputRef}
+          onOtherFormat={videoInfo ? pickOtherFormat : undefined}
+          onCheckBackend={checkBackend}
+        />
+
+        {showHistory && <HistoryPanel history={history} onRedownload={handleRedownload} />}
+
+        {/* Playlist / Channel Entries */}
+        {playlist && (
+          <PlaylistView key={playlist.id || playlist.title} playlist={playlist} onDownload={handleBatchDownload} headingRef={playlistTitleRef} />
+        )}
+
         {/* Video Info and Download Options */}
         {videoInfo && (
           <div className="mt-6">
             
             {/* Video Metadata - Box-free look achieved with subtle background and strong separation */}
-            <div className="flex flex-col md:flex-row gap-4 md:gap-6 bg-gray-800 p-4 rounded-lg border-l-4 border-red-500 mb-8">
+            <div className="flex flex-col md:flex-row gap-4 md:gap-6 bg-surface p-4 rounded-lg border-s-4 border-red-500 mb-8">
               <img
                 src={videoInfo.thumbnail}
                 alt={videoInfo.title}
@@ -312,101 +554,90 @@ function App() {
                 className="w-full md:w-56 h-auto md:h-36 object-cover rounded-md border-2 border-black"
               />
               <div className="flex-1">
-                <h2 className="text-xl md:text-2xl font-extrabold text-white mb-2 line-clamp-2">{videoInfo.title}</h2>
-                <div className="text-sm text-gray-400 space-y-1">
-                  <p><span className="font-semibold text-gray-300">Channel:</span> {videoInfo.author}</p>
-                  <p><span className="font-semibold text-gray-300">Duration:</span> {videoInfo.duration}</p>
-                  <p><span className="font-semibold text-gray-300">Views:</span> {videoInfo.view_count?.toLocaleString() || 'N/A'}</p>
+                <h2 ref={videoTitleRef} tabIndex={-1} className="text-xl md:text-2xl font-extrabold text-fg-strong mb-2 line-clamp-2 focus:outline-none">{videoInfo.title}</h2>
+                <div className="text-sm text-fg-muted space-y-1">
+                  <p>
+                    <span className="font-semibold text-fg-soft">{t('video.channel')}</span>{' '}
+                    {isHttpUrl(channelUrl) ? (
+                      <a href={channelUrl} target="_blank" rel="noopener noreferrer" className="text-red-600 dark:text-red-400 hover:underline">{videoInfo.author}</a>
+                    ) : videoInfo.author}
+                  </p>
+                  <p><span className="font-semibold text-fg-soft">{t('video.duration')}</span> {formatDuration(videoInfo.duration_seconds, locale)}</p>
+                  <p><span className="font-semibold text-fg-soft">{t('video.views')}</span> {formatNumber(videoInfo.view_count, locale)}</p>
+                  {videoInfo.like_count != null && (
+                    <p><span className="font-semibold text-fg-soft">{t('video.likes')}</span> {formatNumber(videoInfo.like_count, locale)}</p>
+                  )}
+                  {videoInfo.upload_date && (
+                    <p><span className="font-semibold text-fg-soft">{t('video.uploaded')}</span> {formatUploadDate(videoInfo.upload_date, locale)}</p>
+                  )}
                 </div>
               </div>
             </div>
 
-            {/* Audio Only Option - Prominent Green Bar */}
-            <div className="mb-8 p-4 bg-gray-800 rounded-lg border-l-4 border-green-500">
-              <h3 className="text-xl font-bold text-green-400 mb-4 flex items-center gap-2">
-                <Music className="w-6 h-6" />
-                Audio Only (MP3)
-              </h3>
-              <div className="flex items-center justify-between flex-wrap gap-4">
-                <div className="flex flex-col">
-                  <p className="text-lg font-bold text-white">High Quality MP3</p>
-                  <p className="text-sm text-green-500">Best available audio stream (~192kbps)</p>
-                </div>
-                <button
-                  onClick={() => handleDownload(null, true)}
-                  disabled={downloading}
-                  // Secondary button styling
-                  className="w-full sm:w-auto px-6 py-3 bg-green-600 text-white rounded-lg hover:bg-green-500 active:bg-green-700 transition-colors disabled:bg-gray-600 flex items-center justify-center gap-2 font-medium"
-                >
-                  <Download className="w-5 h-5" />
-                  Download MP3
-                </button>
-              </div>
-            </div>
+            {/* Description, tags, chapters and thumbnails */}
+            <VideoDetails
+              key={`details:${videoInfo.webpage_url || videoInfo.title}`}
+              videoInfo={videoInfo}
+              videoUrl={videoInfo.webpage_url || url}
+            />
 
-            {/* Video Formats List - Box-free look with separators */}
-            <div className="pt-6 border-t border-gray-700">
-              <h3 className="text-xl font-bold text-white mb-4 flex items-center gap-2">
-                <Video className="w-6 h-6 text-red-500" />
-                Video Formats Available
-              </h3>
-              
-              <div className="grid grid-cols-1 gap-3">
-                {videoInfo.formats
-                  .filter(format => format.resolution && format.quality !== 'audio only') 
-                  .sort((a, b) => {
-                    const resA = parseInt(a.resolution?.replace('p', '')) || 0;
-                    const resB = parseInt(b.resolution?.replace('p', '')) || 0;
-                    return resB - resA; 
-                  })
-                  .map((format, index) => (
-                  <div
-                    key={format.format_id || index}
-                    // Box-free look using border-b for separation
-                    className="flex items-center justify-between gap-4 py-3 border-b border-gray-700 hover:bg-gray-800 transition-colors px-2 rounded-sm"
-                  >
-                    <div className="flex-1 min-w-0">
-                      <p className="text-lg font-bold text-white">{format.resolution} <span className="text-xs font-normal text-gray-500">({format.fps || 30}fps)</span></p>
-                      <p className="text-sm text-gray-400 font-medium">Quality: {format.quality}</p>
-                      <p className="text-xs text-gray-500 truncate">
-                        Size: <span className="font-semibold text-gray-300">{format.filesize !== 'Unknown' ? format.filesize : 'Estimating...'}</span>
-                        {' • '}
-                        <span className="font-extrabold text-red-500">{format.ext.toUpperCase()}</span>
-                      </p>
-                    </div>
-                    <button
-                      onClick={() => handleDownload(format.format_id, false)}
-                      disabled={downloading}
-                      className="flex-shrink-0 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-500 transition-colors disabled:bg-gray-600 flex items-center gap-2 font-medium"
-                    >
-                      <Download className="w-4 h-4" />
-                      Download
-                    </button>
-                  </div>
-                ))}
-              </div>
-            </div>
+            {/* Clip Trimming */}
+            <TrimEditor
+              duration={videoInfo.duration_seconds || 0}
+              chapters={videoInfo.chapters}
+              clip={clip}
+              onChange={setClip}
+            />
+
+            {/* Subtitles & Captions */}
+            <SubtitlesPanel
+              key={`subtitles:${videoInfo.webpage_url || videoInfo.title}`}
+              videoUrl={videoInfo.webpage_url || url}
+              videoInfo={videoInfo}
+              embed={embedSubs}
+              onEmbedChange={setEmbedSubs}
+            />
+
+            {/* Audio Extraction Options */}
+            <AudioOptions
+              key={`audio:${videoInfo.webpage_url || videoInfo.title}`}
+              videoInfo={videoInfo}
+              onDownload={(options) => handleDownload(null, true, options)}
+            />
+
+            {/* Video Formats Explorer */}
+            <FormatExplorer
+              formats={videoInfo.formats}
+              duration={videoInfo.duration_seconds}
+              preferredId={bestMatchFormat(videoInfo.formats, { resolution: settings.videoResolution, container: settings.videoContainer })?.format_id}
+              onDownload={(formatId, options) => handleDownload(formatId, false, options)}
+              headingRef={formatsTitleRef}
+            />
           </div>
         )}
         
         {/* Footer/How-to Section */}
-        <div className="mt-10 pt-6 border-t border-gray-700">
-          <h3 className="font-bold text-lg text-white mb-3 flex items-center gap-2">
-            <Info className="w-5 h-5 text-gray-400" />
-            Simple Steps
+        <div className="mt-10 pt-6 border-t border-line">
+          <h3 className="font-bold text-lg text-fg-strong mb-3 flex items-center gap-2">
+            <Info className="w-5 h-5 text-fg-muted" />
+            {t('steps.title')}
           </h3>
-          <ol className="list-decimal list-inside text-gray-400 space-y-2 text-base">
-            <li>Copy the **YouTube video URL**.</li>
-            <li>**Paste** it into the input field above.</li>
-            <li>Click **"Get Video Info"** to see available formats.</li>
-            <li>Choose your preferred **video or MP3 audio** format and click **Download**.</li>
+          <ol className="list-decimal list-inside text-fg-muted space-y-2 text-base">
+            <li>{t('steps.copy')}</li>
+            <li>{t('steps.paste')}</li>
+            <li>{t('steps.fetch')}</li>
+            <li>{t('steps.download')}</li>
           </ol>
         </div>
 
-        <footer className="mt-8 text-center text-sm text-gray-500">
-          <p>Built for Speed and Reliability • Dark Mode Minimalist Design</p>
+        <footer className="mt-8 text-center text-sm text-fg-subtle">
+          <p>{t('app.footer')}</p>
         </footer>
       </div>
+
+      {showShortcuts && (
+        <ShortcutsDialog enabled={settings.keyboardShortcuts} onClose={() => setShowShortcuts(false)} />
+      )}
     </div>
   );
 }
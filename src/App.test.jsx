@@ -0,0 +1,947 @@
+import React from 'react';
+import { act, render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { http, HttpResponse } from 'msw';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import App from './App';
+import { LanguageProvider } from './LanguageContext';
+import { addHistoryEntry, clearHistory } from './utils/historyStore';
+import { SettingsProvider } from './SettingsContext';
+import { ThemeProvider } from './ThemeContext';
+import { API, server, VIDEO_INFO, VIDEO_URL } from './test/server';
+
+// Polling runs on a 750 ms interval, so a download needs a few seconds end to end
+const FLOW_TIMEOUT = { timeout: 5000 };
+
+const renderApp = () => render(
+  <LanguageProvider>
+    <ThemeProvider>
+      <SettingsProvider>
+        <App />
+      </SettingsProvider>
+    </ThemeProvider>
+  </LanguageProvider>
+);
+
+const fetchInfo = async (user, url = VIDEO_URL) => {
+  await user.type(screen.getByRole('textbox', { name: 'YouTube URL' }), url);
+  await user.click(screen.getByRole('button', { name: 'Get Video Info' }));
+};
+
+// The muxed 720p row of the formats table
+const downloadMuxedFormat = async (user) => {
+  await screen.findByRole('heading', { name: 'Test Video' });
+  const row = screen.getByRole('cell', { name: /^1280x720/ }).closest('tr');
+  await user.click(within(row).getByRole('button', { name: 'Download' }));
+};
+
+// In-memory stand-in for a File System Access API file handle
+const createFileHandle = (name) => {
+  const chunks = [];
+  return {
+    name,
+    chunks,
+    createWritable: async () => ({
+      write: async (chunk) => { chunks.push(chunk); },
+      truncate: async () => { chunks.length = 0; },
+      close: async () => {},
+      abort: async () => {},
+    }),
+  };
+};
+
+const written = (handle) => new TextDecoder().decode(new Uint8Array(handle.chunks.flatMap(chunk => [...chunk])));
+
+afterEach(async () => {
+  delete window.showSaveFilePicker;
+  server.events.removeAllListeners();
+  await clearHistory();
+});
+
+describe('fetching video info', () => {
+  it('cleans the URL and shows the video with its formats', async () => {
+    let requested = null;
+    server.use(http.post(`${API}/video-info`, async ({ request }) => {
+      requested = await request.json();
+      return HttpResponse.json(VIDEO_INFO);
+    }));
+    const user = userEvent.setup();
+    renderApp();
+
+    await fetchInfo(user, 'https://youtu.be/dQw4w9WgXcQ?si=tracking');
+
+    expect(await screen.findByRole('heading', { name: 'Test Video' })).toBeInTheDocument();
+    expect(requested).toEqual({ url: VIDEO_URL });
+    expect(screen.getByText('Test Channel')).toBeInTheDocument();
+    expect(screen.getByText('03:32')).toBeInTheDocument();
+    expect(screen.getByText('1,234,567')).toBeInTheDocument();
+    // The only video format is also the best match for the default preferences
+    expect(within(screen.getByRole('cell', { name: /^1280x720/ })).getByText('Default')).toBeInTheDocument();
+  });
+
+  it('filters the formats by frame rate and minimum bitrate', async () => {
+    server.use(http.post(`${API}/video-info`, () => HttpResponse.json({
+      ...VIDEO_INFO,
+      formats: [
+        ...VIDEO_INFO.formats,
+        { format_id: '303', resolution: '1920x1080', fps: 60, quality: '1080p60', ext: 'webm', vcodec: 'vp9', acodec: 'none', vbr: 4000 },
+        { format_id: '18', resolution: '640x360', fps: 30, quality: '360p', ext: 'mp4', vcodec: 'avc1.42001E', acodec: 'mp4a.40.2', tbr: 400 },
+      ],
+    })));
+    const user = userEvent.setup();
+    renderApp();
+
+    await fetchInfo(user);
+    await screen.findByRole('heading', { name: 'Test Video' });
+
+    await user.selectOptions(screen.getByRole('combobox', { name: 'Frame rate' }), '60 fps');
+    expect(screen.getByRole('cell', { name: /^1920x1080/ })).toBeInTheDocument();
+    expect(screen.queryByRole('cell', { name: /^1280x720/ })).not.toBeInTheDocument();
+
+    await user.selectOptions(screen.getByRole('combobox', { name: 'Frame rate' }), 'Any frame rate');
+    await user.selectOptions(screen.getByRole('combobox', { name: 'Minimum bitrate' }), 'At least 1,000 kb/s');
+    expect(screen.getByRole('cell', { name: /^1280x720/ })).toBeInTheDocument();
+    expect(screen.queryByRole('cell', { name: /^640x360/ })).not.toBeInTheDocument();
+  });
+
+  it('rejects invalid URLs without calling the backend', async () => {
+    const onRequest = vi.fn();
+    server.events.on('request:start', onRequest);
+    const user = userEvent.setup();
+    renderApp();
+
+    await fetchInfo(user, 'https://vimeo.com/12345');
+
+    expect(screen.getAllByText('Only YouTube links are supported').length).toBeGreaterThan(0);
+    expect(onRequest).not.toHaveBeenCalled();
+  });
+
+  it('shows the server message from a JSON error response', async () => {
+    server.use(http.post(`${API}/video-info`, () => HttpResponse.json({ error: 'Video unavailable' }, { status: 400 })));
+    const user = userEvent.setup();
+    renderApp();
+
+    await fetchInfo(user);
+
+    expect(await screen.findByText('Video unavailable')).toBeInTheDocument();
+    expect(screen.queryByRole('heading', { name: 'Test Video' })).not.toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Get Video Info' })).toBeEnabled();
+  });
+
+  it('falls back to the status when the error body is not JSON', async () => {
+    let calls = 0;
+    server.use(http.post(`${API}/video-info`, () => {
+      calls += 1;
+      return new HttpResponse('<html><body><h1>502 Bad Gateway</h1></body></html>', {
+        status: 502,
+        statusText: 'Bad Gateway',
+        headers: { 'Content-Type': 'text/html' },
+      });
+    }));
+    const user = userEvent.setup();
+    renderApp();
+
+    await fetchInfo(user);
+
+    // Gateway errors are retried twice before giving up
+    expect(await screen.findByText('Request failed with status 502 (Bad Gateway)', {}, FLOW_TIMEOUT)).toBeInTheDocument();
+    expect(calls).toBe(3);
+  });
+});
+
+describe('video details', () => {
+  const DETAILED_INFO = {
+    ...VIDEO_INFO,
+    like_count: 4321,
+    upload_date: '20240501',
+    channel_url: 'https://www.youtube.com/@TestChannel',
+    description: 'Slides: https://example.com/slides.\n0:00 Intro\n1:05 Demo',
+    tags: ['react', 'downloader'],
+    categories: ['Education'],
+    chapters: [{ title: 'Intro', start_time: 0 }, { title: 'Demo', start_time: 65 }],
+    thumbnails: [
+      { url: 'https://i.ytimg.com/vi/dQw4w9WgXcQ/hqdefault.jpg', width: 480, height: 360 },
+      { url: 'https://i.ytimg.com/vi/dQw4w9WgXcQ/maxresdefault.webp', width: 1280, height: 720 },
+    ],
+  };
+
+  afterEach(() => {
+    // jsdom has no object URLs; drop the stand-ins set by the thumbnail test
+    delete window.URL.createObjectURL;
+    delete window.URL.revokeObjectURL;
+  });
+
+  it('shows likes, the upload date and a channel link on the card', async () => {
+    server.use(http.post(`${API}/video-info`, () => HttpResponse.json(DETAILED_INFO)));
+    const user = userEvent.setup();
+    renderApp();
+
+    await fetchInfo(user);
+
+    await screen.findByRole('heading', { name: 'Test Video' });
+    expect(screen.getByText('4,321')).toBeInTheDocument();
+    expect(screen.getByText('May 1, 2024')).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: 'Test Channel' })).toHaveAttribute('href', 'https://www.youtube.com/@TestChannel');
+  });
+
+  it('expands the description with links, timestamps, tags and chapters', async () => {
+    server.use(http.post(`${API}/video-info`, () => HttpResponse.json(DETAILED_INFO)));
+    const user = userEvent.setup();
+    renderApp();
+
+    await fetchInfo(user);
+    const toggle = await screen.findByRole('button', { name: /^Details/ });
+    expect(toggle).toHaveAttribute('aria-expanded', 'false');
+    expect(screen.queryByText('Education')).not.toBeInTheDocument();
+    await user.click(toggle);
+
+    expect(toggle).toHaveAttribute('aria-expanded', 'true');
+    expect(screen.getByRole('link', { name: 'https://example.com/slides' })).toHaveAttribute('rel', 'noopener noreferrer');
+    expect(screen.getAllByRole('link', { name: '1:05' })[0]).toHaveAttribute('href', `${VIDEO_URL}&t=65s`);
+    expect(screen.getByText('Education')).toBeInTheDocument();
+    expect(screen.getByText('downloader')).toBeInTheDocument();
+
+    // Chapters without an end run until the next one, the last until the end of the video
+    const chapters = screen.getAllByRole('listitem').filter(item => /Intro|Demo/.test(item.textContent));
+    expect(chapters.map(item => item.textContent)).toEqual(['0:00Intro01:05', '1:05Demo02:27']);
+  });
+
+  it('opens the details of a video that has no chapters', async () => {
+    // yt-dlp sends null rather than an empty list
+    server.use(http.post(`${API}/video-info`, () => HttpResponse.json({ ...DETAILED_INFO, chapters: null })));
+    const user = userEvent.setup();
+    renderApp();
+
+    await fetchInfo(user);
+    await user.click(await screen.findByRole('button', { name: /^Details/ }));
+
+    expect(screen.getByText('Education')).toBeInTheDocument();
+    expect(screen.queryByRole('heading', { name: 'Chapters' })).not.toBeInTheDocument();
+  });
+
+  it('downloads the chosen thumbnail size under the video title', async () => {
+    server.use(
+      http.post(`${API}/video-info`, () => HttpResponse.json(DETAILED_INFO)),
+      http.get('https://i.ytimg.com/vi/dQw4w9WgXcQ/maxresdefault.webp', () => new HttpResponse(new Uint8Array([1, 2, 3]), {
+        headers: { 'Content-Type': 'image/webp' },
+      })),
+    );
+    window.URL.createObjectURL = vi.fn(() => 'blob:thumbnail');
+    window.URL.revokeObjectURL = vi.fn();
+    const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+      click.downloaded = this.getAttribute('download');
+    });
+    const user = userEvent.setup();
+    renderApp();
+
+    await fetchInfo(user);
+    await user.click(await screen.findByRole('button', { name: /^Details/ }));
+    const size = screen.getByRole('combobox', { name: 'Thumbnail size' });
+    // Largest first
+    expect(within(size).getAllByRole('option').map(option => option.textContent)).toEqual(['1280×720', '480×360']);
+    await user.click(screen.getByRole('button', { name: 'Download thumbnail' }));
+
+    await waitFor(() => expect(click.downloaded).toBe('Test Video [1280x720].webp'));
+    expect(window.URL.createObjectURL.mock.calls[0][0].size).toBe(3);
+  });
+});
+
+describe('share target', () => {
+  afterEach(() => window.history.replaceState(null, '', '/'));
+
+  it('fetches a link shared into the app and clears it from the address bar', async () => {
+    window.history.replaceState(null, '', `/?title=Look&text=${encodeURIComponent('Watch this https://youtu.be/dQw4w9WgXcQ?si=abc')}`);
+    renderApp();
+
+    expect(await screen.findByRole('heading', { name: 'Test Video' })).toBeInTheDocument();
+    expect(screen.getByRole('textbox', { name: 'YouTube URL' })).toHaveValue(VIDEO_URL);
+    expect(window.location.search).toBe('');
+  });
+
+  it('explains when the shared content has no YouTube link', async () => {
+    const onRequest = vi.fn();
+    server.events.on('request:start', onRequest);
+    window.history.replaceState(null, '', '/?text=https%3A%2F%2Fvimeo.com%2F12345');
+    renderApp();
+
+    expect((await screen.findAllByText('Only YouTube links are supported')).length).toBeGreaterThan(0);
+    expect(onRequest).not.toHaveBeenCalled();
+  });
+});
+
+describe('backend status', () => {
+  it('shows the unreachable state after a network failure and clears it once the backend answers', async () => {
+    server.use(http.post(`${API}/video-info`, () => HttpResponse.error()));
+    const user = userEvent.setup();
+    renderApp();
+
+    await fetchInfo(user);
+
+    expect(await screen.findByText("Can't reach the download server", {}, FLOW_TIMEOUT)).toBeInTheDocument();
+    expect(screen.getByText(`No response from ${API}. Check that the backend is running and the address is correct.`)).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Try again' }));
+    await waitFor(() => expect(screen.queryByText("Can't reach the download server")).not.toBeInTheDocument());
+  });
+
+  it('shows the offline state while the browser has no connection', async () => {
+    renderApp();
+
+    act(() => {
+      vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+      window.dispatchEvent(new Event('offline'));
+    });
+
+    expect(screen.getByText("You're offline")).toBeInTheDocument();
+  });
+});
+
+describe('settings', () => {
+  it('previews the filename template live and saves it', async () => {
+    const user = userEvent.setup();
+    renderApp();
+
+    await user.click(screen.getByRole('button', { name: 'Settings' }));
+    const input = screen.getByRole('textbox', { name: 'Filename template' });
+    expect(screen.getByText('Never Gonna Give You Up.mp4')).toBeInTheDocument();
+
+    await user.clear(input);
+    await user.type(input, '{{author} - {{title}');
+    expect(screen.getByText('Rick Astley - Never Gonna Give You Up.mp4')).toBeInTheDocument();
+    expect(JSON.parse(localStorage.getItem('settings')).filenameTemplate).toBe('{author} - {title}');
+
+    await user.click(screen.getByRole('button', { name: 'Restore default' }));
+    expect(input).toHaveValue('{title}.{ext}');
+  });
+
+  it('tests a backend address before saving it and sends later requests there', async () => {
+    const OTHER_API = 'http://downloads.example.com/api';
+    let requestedAt = null;
+    server.use(
+      http.get(`${OTHER_API}/health`, () => HttpResponse.json({ status: 'ok' })),
+      http.post(`${OTHER_API}/video-info`, ({ request }) => {
+        requestedAt = request.url;
+        return HttpResponse.json(VIDEO_INFO);
+      }),
+    );
+    const user = userEvent.setup();
+    renderApp();
+
+    await user.click(screen.getByRole('button', { name: 'Settings' }));
+    const input = screen.getByRole('textbox', { name: 'API base URL' });
+
+    await user.type(input, 'downloads.example.com');
+    expect(screen.getByText('Enter a full address starting with http:// or https://')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Save' })).toBeDisabled();
+
+    await user.clear(input);
+    await user.type(input, `${OTHER_API}/`);
+    await user.click(screen.getByRole('button', { name: 'Test connection' }));
+    expect(await screen.findByText(`Connected to ${OTHER_API}`)).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Save' }));
+    expect(JSON.parse(localStorage.getItem('settings')).apiUrl).toBe(OTHER_API);
+
+    await fetchInfo(user);
+    expect(await screen.findByRole('heading', { name: 'Test Video' })).toBeInTheDocument();
+    expect(requestedAt).toBe(`${OTHER_API}/video-info`);
+  });
+
+  it('reports a backend address that does not answer', async () => {
+    server.use(http.get('http://nowhere.example.com/api/health', () => HttpResponse.error()));
+    const user = userEvent.setup();
+    renderApp();
+
+    await user.click(screen.getByRole('button', { name: 'Settings' }));
+    await user.type(screen.getByRole('textbox', { name: 'API base URL' }), 'http://nowhere.example.com/api');
+    await user.click(screen.getByRole('button', { name: 'Test connection' }));
+
+    expect(await screen.findByText('No response from http://nowhere.example.com/api')).toBeInTheDocument();
+    // Probing another address does not mark the configured backend as down
+    expect(screen.queryByText("Can't reach the download server")).not.toBeInTheDocument();
+  });
+
+  it('previews with the loaded video', async () => {
+    const user = userEvent.setup();
+    renderApp();
+
+    await fetchInfo(user);
+    await screen.findByRole('heading', { name: 'Test Video' });
+    await user.click(screen.getByRole('button', { name: 'Settings' }));
+    const input = screen.getByRole('textbox', { name: 'Filename template' });
+    await user.clear(input);
+    await user.type(input, '{{title} [[{{id}] {{resolution}');
+
+    expect(screen.getByText('Preview for this video:')).toBeInTheDocument();
+    expect(screen.getByText('Test Video [dQw4w9WgXcQ] 720p.mp4')).toBeInTheDocument();
+  });
+});
+
+describe('keyboard and screen readers', () => {
+  it('drives the whole flow with single-key shortcuts', async () => {
+    vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+    const user = userEvent.setup();
+    renderApp();
+    const input = screen.getByRole('textbox', { name: 'YouTube URL' });
+
+    await user.keyboard('/');
+    expect(input).toHaveFocus();
+    // Letters typed into the field are text, not shortcuts
+    await user.type(input, VIDEO_URL);
+    expect(screen.queryByRole('heading', { name: 'Test Video' })).not.toBeInTheDocument();
+
+    await user.tab();
+    await user.keyboard('f');
+    const title = await screen.findByRole('heading', { name: 'Test Video' });
+    expect(title).toHaveFocus();
+
+    await user.keyboard('d');
+    expect(await screen.findByText('Completed', {}, FLOW_TIMEOUT)).toBeInTheDocument();
+    expect(screen.getByText('1280x720 • MP4')).toBeInTheDocument();
+
+    await user.keyboard('h');
+    expect(screen.getByRole('button', { name: /Hide History/i })).toHaveAttribute('aria-expanded', 'true');
+  });
+
+  it('cancels the latest download', async () => {
+    server.use(http.get(`${API}/progress/:sessionId`, () => HttpResponse.json({ progress: 40, error: null, status: 'Downloading' })));
+    const user = userEvent.setup();
+    renderApp();
+
+    await fetchInfo(user);
+    await downloadMuxedFormat(user);
+    const bar = await screen.findByRole('progressbar', { name: 'Progress of Test Video' });
+    await waitFor(() => expect(bar).toHaveAttribute('aria-valuenow', '40'), FLOW_TIMEOUT);
+    expect(bar).toHaveAttribute('aria-valuemin', '0');
+    expect(bar).toHaveAttribute('aria-valuemax', '100');
+    // Announced at quarter steps
+    expect(screen.getByText('Test Video: 25%')).toBeInTheDocument();
+
+    await user.keyboard('c');
+
+    expect(await screen.findByText('Test Video: Cancelled')).toBeInTheDocument();
+  });
+
+  it('ignores shortcuts once they are turned off in settings', async () => {
+    const user = userEvent.setup();
+    renderApp();
+
+    await user.click(screen.getByRole('button', { name: 'Settings' }));
+    await user.click(screen.getByRole('checkbox', { name: 'Enable single-key shortcuts' }));
+    await user.keyboard('/');
+
+    expect(screen.getByRole('textbox', { name: 'YouTube URL' })).not.toHaveFocus();
+    expect(JSON.parse(localStorage.getItem('settings')).keyboardShortcuts).toBe(false);
+  });
+
+  it('lists the shortcuts in a dialog that returns focus when closed', async () => {
+    const user = userEvent.setup();
+    renderApp();
+    const opener = screen.getByRole('button', { name: 'Shortcuts' });
+
+    await user.click(opener);
+    const dialog = screen.getByRole('dialog', { name: 'Keyboard shortcuts' });
+    expect(within(dialog).getByText('Get video info')).toBeInTheDocument();
+    expect(within(dialog).getByRole('button', { name: 'Close' })).toHaveFocus();
+    // Focus stays inside the dialog
+    await user.tab();
+    expect(within(dialog).getByRole('button', { name: 'Close' })).toHaveFocus();
+
+    await user.keyboard('{Escape}');
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+    expect(opener).toHaveFocus();
+  });
+
+  it('moves between format rows with the arrow keys', async () => {
+    server.use(http.post(`${API}/video-info`, () => HttpResponse.json({
+      ...VIDEO_INFO,
+      formats: [
+        ...VIDEO_INFO.formats,
+        { format_id: '18', resolution: '640x360', fps: 30, quality: '360p', filesize: '9.1MiB', ext: 'mp4', vcodec: 'avc1.42001E', acodec: 'mp4a.40.2', tbr: 500 },
+      ],
+    })));
+    const user = userEvent.setup();
+    renderApp();
+
+    await fetchInfo(user);
+    await screen.findByRole('heading', { name: 'Test Video' });
+    const [first, second] = screen.getAllByRole('button', { name: 'Download' });
+    // One tab stop for the whole list
+    expect(first).toHaveAttribute('tabindex', '0');
+    expect(second).toHaveAttribute('tabindex', '-1');
+    expect(first).toHaveAccessibleDescription(/^1280x720/);
+
+    first.focus();
+    await user.keyboard('{ArrowDown}');
+    expect(second).toHaveFocus();
+    expect(second).toHaveAttribute('tabindex', '0');
+    await user.keyboard('{Home}');
+    expect(first).toHaveFocus();
+  });
+
+  it('announces errors and returns focus to the URL field', async () => {
+    server.use(http.post(`${API}/video-info`, () => HttpResponse.json({ error: 'Video unavailable' }, { status: 400 })));
+    const user = userEvent.setup();
+    renderApp();
+
+    await fetchInfo(user);
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Video unavailable');
+    expect(screen.getByRole('textbox', { name: 'YouTube URL' })).toHaveFocus();
+  });
+});
+
+describe('trimming', () => {
+  it('accepts typed times when the video length is unknown', async () => {
+    server.use(http.post(`${API}/video-info`, () => HttpResponse.json({ ...VIDEO_INFO, duration_seconds: 0 })));
+    const user = userEvent.setup();
+    renderApp();
+
+    await fetchInfo(user);
+    await user.click(await screen.findByRole('checkbox', { name: 'Download only part of the video' }));
+    const end = screen.getByRole('textbox', { name: 'End' });
+    await user.clear(end);
+    await user.type(end, '1:30{Enter}');
+
+    expect(end).toHaveValue('1:30');
+    expect(screen.queryByText(/cannot exceed the video length/)).not.toBeInTheDocument();
+  });
+});
+
+describe('playlists', () => {
+  const PLAYLIST_INFO = {
+    title: 'Test Playlist',
+    author: 'Test Channel',
+    entries: [
+      { id: 'aaaaaaaaaaa', title: 'First Entry', duration: 60 },
+      { id: 'bbbbbbbbbbb', title: 'Second Entry', duration: 90 },
+    ],
+  };
+
+  it('labels the best batch preset as unlimited, like the settings', async () => {
+    server.use(http.post(`${API}/video-info`, () => HttpResponse.json(PLAYLIST_INFO)));
+    const user = userEvent.setup();
+    renderApp();
+
+    await fetchInfo(user);
+    const quality = await screen.findByRole('combobox', { name: 'Batch quality' });
+
+    expect(quality).toHaveValue('best');
+    expect(within(quality).getByRole('option', { name: 'Best available' })).toBeInTheDocument();
+  });
+
+  it('extracts batch audio in the format chosen in the settings', async () => {
+    localStorage.setItem('settings', JSON.stringify({ audioFormat: 'flac' }));
+    vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+    server.use(http.post(`${API}/video-info`, () => HttpResponse.json(PLAYLIST_INFO)));
+    const payloads = [];
+    server.use(http.post(`${API}/start-download`, async ({ request }) => {
+      payloads.push(await request.json());
+      return HttpResponse.json({ session_id: `session-${payloads.length}` });
+    }));
+    const user = userEvent.setup();
+    renderApp();
+
+    await fetchInfo(user);
+    await user.selectOptions(await screen.findByRole('combobox', { name: 'Batch quality' }), 'Audio only (FLAC)');
+    await user.click(screen.getByRole('button', { name: 'Download 2 selected' }));
+
+    await waitFor(() => expect(payloads).toHaveLength(2));
+    expect(payloads[0]).toMatchObject({ is_audio: true, audio: { format: 'flac', bitrate: null } });
+    expect(payloads[0].filename).toMatch(/\.flac$/);
+  });
+});
+
+describe('subtitles', () => {
+  it('keeps the preview loading when a quick track switch aborts the previous request', async () => {
+    server.use(http.post(`${API}/video-info`, () => HttpResponse.json({
+      ...VIDEO_INFO,
+      subtitles: { en: [{ ext: 'vtt', name: 'English' }], fr: [{ ext: 'vtt', name: 'French' }] },
+    })));
+    const respond = {};
+    server.use(http.post(`${API}/subtitles`, async ({ request }) => {
+      const { lang } = await request.json();
+      await new Promise(resolve => { respond[lang] = resolve; });
+      return new HttpResponse(`WEBVTT\n\n00:00.000 --> 00:01.000\nHello in ${lang}\n`, { headers: { 'Content-Type': 'text/vtt' } });
+    }));
+    const user = userEvent.setup();
+    renderApp();
+
+    await fetchInfo(user);
+    await screen.findByText('Loading preview...');
+    await waitFor(() => expect(respond.en).toBeDefined());
+    await user.selectOptions(screen.getByRole('combobox', { name: 'Caption track' }), 'manual:fr');
+    await waitFor(() => expect(respond.fr).toBeDefined());
+    // The aborted English request has settled by now
+    await act(() => new Promise(resolve => setTimeout(resolve, 50)));
+
+    expect(screen.getByText('Loading preview...')).toBeInTheDocument();
+
+    respond.en();
+    respond.fr();
+    expect(await screen.findByText('Hello in fr')).toBeInTheDocument();
+    expect(screen.queryByText('Loading preview...')).not.toBeInTheDocument();
+  });
+
+  it('shows a video whose caption lists are null without the subtitles panel', async () => {
+    server.use(http.post(`${API}/video-info`, () => HttpResponse.json({
+      ...VIDEO_INFO,
+      subtitles: null,
+      automatic_captions: null,
+    })));
+    const user = userEvent.setup();
+    renderApp();
+
+    await fetchInfo(user);
+
+    expect(await screen.findByText(VIDEO_INFO.title)).toBeInTheDocument();
+    expect(screen.queryByRole('combobox', { name: 'Caption track' })).not.toBeInTheDocument();
+  });
+});
+
+describe('error guidance', () => {
+  it('explains a private video and copies the diagnostic details', async () => {
+    server.use(http.post(`${API}/video-info`, () => HttpResponse.json({ error: 'ERROR: [youtube] dQw4w9WgXcQ: Private video' }, { status: 400 })));
+    const user = userEvent.setup();
+    renderApp();
+
+    await fetchInfo(user);
+
+    expect(await screen.findByText('This video is private or members-only.')).toBeInTheDocument();
+    // Retrying cannot make a private video public
+    expect(screen.queryByRole('button', { name: 'Retry request' })).not.toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Copy diagnostic details' }));
+
+    expect(await screen.findByText('Copied')).toBeInTheDocument();
+    const copied = await navigator.clipboard.readText();
+    expect(copied).toContain('Error: privateVideo');
+    expect(copied).toContain('Endpoint: POST /video-info');
+    expect(copied).toContain('Status: 400');
+    expect(copied).toContain(`Video: ${VIDEO_URL}`);
+  });
+
+  it('offers to check the backend settings when the server cannot be reached', async () => {
+    let reachable = false;
+    server.use(http.post(`${API}/video-info`, () => (reachable ? HttpResponse.json(VIDEO_INFO) : HttpResponse.error())));
+    const user = userEvent.setup();
+    renderApp();
+
+    await fetchInfo(user);
+
+    expect(await screen.findByText('The backend cannot be reached.', {}, FLOW_TIMEOUT)).toBeInTheDocument();
+    await user.click(screen.getByRole('button', { name: 'Check backend settings' }));
+    await waitFor(() => expect(screen.getByLabelText('API base URL')).toHaveFocus());
+
+    reachable = true;
+    await user.click(screen.getByRole('button', { name: 'Retry request' }));
+    expect(await screen.findByRole('heading', { name: 'Test Video' })).toBeInTheDocument();
+    expect(screen.queryByText('The backend cannot be reached.')).not.toBeInTheDocument();
+  });
+
+  it('keeps polling through transient progress-check failures', async () => {
+    let polls = 0;
+    server.use(http.get(`${API}/progress/:sessionId`, () => {
+      polls += 1;
+      if (polls === 1) return HttpResponse.error();
+      if (polls === 2) return new HttpResponse(null, { status: 503 });
+      return HttpResponse.json({ progress: 100, error: null, status: 'Finished' });
+    }));
+    vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+    // The failed checks back off before the next one; skip the waiting
+    vi.useFakeTimers({ shouldAdvanceTime: true });
+    try {
+      const user = userEvent.setup({ advanceTimers: vi.advanceTimersByTime });
+      renderApp();
+
+      await fetchInfo(user);
+      await downloadMuxedFormat(user);
+      await act(() => vi.advanceTimersByTimeAsync(5000));
+
+      expect(await screen.findByText('Completed', {}, FLOW_TIMEOUT)).toBeInTheDocument();
+      expect(polls).toBe(3);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('sends focus to the formats when the chosen format is no longer offered', async () => {
+    server.use(http.get(`${API}/progress/:sessionId`, () => HttpResponse.json({ progress: 12, error: 'ERROR: Requested format is not available' })));
+    const user = userEvent.setup();
+    renderApp();
+
+    await fetchInfo(user);
+    await downloadMuxedFormat(user);
+
+    expect(await screen.findByText('This format is no longer offered.', {}, FLOW_TIMEOUT)).toBeInTheDocument();
+    await user.click(screen.getByRole('button', { name: 'Pick another format' }));
+    expect(screen.getByRole('heading', { name: 'Video Formats Available' })).toHaveFocus();
+  });
+});
+
+describe('sizes and disk space', () => {
+  afterEach(() => {
+    delete navigator.storage;
+  });
+
+  const stubFreeSpace = (bytes) => {
+    Object.defineProperty(navigator, 'storage', {
+      configurable: true,
+      value: { estimate: vi.fn().mockResolvedValue({ quota: bytes, usage: 0 }) },
+    });
+  };
+
+  it('estimates missing sizes from the bitrate and shows the merged total', async () => {
+    server.use(http.post(`${API}/video-info`, () => HttpResponse.json({
+      ...VIDEO_INFO,
+      formats: [
+        { format_id: '137', resolution: '1920x1080', fps: 30, quality: '1080p', filesize: 'Unknown', ext: 'mp4', vcodec: 'avc1.640028', acodec: 'none', vbr: 1000 },
+        VIDEO_INFO.formats[1],
+      ],
+    })));
+    const user = userEvent.setup();
+    renderApp();
+
+    await fetchInfo(user);
+
+    // 1000 kbps over 212 s, plus the 3.4 MiB audio stream
+    const cell = await screen.findByText('~25.3 MB');
+    expect(cell).toHaveAttribute('title', 'Estimated from the bitrate and duration');
+    expect(screen.getByText('~28.7 MB with audio')).toBeInTheDocument();
+  });
+
+  it('asks before starting a download that may not fit', async () => {
+    stubFreeSpace(10 * 1024 ** 2);
+    const confirm = vi.spyOn(window, 'confirm').mockReturnValue(false);
+    const onStart = vi.fn();
+    server.events.on('request:start', ({ request }) => request.url.endsWith('/start-download') && onStart());
+    const user = userEvent.setup();
+    renderApp();
+
+    await fetchInfo(user);
+    await downloadMuxedFormat(user);
+
+    await waitFor(() => expect(confirm).toHaveBeenCalledWith(
+      'This download needs about 48.2 MB, but only 10 MB of storage looks free. Download anyway?'
+    ));
+    expect(onStart).not.toHaveBeenCalled();
+    expect(screen.queryByRole('heading', { name: /Download Queue/ })).not.toBeInTheDocument();
+
+    confirm.mockReturnValue(true);
+    await downloadMuxedFormat(user);
+
+    await waitFor(() => expect(onStart).toHaveBeenCalledTimes(1));
+  });
+
+  it('opens the save dialog before checking the space, while the click still counts', async () => {
+    const calls = [];
+    window.showSaveFilePicker = vi.fn(async () => {
+      calls.push('picker');
+      return createFileHandle('Test Video.mp4');
+    });
+    Object.defineProperty(navigator, 'storage', {
+      configurable: true,
+      value: { estimate: vi.fn(async () => { calls.push('estimate'); return { quota: 1024 ** 3, usage: 0 }; }) },
+    });
+    const user = userEvent.setup();
+    renderApp();
+
+    await fetchInfo(user);
+    await downloadMuxedFormat(user);
+
+    await waitFor(() => expect(calls).toEqual(['picker', 'estimate']));
+  });
+
+  it('starts right away when there is room', async () => {
+    stubFreeSpace(1024 ** 3);
+    const confirm = vi.spyOn(window, 'confirm');
+    const user = userEvent.setup();
+    renderApp();
+
+    await fetchInfo(user);
+    await downloadMuxedFormat(user);
+
+    expect(await screen.findByRole('progressbar', { name: /Test Video/ })).toBeInTheDocument();
+    expect(confirm).not.toHaveBeenCalled();
+  });
+});
+
+describe('downloading', () => {
+  it('streams the finished file into the chosen handle at 100%', async () => {
+    const handle = createFileHandle('Test Video.mp4');
+    window.showSaveFilePicker = vi.fn().mockResolvedValue(handle);
+    let payload = null;
+    server.use(http.post(`${API}/start-download`, async ({ request }) => {
+      payload = await request.json();
+      return HttpResponse.json({ session_id: 'session-1' });
+    }));
+    const user = userEvent.setup();
+    renderApp();
+
+    await fetchInfo(user);
+    await downloadMuxedFormat(user);
+
+    expect(await screen.findByText('Download of "Test Video.mp4" completed successfully!', {}, FLOW_TIMEOUT)).toBeInTheDocument();
+    expect(window.showSaveFilePicker).toHaveBeenCalledWith({ suggestedName: 'Test Video.mp4' });
+    expect(payload).toMatchObject({ url: VIDEO_URL, format_id: '22', is_audio: false });
+    expect(written(handle)).toBe('fake video bytes');
+    expect(screen.getByText('Saved as "Test Video.mp4"')).toBeInTheDocument();
+    expect(screen.getByText('Completed')).toBeInTheDocument();
+    // The finished download is recorded in the history
+    expect(await screen.findByRole('button', { name: /^History\s*\(1\)$/ })).toBeInTheDocument();
+  });
+
+  it('re-downloads a playlist entry from the history with its resolution preset', async () => {
+    await addHistoryEntry({
+      url: VIDEO_URL, title: 'Test Video', author: 'Test Channel', thumbnail: '', format_id: null, quality: '480',
+      ext: 'mp4', is_audio: false, resolution: '480p', filename: 'Test Video.mp4', size: null, timestamp: Date.now(),
+    });
+    vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+    let payload = null;
+    server.use(http.post(`${API}/start-download`, async ({ request }) => {
+      payload = await request.json();
+      return HttpResponse.json({ session_id: 'session-1' });
+    }));
+    const user = userEvent.setup();
+    renderApp();
+
+    await user.click(await screen.findByRole('button', { name: /^History\s*\(1\)$/ }));
+    expect(screen.getByRole('combobox', { name: 'Download type' })).toHaveValue('all');
+    await user.click(screen.getByRole('button', { name: /Again/ }));
+
+    await waitFor(() => expect(payload).toMatchObject({ url: VIDEO_URL, format_id: null, quality: '480' }));
+  });
+
+  it('downloads the best match for the default resolution as soon as info loads', async () => {
+    localStorage.setItem('settings', JSON.stringify({ autoDownload: true, videoResolution: '720', videoContainer: 'mp4' }));
+    window.showSaveFilePicker = vi.fn();
+    vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+    let payload = null;
+    server.use(http.post(`${API}/start-download`, async ({ request }) => {
+      payload = await request.json();
+      return HttpResponse.json({ session_id: 'session-1' });
+    }));
+    const user = userEvent.setup();
+    renderApp();
+
+    await fetchInfo(user);
+
+    expect(await screen.findByText('Completed', {}, FLOW_TIMEOUT)).toBeInTheDocument();
+    expect(payload).toMatchObject({ url: VIDEO_URL, format_id: '22', is_audio: false, filename: 'Test Video.mp4' });
+    expect(screen.getByText('Auto • 1280x720 • MP4')).toBeInTheDocument();
+    // No user gesture to open the save dialog with
+    expect(window.showSaveFilePicker).not.toHaveBeenCalled();
+  });
+
+  it('names the download from the saved filename template', async () => {
+    localStorage.setItem('settings', JSON.stringify({ filenameTemplate: '{author} - {title} [{resolution}] ({date}).{ext}' }));
+    const handle = createFileHandle('Test Channel - Test Video [720p].mp4');
+    window.showSaveFilePicker = vi.fn().mockResolvedValue(handle);
+    let payload = null;
+    server.use(http.post(`${API}/start-download`, async ({ request }) => {
+      payload = await request.json();
+      return HttpResponse.json({ session_id: 'session-1' });
+    }));
+    const user = userEvent.setup();
+    renderApp();
+
+    await fetchInfo(user);
+    await downloadMuxedFormat(user);
+
+    // The test video has no upload date, so "({date})" is dropped
+    expect(window.showSaveFilePicker).toHaveBeenCalledWith({ suggestedName: 'Test Channel - Test Video [720p].mp4' });
+    expect(await screen.findByText('Completed', {}, FLOW_TIMEOUT)).toBeInTheDocument();
+    expect(payload.filename).toBe('Test Channel - Test Video [720p].mp4');
+  });
+
+  it('reports progress until completion, then hands the file to the browser', async () => {
+    const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+    const updates = [
+      { progress: 40, error: null, status: 'Downloading', downloaded: '19.3MiB', total: '48.2MiB', speed: '2.00MiB/s', eta: '00:14' },
+      { progress: 100, error: null, status: 'Finished' },
+    ];
+    server.use(http.get(`${API}/progress/:sessionId`, () => HttpResponse.json(updates.length > 1 ? updates.shift() : updates[0])));
+    const user = userEvent.setup();
+    renderApp();
+
+    await fetchInfo(user);
+    await downloadMuxedFormat(user);
+
+    expect(await screen.findByText('40%', {}, FLOW_TIMEOUT)).toBeInTheDocument();
+    expect(screen.getByText('Downloading')).toBeInTheDocument();
+    expect(screen.getByText('Speed: 2 MB/s')).toBeInTheDocument();
+    expect(screen.getByText('ETA: 00:14')).toBeInTheDocument();
+
+    expect(await screen.findByText('Completed', {}, FLOW_TIMEOUT)).toBeInTheDocument();
+    expect(screen.getByText('100%')).toBeInTheDocument();
+    expect(click).toHaveBeenCalledTimes(1);
+    const link = click.mock.contexts[0];
+    expect(link.href).toBe(`${API}/file/session-1`);
+    expect(link.getAttribute('download')).toBe('Test Video.mp4');
+  });
+
+  it('fails the download when the progress feed reports an error', async () => {
+    server.use(http.get(`${API}/progress/:sessionId`, () => HttpResponse.json({ progress: 12, error: 'ERROR: Requested format is not available' })));
+    const user = userEvent.setup();
+    renderApp();
+
+    await fetchInfo(user);
+    await downloadMuxedFormat(user);
+
+    expect(await screen.findByText('ERROR: Requested format is not available', {}, FLOW_TIMEOUT)).toBeInTheDocument();
+    expect(screen.getByText('Failed')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Retry' })).toBeInTheDocument();
+  });
+
+  it('fails the download when the session disappears from the progress endpoint', async () => {
+    server.use(http.get(`${API}/progress/:sessionId`, () => HttpResponse.json({ error: 'Session not found' }, { status: 404 })));
+    const user = userEvent.setup();
+    renderApp();
+
+    await fetchInfo(user);
+    await downloadMuxedFormat(user);
+
+    expect(await screen.findByText('The server no longer has this download session', {}, FLOW_TIMEOUT)).toBeInTheDocument();
+  });
+
+  it('fails the download when the progress endpoint stays unreachable', async () => {
+    server.use(http.get(`${API}/progress/:sessionId`, () => HttpResponse.error()));
+    // Failed checks back off for half a minute before the download is given up on
+    vi.useFakeTimers({ shouldAdvanceTime: true });
+    try {
+      const user = userEvent.setup({ advanceTimers: vi.advanceTimersByTime });
+      renderApp();
+
+      await fetchInfo(user);
+      await downloadMuxedFormat(user);
+      await act(() => vi.advanceTimersByTimeAsync(40000));
+
+      expect(await screen.findByText('Download progress check failed', {}, FLOW_TIMEOUT)).toBeInTheDocument();
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('shows why a download could not start', async () => {
+    server.use(http.post(`${API}/start-download`, () => HttpResponse.json({ error: 'Too many downloads' }, { status: 429 })));
+    const user = userEvent.setup();
+    renderApp();
+
+    await fetchInfo(user);
+    await downloadMuxedFormat(user);
+
+    expect(await screen.findByText('Download failed to start: Too many downloads')).toBeInTheDocument();
+  });
+
+  it('fails when the finished file cannot be fetched', async () => {
+    window.showSaveFilePicker = vi.fn().mockResolvedValue(createFileHandle('Test Video.mp4'));
+    server.use(http.get(`${API}/file/:sessionId`, () => new HttpResponse(null, { status: 410, statusText: 'Gone' })));
+    const user = userEvent.setup();
+    renderApp();
+
+    await fetchInfo(user);
+    await downloadMuxedFormat(user);
+
+    expect(await screen.findByText('Failed to download file: Request failed with status 410 (Gone)', {}, FLOW_TIMEOUT)).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,37 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { LanguageContext } from './hooks/useTranslation';
+import { createTranslator, detectLanguage, getLanguage, LANGUAGES } from './utils/i18n';
+
+export const LanguageProvider = ({ children }) => {
+  const [language, setLanguageState] = useState(() => {
+    // A saved choice wins; otherwise start from the browser's preferred languages
+    const savedLanguage = localStorage.getItem('language');
+    return LANGUAGES.some(option => option.code === savedLanguage) ? savedLanguage : detectLanguage();
+  });
+
+  const { locale, dir } = getLanguage(language);
+
+  useEffect(() => {
+    // lang drives fonts, hyphenation and screen readers; dir flips the layout for RTL scripts
+    document.documentElement.lang = locale;
+    document.documentElement.dir = dir;
+  }, [locale, dir]);
+
+  const value = useMemo(() => ({
+    language,
+    locale,
+    dir,
+    t: createTranslator(language),
+    setLanguage: (code) => {
+      if (!LANGUAGES.some(option => option.code === code)) return;
+      localStorage.setItem('language', code);
+      setLanguageState(code);
+    },
+  }), [language, locale, dir]);
+
+  return (
+    <LanguageContext.Provider value={value}>
+      {children}
+    </LanguageContext.Provider>
+  );
+};
@@ -0,0 +1,28 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { SettingsContext } from './hooks/useSettings';
+import { DEFAULT_SETTINGS, readSettings, writeSettings } from './utils/settings';
+import { configureApi } from './utils/api';
+import { configureProgress } from './utils/progressStream';
+
+export const SettingsProvider = ({ children }) => {
+  const [settings, setSettings] = useState(readSettings);
+
+  useEffect(() => {
+    writeSettings(settings);
+    // The API client and progress poller read their initial values from storage at load
+    configureApi(settings);
+    configureProgress(settings);
+  }, [settings]);
+
+  const value = useMemo(() => ({
+    settings,
+    updateSettings: (patch) => setSettings(prev => ({ ...prev, ...patch })),
+    resetSettings: () => setSettings({ ...DEFAULT_SETTINGS }),
+  }), [settings]);
+
+  return (
+    <SettingsContext.Provider value={value}>
+      {children}
+    </SettingsContext.Provider>
+  );
+};
@@ -1,30 +1,42 @@
-import React, { createContext, useContext, useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect } from 'react';
+import { ThemeContext } from './hooks/useTheme';
 
-const ThemeContext = createContext();
+const THEMES = ['light', 'dark', 'system'];
+
+const darkQuery = () => window.matchMedia('(prefers-color-scheme: dark)');
+const prefersReducedMotion = () => window.matchMedia('(prefers-reduced-motion: reduce)').matches;
 
 export const ThemeProvider = ({ children }) => {
-  const [theme, setTheme] = useState(() => {
-    // Check if theme is stored in localStorage
+  const [theme, setThemeState] = useState(() => {
+    // Check if theme is stored in localStorage; follow the OS until the user picks one
     const savedTheme = localStorage.getItem('theme');
-    return savedTheme || 'light';
+    return THEMES.includes(savedTheme) ? savedTheme : 'system';
   });
-  const [position, setPosition] = useState({ x: 0, y: 0 });
+  const [systemTheme, setSystemTheme] = useState(() => (darkQuery().matches ? 'dark' : 'light'));
   const [isAnimating, setIsAnimating] = useState(false);
-  const transitionRef = useRef(null);
+
+  const resolvedTheme = theme === 'system' ? systemTheme : theme;
+
+  // Track OS-level changes live so "system" mode flips without a reload
+  useEffect(() => {
+    const query = darkQuery();
+    const handleChange = (e) => setSystemTheme(e.matches ? 'dark' : 'light');
+    query.addEventListener('change', handleChange);
+    return () => query.removeEventListener('change', handleChange);
+  }, []);
 
   useEffect(() => {
     // Update localStorage when theme changes
     localStorage.setItem('theme', theme);
-    
-    // Update document attributes for theme
-    if (theme === 'dark') {
-      document.documentElement.classList.add('dark');
-    } else {
-      document.documentElement.classList.remove('dark');
-    }
   }, [theme]);
 
-  const createRippleEffect = (x, y) => {
+  useEffect(() => {
+    // Update document attributes for theme; color-scheme keeps native controls in sync
+    document.documentElement.classList.toggle('dark', resolvedTheme === 'dark');
+    document.documentElement.style.colorScheme = resolvedTheme;
+  }, [resolvedTheme]);
+
+  const createRippleEffect = (x, y, nextTheme) => {
     // Create a ripple container element
     const rippleContainer = document.createElement('div');
     rippleContainer.className = 'theme-transition-container';
@@ -46,7 +58,7 @@ export const ThemeProvider = ({ children }) => {
     ripple.style.width = '100%';
     ripple.style.height = '100%';
     // Use a semi-transparent color based on the theme we're transitioning to
-    ripple.style.backgroundColor = theme === 'light' ? 'rgba(18, 18, 18, 0.15)' : 'rgba(247, 247, 250, 0.15)';
+    ripple.style.backgroundColor = nextTheme === 'dark' ? 'rgba(18, 18, 18, 0.15)' : 'rgba(247, 247, 250, 0.15)';
     ripple.style.backdropFilter = 'blur(1px)'; // Very slight blur effect that won't hide content
     
     // Create the ripple circle with clip-path
@@ -71,30 +83,39 @@ export const ThemeProvider = ({ children }) => {
     }, 1000);
   };
 
-  const toggleTheme = (event) => {
-    if (isAnimating) return;
-    
+  /**
+   * Switches to `nextTheme` ('light', 'dark' or 'system'). The ripple starts from the
+   * click position and only runs when the visible theme actually changes.
+   */
+  const setTheme = (nextTheme, event) => {
+    if (isAnimating || !THEMES.includes(nextTheme)) return;
+
+    const nextResolved = nextTheme === 'system' ? systemTheme : nextTheme;
+    if (nextResolved === resolvedTheme || prefersReducedMotion()) {
+      setThemeState(nextTheme);
+      return;
+    }
+
     setIsAnimating(true);
     
     // Get position from event or use center of screen
     const x = event?.clientX || window.innerWidth / 2;
     const y = event?.clientY || window.innerHeight / 2;
-    setPosition({ x, y });
     
     // Start ripple effect
-    createRippleEffect(x, y);
+    createRippleEffect(x, y, nextResolved);
     
     // Change theme after a slight delay to allow animation to start
     setTimeout(() => {
-      setTheme(prevTheme => prevTheme === 'light' ? 'dark' : 'light');
+      setThemeState(nextTheme);
     }, 50);
   };
 
+  const toggleTheme = (event) => setTheme(resolvedTheme === 'light' ? 'dark' : 'light', event);
+
   return (
-    <ThemeContext.Provider value={{ theme, toggleTheme, isAnimating }}>
+    <ThemeContext.Provider value={{ theme, resolvedTheme, setTheme, toggleTheme, isAnimating }}>
       {children}
     </ThemeContext.Provider>
   );
 };
-
-export const useTheme = () => useContext(ThemeContext);
\ No newline at end of file
@@ -0,0 +1,148 @@
+import React, { useState } from 'react';
+import { Download, Music, Tag, Image } from 'lucide-react';
+import { useTranslation } from '../hooks/useTranslation';
+import { useSettings } from '../hooks/useSettings';
+import { formatBitrate } from '../utils/format';
+
+// Labels come from `audio.formats.<value>`
+const AUDIO_FORMATS = [
+  { value: 'mp3', lossless: false },
+  { value: 'm4a', lossless: false },
+  { value: 'opus', lossless: false },
+  { value: 'flac', lossless: true },
+  { value: 'wav', lossless: true },
+];
+
+// Target bitrates in kbps; 'best' keeps the source quality (VBR)
+const BITRATES = ['best', '320', '256', '192', '128', '96'];
+
+// WAV has no standard tag or cover-art container
+const supportsTags = (format) => format !== 'wav';
+
+// upload_date arrives as YYYYMMDD
+const yearFrom = (uploadDate) => (/^\d{8}$/.test(uploadDate || '') ? uploadDate.slice(0, 4) : '');
+
+/**
+ * Audio extraction settings: output format, bitrate, editable ID3/metadata tags
+ * and cover art. Everything selected is handed to `onDownload` as the `audio`
+ * options of the start-download payload.
+ */
+const AudioOptions = ({ videoInfo, onDownload }) => {
+  const { settings } = useSettings();
+  const [format, setFormat] = useState(settings.audioFormat);
+  const [quality, setQuality] = useState('192');
+  const [tags, setTags] = useState(() => ({
+    title: videoInfo.title || '',
+    artist: videoInfo.author || '',
+    album: '',
+    year: yearFrom(videoInfo.upload_date),
+  }));
+  const [embedThumbnail, setEmbedThumbnail] = useState(true);
+  const { t, locale } = useTranslation();
+
+  const selected = AUDIO_FORMATS.find(option => option.value === format);
+  const taggable = supportsTags(format);
+  const yearInvalid = tags.year !== '' && !/^\d{4}$/.test(tags.year);
+
+  const updateTag = (field) => (e) => setTags(prev => ({ ...prev, [field]: e.target.value }));
+
+  const bitrateLabel = (value) => (value === 'best' ? t('audio.bestVbr') : formatBitrate(Number(value), locale));
+
+  const handleDownload = () => {
+    onDownload({
+      ext: format,
+      label: t('audio.label', {
+        format: format.toUpperCase(),
+        quality: selected.lossless ? t('audio.lossless') : bitrateLabel(quality),
+      }),
+      audioOptions: {
+        format,
+        bitrate: selected.lossless ? null : quality,
+        tags: taggable ? tags : null,
+        embed_thumbnail: taggable && embedThumbnail,
+      },
+    });
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-line bg-base text-fg-strong rounded-lg focus:outline-none focus:border-green-500';
+
+  return (
+    <div className="mb-8 p-4 bg-surface rounded-lg border-s-4 border-green-500">
+      <h3 className="text-xl font-bold text-green-700 dark:text-green-400 mb-4 flex items-center gap-2">
+        <Music className="w-6 h-6" />
+        {t('audio.title')}
+      </h3>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-4 text-sm">
+        <label className="flex flex-col gap-1 text-fg-soft font-semibold">
+          {t('audio.format')}
+          <select value={format} onChange={(e) => setFormat(e.target.value)} className={inputClass}>
+            {AUDIO_FORMATS.map(option => <option key={option.value} value={option.value}>{t(`audio.formats.${option.value}`)}</option>)}
+          </select>
+        </label>
+        <label className="flex flex-col gap-1 text-fg-soft font-semibold">
+          {t('audio.quality')}
+          <select
+            value={selected.lossless ? 'lossless' : quality}
+            onChange={(e) => setQuality(e.target.value)}
+            disabled={selected.lossless}
+            className={`${inputClass} disabled:opacity-60`}
+          >
+            {selected.lossless
+              ? <option value="lossless">{t('audio.lossless')}</option>
+              : BITRATES.map(value => <option key={value} value={value}>{bitrateLabel(value)}</option>)}
+          </select>
+        </label>
+      </div>
+
+      {/* Metadata tags */}
+      <fieldset disabled={!taggable} className="mb-4 disabled:opacity-60">
+        <legend className="text-sm font-semibold text-fg-soft mb-2 flex items-center gap-2">
+          <Tag className="w-4 h-4 text-green-500" />
+          {t('audio.tags')} {!taggable && <span className="font-normal text-fg-subtle">{t('audio.tagsUnsupported')}</span>}
+        </legend>
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 text-sm">
+          <input value={tags.title} onChange={updateTag('title')} placeholder={t('audio.tagTitle')} aria-label={t('audio.tagTitle')} className={inputClass} />
+          <input value={tags.artist} onChange={updateTag('artist')} placeholder={t('audio.artist')} aria-label={t('audio.artist')} className={inputClass} />
+          <input value={tags.album} onChange={updateTag('album')} placeholder={t('audio.album')} aria-label={t('audio.album')} className={inputClass} />
+          <input
+            value={tags.year}
+            onChange={updateTag('year')}
+            placeholder={t('audio.year')}
+            aria-label={t('audio.year')}
+            inputMode="numeric"
+            maxLength={4}
+            aria-invalid={yearInvalid}
+            className={`${inputClass} ${yearInvalid ? 'border-red-500' : ''}`}
+          />
+        </div>
+        <label className="flex items-center gap-2 mt-3 text-sm text-fg-soft">
+          <input
+            type="checkbox"
+            checked={taggable && embedThumbnail}
+            onChange={(e) => setEmbedThumbnail(e.target.checked)}
+            className="w-4 h-4 accent-green-600"
+          />
+          <Image className="w-4 h-4 text-green-500" />
+          {t('audio.embedThumbnail')}
+        </label>
+      </fieldset>
+
+      <div className="flex items-center justify-between flex-wrap gap-4">
+        <p className="text-sm text-green-500">
+          {selected.lossless ? t('audio.hintLossless') : t('audio.hintLossy')}
+        </p>
+        <button
+          onClick={handleDownload}
+          disabled={yearInvalid}
+          className="w-full sm:w-auto px-6 py-3 bg-green-600 text-white rounded-lg hover:bg-green-500 active:bg-green-700 transition-colors disabled:bg-raised-strong flex items-center justify-center gap-2 font-medium"
+        >
+          <Download className="w-5 h-5" />
+          {t('audio.download', { format: format.toUpperCase() })}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default AudioOptions;
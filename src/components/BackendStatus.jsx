@@ -0,0 +1,43 @@
+import React from 'react';
+import { WifiOff, ServerOff, RefreshCw } from 'lucide-react';
+import { useTranslation } from '../hooks/useTranslation';
+import { endpointUrl } from '../services/downloaderApi';
+
+/**
+ * Banner shown while the browser is offline or the backend stops answering. The app
+ * shell itself still works then, since the service worker serves it from cache.
+ */
+const BackendStatus = ({ backend }) => {
+  const { status, checking, check } = backend;
+  const { t } = useTranslation();
+
+  if (status === 'online') return null;
+
+  const offline = status === 'offline';
+
+  return (
+    <div role="status" className="p-4 mb-8 bg-surface border-s-4 border-yellow-700 dark:border-yellow-400 text-fg flex items-start gap-3 rounded-md">
+      {offline
+        ? <WifiOff className="w-5 h-5 flex-shrink-0 mt-0.5 text-yellow-700 dark:text-yellow-400" />
+        : <ServerOff className="w-5 h-5 flex-shrink-0 mt-0.5 text-yellow-700 dark:text-yellow-400" />}
+      <div className="flex-1 min-w-0">
+        <p className="font-bold text-fg-strong">{offline ? t('backend.offlineTitle') : t('backend.unreachableTitle')}</p>
+        <p className="text-sm text-fg-muted break-words">
+          {offline ? t('backend.offline') : t('backend.unreachable', { url: endpointUrl('') })}
+        </p>
+      </div>
+      {!offline && (
+        <button
+          onClick={check}
+          disabled={checking}
+          className="flex-shrink-0 px-3 py-1.5 bg-raised text-fg rounded-lg hover:bg-raised-strong transition-colors disabled:opacity-50 flex items-center gap-1 text-sm font-medium"
+        >
+          <RefreshCw className={`w-4 h-4 ${checking ? 'animate-spin' : ''}`} />
+          {checking ? t('backend.checking') : t('backend.retry')}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default BackendStatus;
@@ -0,0 +1,329 @@
+import React, { useEffect, useRef } from 'react';
+import { Download, Loader2, CheckCircle, XCircle, Info, Clock, Gauge, Pause, Play, RotateCcw, Trash2, ListOrdered, Ban, ListVideo } from 'lucide-react';
+import { MAX_CONCURRENCY } from '../hooks/useDownloadQueue';
+import ErrorNotice from './ErrorNotice';
+import { useTranslation } from '../hooks/useTranslation';
+import { formatBytes, formatDuration, formatNumber, formatPercent, formatSpeed } from '../utils/format';
+
+const isActive = (status) => ['starting', 'downloading', 'saving'].includes(status);
+
+// Screen readers hear a download at each quarter rather than at every progress update
+const ANNOUNCE_STEP = 25;
+
+const announcement = (item, t, locale) => {
+  const title = item.title || item.url;
+  if (item.status !== 'downloading') return t('queue.announce', { title, status: t(`queue.status.${item.status}`) });
+  const milestone = Math.floor(Math.min(item.progress, 100) / ANNOUNCE_STEP) * ANNOUNCE_STEP;
+  return t('queue.announce', { title, status: formatPercent(milestone, locale) });
+};
+
+const QueueItem = ({ item, onCancel, onPause, onResume, onRetry, onRemove, onOtherFormat, onCheckBackend }) => {
+  const { status, progress, details } = item;
+  const isBusy = isActive(status);
+  const { t, locale } = useTranslation();
+  const errorMessage = [item.errorCode && t(`queue.errors.${item.errorCode}`), item.error].filter(Boolean).join(': ');
+
+  return (
+    <li className="p-4 bg-surface border border-line rounded-lg">
+      <div className="flex items-start justify-between gap-3 mb-2">
+        <div className="min-w-0 flex-1">
+          <p className="font-bold text-fg-strong truncate">{item.title || item.url}</p>
+          <p className="text-xs text-fg-subtle">
+            {item.label}
+            {item.restored && isBusy && ` • ${t('queue.reattached')}`}
+          </p>
+        </div>
+        <span className="text-blue-600 dark:text-blue-400 font-extrabold text-xl">{formatPercent(progress, locale)}</span>
+      </div>
+
+      <div className="flex items-center gap-2 text-sm font-bold mb-2">
+        {isBusy && <Loader2 className="w-4 h-4 animate-spin text-blue-500" />}
+        {status === 'completed' && <CheckCircle className="w-4 h-4 text-green-500" />}
+        {status === 'failed' && <XCircle className="w-4 h-4 text-red-500" />}
+        <span className={status === 'failed' ? 'text-red-600 dark:text-red-400' : status === 'completed' ? 'text-green-700 dark:text-green-400' : 'text-blue-600 dark:text-blue-400'}>
+          {status === 'downloading' && details.status ? details.status : t(`queue.status.${status}`)}
+        </span>
+      </div>
+
+      <div
+        role="progressbar"
+        aria-label={t('queue.progressLabel', { title: item.title || item.url })}
+        aria-valuemin={0}
+        aria-valuemax={100}
+        aria-valuenow={Math.round(Math.min(progress, 100))}
+        aria-valuetext={`${formatPercent(progress, locale)}, ${t(`queue.status.${status}`)}`}
+        className="w-full bg-raised rounded-full h-3 mb-3 overflow-hidden"
+      >
+        <div
+          className={`${status === 'failed' ? 'bg-red-500' : status === 'completed' ? 'bg-green-500' : 'bg-blue-500'} h-3 rounded-full transition-all duration-500 ease-out`}
+          style={{ width: `${Math.min(progress, 100)}%` }}
+        ></div>
+      </div>
+
+      {/* Second phase: bytes transferred from the server to disk */}
+      {status === 'saving' && item.transfer && (
+        <div className="mb-3">
+          <div className="flex items-center justify-between text-xs text-green-700 dark:text-green-300 font-semibold mb-1">
+            <span>
+              {t('queue.savingToDisk')}
+              {item.transfer.resumes > 0 && ` ${t('queue.resumed', { count: item.transfer.resumes })}`}
+            </span>
+            <span>
+              {formatBytes(item.transfer.received, locale)}
+              {item.transfer.total && ` / ${formatBytes(item.transfer.total, locale)}`}
+            </span>
+          </div>
+          <div
+            role="progressbar"
+            aria-label={t('queue.savingLabel', { title: item.title || item.url })}
+            aria-valuemin={0}
+            // Without a total the bar is indeterminate and has no value
+            aria-valuemax={item.transfer.total || undefined}
+            aria-valuenow={item.transfer.total ? item.transfer.received : undefined}
+            aria-valuetext={item.transfer.total ? `${formatBytes(item.transfer.received, locale)} / ${formatBytes(item.transfer.total, locale)}` : undefined}
+            className="w-full bg-raised rounded-full h-2 overflow-hidden"
+          >
+            <div
+              className="bg-green-500 h-2 rounded-full transition-all duration-300 ease-out"
+              style={{ width: item.transfer.total ? `${Math.min((item.transfer.received / item.transfer.total) * 100, 100)}%` : '100%' }}
+            ></div>
+          </div>
+        </div>
+      )}
+
+      {errorMessage && <p className="text-sm text-red-600 dark:text-red-400 mb-3">{errorMessage}</p>}
+      {/* The Retry button below already covers retrying */}
+      {status === 'failed' && item.failure && (
+        <div className="mb-3 text-fg-soft">
+          <ErrorNotice
+            failure={item.failure}
+            context={{ sessionId: item.sessionId, url: item.url }}
+            onOtherFormat={onOtherFormat}
+            onCheckBackend={onCheckBackend}
+          />
+        </div>
+      )}
+      {item.filename && <p className="text-sm text-green-700 dark:text-green-400 mb-3 truncate">{t('queue.savedAs', { filename: item.filename })}</p>}
+
+      {/* Download Details Grid */}
+      {status === 'downloading' && (details.speed != null || details.downloaded != null) && (
+        <div className="grid grid-cols-2 sm:grid-cols-4 gap-y-2 text-xs md:text-sm text-blue-700 dark:text-blue-300 mb-3">
+          <div className="flex items-center gap-1 font-semibold">
+            <Download className="w-4 h-4 text-blue-500" />
+            <span>{t('queue.downloaded', { value: formatBytes(details.downloaded, locale) })}</span>
+          </div>
+          <div className="flex items-center gap-1 font-semibold">
+            <Info className="w-4 h-4 text-blue-500" />
+            <span>{t('queue.total', { value: formatBytes(details.total, locale) })}</span>
+          </div>
+          <div className="flex items-center gap-1 font-semibold">
+            <Gauge className="w-4 h-4 text-blue-500" />
+            <span>{t('queue.speed', { value: formatSpeed(details.speed, locale) })}</span>
+          </div>
+          <div className="flex items-center gap-1 font-semibold">
+            <Clock className="w-4 h-4 text-blue-500" />
+            <span>{t('queue.eta', { value: formatDuration(details.eta, locale) })}</span>
+          </div>
+        </div>
+      )}
+
+      <div className="flex items-center justify-end gap-2">
+        {(status === 'pending' || status === 'downloading') && (
+          <button
+            onClick={() => onPause(item.id)}
+            className="px-3 py-1.5 bg-raised text-fg rounded-lg hover:bg-raised-strong transition-colors flex items-center gap-1 text-sm font-medium"
+          >
+            <Pause className="w-4 h-4" />
+            {t('queue.pause')}
+          </button>
+        )}
+        {status === 'paused' && (
+          <button
+            onClick={() => onResume(item.id)}
+            className="px-3 py-1.5 bg-blue-600 text-white rounded-lg hover:bg-blue-500 transition-colors flex items-center gap-1 text-sm font-medium"
+          >
+            <Play className="w-4 h-4" />
+            {t('queue.resume')}
+          </button>
+        )}
+        {(isBusy || status === 'paused') && (
+          <button
+            onClick={() => onCancel(item.id)}
+            className="px-3 py-1.5 bg-raised text-fg rounded-lg hover:bg-red-600 transition-colors flex items-center gap-1 text-sm font-medium"
+          >
+            <Ban className="w-4 h-4" />
+            {t('queue.cancel')}
+          </button>
+        )}
+        {(status === 'failed' || status === 'cancelled') && (
+          <button
+            onClick={() => onRetry(item.id)}
+            className="px-3 py-1.5 bg-blue-600 text-white rounded-lg hover:bg-blue-500 transition-colors flex items-center gap-1 text-sm font-medium"
+          >
+            <RotateCcw className="w-4 h-4" />
+            {t('queue.retry')}
+          </button>
+        )}
+        <button
+          onClick={() => onRemove(item.id)}
+          className="px-3 py-1.5 bg-raised text-fg rounded-lg hover:bg-red-600 transition-colors flex items-center gap-1 text-sm font-medium"
+        >
+          <Trash2 className="w-4 h-4" />
+          {t('queue.remove')}
+        </button>
+      </div>
+    </li>
+  );
+};
+
+const BatchSummary = ({ title, items }) => {
+  const finished = items.filter(item => item.status === 'completed').length;
+  const failed = items.filter(item => item.status === 'failed' || item.status === 'cancelled').length;
+  // Finished entries count as fully done so the aggregate never moves backwards
+  const progress = items.reduce((sum, item) => (
+    sum + (item.status === 'completed' ? 100 : Math.min(item.progress, 100))
+  ), 0) / items.length;
+  const { t, locale } = useTranslation();
+
+  return (
+    <div className="p-4 bg-surface border-s-4 border-blue-500 rounded-lg">
+      <div className="flex items-center justify-between gap-3 mb-2">
+        <p className="font-bold text-fg-strong truncate flex items-center gap-2">
+          <ListVideo className="w-5 h-5 text-blue-500 flex-shrink-0" />
+          {title || t('queue.batch')}
+        </p>
+        <span className="text-blue-600 dark:text-blue-400 font-extrabold text-xl">{formatPercent(progress, locale)}</span>
+      </div>
+      <div
+        role="progressbar"
+        aria-label={t('queue.batchLabel', { title: title || t('queue.batch') })}
+        aria-valuemin={0}
+        aria-valuemax={100}
+        aria-valuenow={Math.round(Math.min(progress, 100))}
+        className="w-full bg-raised rounded-full h-3 mb-2 overflow-hidden"
+      >
+        <div
+          className="bg-blue-500 h-3 rounded-full transition-all duration-500 ease-out"
+          style={{ width: `${Math.min(progress, 100)}%` }}
+        ></div>
+      </div>
+      <p className="text-xs text-fg-muted">
+        {t('queue.batchProgress', { finished, total: items.length })}
+        {failed > 0 && `, ${t('queue.batchFailed', { count: failed })}`}
+      </p>
+    </div>
+  );
+};
+
+/**
+ * Lists every queued download with its own progress bar and per-item controls.
+ * Status changes are read out through a polite live region. When entries are
+ * removed, focus moves to the queue heading, or to `fallbackFocus` once it is empty.
+ * Failed entries explain why; `onOtherFormat` and `onCheckBackend` back their fixes.
+ */
+const DownloadQueue = ({ queue, fallbackFocus, onOtherFormat, onCheckBackend }) => {
+  const { items, concurrency, setConcurrency, cancel, pause, resume, retry, remove, clearFinished } = queue;
+  const { t, locale } = useTranslation();
+  const headingRef = useRef(null);
+  const refocus = useRef(false);
+
+  // The removed entry's button took focus with it; put focus somewhere predictable
+  useEffect(() => {
+    if (!refocus.current) return;
+    refocus.current = false;
+    (items.length > 0 ? headingRef.current : fallbackFocus?.current)?.focus();
+  }, [items.length, fallbackFocus]);
+
+  const handleRemove = (id) => {
+    refocus.current = true;
+    remove(id);
+  };
+
+  const handleClearFinished = () => {
+    refocus.current = true;
+    clearFinished();
+  };
+
+  // Kept mounted while the queue is empty so the first announcement is not lost
+  const liveRegion = (
+    <div role="status" className="sr-only">
+      {items.map(item => <p key={item.id}>{announcement(item, t, locale)}</p>)}
+    </div>
+  );
+
+  if (items.length === 0) return <>{liveRegion}</>;
+
+  const activeCount = items.filter(item => isActive(item.status)).length;
+  const pendingCount = items.filter(item => item.status === 'pending').length;
+
+  const batches = items.reduce((groups, item) => {
+    if (item.batchId == null) return groups;
+    const group = groups.find(batch => batch.id === item.batchId);
+    if (group) {
+      group.items.push(item);
+    } else {
+      groups.push({ id: item.batchId, title: item.batchTitle, items: [item] });
+    }
+    return groups;
+  }, []);
+
+  return (
+    <>
+      {liveRegion}
+      <section className="mb-8">
+        <div className="flex items-center justify-between flex-wrap gap-3 mb-4">
+          <h3 ref={headingRef} tabIndex={-1} className="text-xl font-bold text-fg-strong flex items-center gap-2 focus:outline-none">
+            <ListOrdered className="w-6 h-6 text-blue-500" />
+            {t('queue.title')}
+            <span className="text-sm font-normal text-fg-muted">{t('queue.summary', { active: activeCount, waiting: pendingCount })}</span>
+          </h3>
+          <div className="flex items-center gap-3 text-sm text-fg-muted">
+            <label className="flex items-center gap-2">
+              {t('queue.parallel')}
+              <select
+                value={concurrency}
+                onChange={(e) => setConcurrency(e.target.value)}
+                className="px-2 py-1 border border-line bg-surface text-fg-strong rounded-lg focus:outline-none focus:border-red-500"
+              >
+                {Array.from({ length: MAX_CONCURRENCY }, (_, i) => i + 1).map(n => (
+                  <option key={n} value={n}>{formatNumber(n, locale)}</option>
+                ))}
+              </select>
+            </label>
+            {items.some(item => item.status === 'completed' || item.status === 'cancelled') && (
+              <button onClick={handleClearFinished} className="text-fg-muted hover:text-fg-strong underline">
+                {t('queue.clearFinished')}
+              </button>
+            )}
+          </div>
+        </div>
+
+        {batches.length > 0 && (
+          <div className="space-y-3 mb-3">
+            {batches.map(batch => (
+              <BatchSummary key={batch.id} title={batch.title} items={batch.items} />
+            ))}
+          </div>
+        )}
+
+        <ul className="space-y-3">
+          {items.map(item => (
+            <QueueItem
+              key={item.id}
+              item={item}
+              onCancel={cancel}
+              onPause={pause}
+              onResume={resume}
+              onRetry={retry}
+              onRemove={handleRemove}
+              onOtherFormat={onOtherFormat}
+              onCheckBackend={onCheckBackend}
+            />
+          ))}
+        </ul>
+      </section>
+    </>
+  );
+};
+
+export default DownloadQueue;
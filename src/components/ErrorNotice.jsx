@@ -0,0 +1,84 @@
+import React, { useState } from 'react';
+import { RotateCcw, ListFilter, Server, Copy, Check } from 'lucide-react';
+import { diagnosticsText } from '../utils/apiError';
+import { useTranslation } from '../hooks/useTranslation';
+
+// What the user can do about each kind of failure; copying diagnostics is always offered
+const ACTIONS = {
+  privateVideo: [],
+  ageRestricted: [],
+  geoBlocked: [],
+  videoUnavailable: [],
+  formatUnavailable: ['otherFormat'],
+  rateLimited: ['retry'],
+  sessionExpired: ['retry'],
+  serverError: ['retry', 'checkBackend'],
+  backendUnreachable: ['retry', 'checkBackend'],
+  timeout: ['retry', 'checkBackend'],
+  cancelled: ['retry'],
+  requestFailed: ['retry'],
+  unknown: ['retry'],
+};
+
+const ACTION_ICONS = { retry: RotateCcw, otherFormat: ListFilter, checkBackend: Server };
+
+/**
+ * Explains a classified failure (`describeFailure`) and offers the fixes that fit it.
+ * Actions without a handler are left out, e.g. "pick another format" when no video
+ * is loaded. The raw message is shown by the parent.
+ * @param {{ failure: import('../utils/apiError').FailureDetails, context?: { sessionId?: string | null, url?: string },
+ *   onRetry?: () => void, onOtherFormat?: () => void, onCheckBackend?: () => void }} props
+ */
+const ErrorNotice = ({ failure, context, onRetry, onOtherFormat, onCheckBackend }) => {
+  const [copyState, setCopyState] = useState('');
+  const { t } = useTranslation();
+
+  const handlers = { retry: onRetry, otherFormat: onOtherFormat, checkBackend: onCheckBackend };
+  const actions = (ACTIONS[failure.code] || ACTIONS.unknown).filter(action => handlers[action]);
+  const details = diagnosticsText(failure, context);
+
+  const copyDetails = async () => {
+    try {
+      await navigator.clipboard.writeText(details);
+      setCopyState('copied');
+    } catch {
+      setCopyState('failed');
+    }
+  };
+
+  const buttonClass = 'px-3 py-1.5 bg-raised text-fg rounded-lg hover:bg-raised-strong transition-colors flex items-center gap-1 text-sm font-medium';
+
+  return (
+    <div className="mt-2 space-y-2 text-sm">
+      <p>
+        <strong className="font-semibold">{t(`errors.${failure.code}.title`)}</strong>{' '}
+        {t(`errors.${failure.code}.hint`)}
+      </p>
+      <div className="flex flex-wrap items-center gap-2">
+        {actions.map(action => {
+          const Icon = ACTION_ICONS[action];
+          return (
+            <button key={action} onClick={handlers[action]} className={buttonClass}>
+              <Icon className="w-4 h-4" />
+              {t(`errors.actions.${action}`)}
+            </button>
+          );
+        })}
+        <button onClick={copyDetails} className={buttonClass}>
+          {copyState === 'copied' ? <Check className="w-4 h-4" /> : <Copy className="w-4 h-4" />}
+          {t('errors.actions.copy')}
+        </button>
+        <span aria-live="polite">
+          {copyState === 'copied' && t('errors.actions.copied')}
+          {copyState === 'failed' && t('errors.actions.copyFailed')}
+        </span>
+      </div>
+      <details>
+        <summary className="cursor-pointer opacity-80">{t('errors.actions.details')}</summary>
+        <pre className="mt-1 p-2 bg-black/30 rounded text-xs whitespace-pre-wrap break-all">{details}</pre>
+      </details>
+    </div>
+  );
+};
+
+export default ErrorNotice;
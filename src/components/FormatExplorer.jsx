@@ -0,0 +1,313 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { Download, Video, ArrowUp, ArrowDown, ArrowUpDown, VolumeX, Volume2, Sparkles } from 'lucide-react';
+import {
+  bestAudioFormat,
+  bitrate,
+  codecName,
+  downloadSize,
+  filterFormats,
+  formatKind,
+  formatSize,
+  isHdr,
+  resolutionHeight,
+  sortFormats,
+} from '../utils/formats';
+import { formatBitrate, formatBytes, formatNumber } from '../utils/format';
+import { useTranslation } from '../hooks/useTranslation';
+
+// Sortable columns; headers come from `formats.columns.<key>`
+const COLUMNS = ['resolution', 'fps', 'vcodec', 'acodec', 'bitrate', 'ext', 'hdr'];
+
+// Lower bounds of the bitrate filter, in kbps
+const MIN_BITRATES = [500, 1000, 2500, 5000, 10000];
+
+const KIND_FILTERS = [
+  { value: 'all', labelKey: 'formats.allKinds' },
+  { value: 'muxed', labelKey: 'formats.muxed' },
+  { value: 'video', labelKey: 'formats.videoOnly' },
+];
+
+const SortIcon = ({ sort, column }) => {
+  if (sort.key !== column) return <ArrowUpDown className="w-3 h-3 opacity-50" />;
+  return sort.direction === 'desc' ? <ArrowDown className="w-3 h-3" /> : <ArrowUp className="w-3 h-3" />;
+};
+
+// Keys that move focus between the rows' download buttons, as a step or an absolute position
+const ROW_KEYS = { ArrowDown: 1, ArrowUp: -1, Home: -Infinity, End: Infinity };
+
+const audioLabel = (format, locale) => `${codecName(format.acodec)} • ${formatBitrate(bitrate(format), locale)} • ${format.ext.toUpperCase()}`;
+
+/**
+ * Sortable, filterable table of every video format. Video-only rows are merged with
+ * the chosen audio stream on download, so no selection produces a silent file.
+ * `preferredId` marks the row that matches the default resolution and container.
+ * The download buttons form one tab stop; the arrow keys move between rows.
+ * `headingRef` lets the parent send focus here, e.g. to pick another format.
+ * Missing sizes are estimated from the bitrate and `duration`.
+ */
+const FormatExplorer = ({ formats, duration, preferredId, onDownload, headingRef }) => {
+  const [sort, setSort] = useState({ key: 'resolution', direction: 'desc' });
+  const [filters, setFilters] = useState({ kind: 'all', ext: '', vcodec: '', fps: 0, minBitrate: 0, hdrOnly: false });
+  const [audioId, setAudioId] = useState('');
+  const [activeRow, setActiveRow] = useState(0);
+  const rowButtons = useRef([]);
+  const { t, locale } = useTranslation();
+
+  const videoFormats = useMemo(() => formats.filter(format => formatKind(format) !== 'audio'), [formats]);
+  const audioFormats = useMemo(() => sortFormats(formats.filter(format => formatKind(format) === 'audio'), 'bitrate'), [formats]);
+
+  const containers = useMemo(() => [...new Set(videoFormats.map(format => format.ext))].sort(), [videoFormats]);
+  const codecs = useMemo(() => [...new Set(videoFormats.map(format => codecName(format.vcodec)))].filter(c => c !== '—').sort(), [videoFormats]);
+  const frameRates = useMemo(() => [...new Set(videoFormats.map(format => format.fps).filter(Boolean))].sort((a, b) => a - b), [videoFormats]);
+
+  const rows = useMemo(
+    () => sortFormats(filterFormats(videoFormats, filters), sort.key, sort.direction),
+    [videoFormats, filters, sort]
+  );
+
+  // Filtering can remove the active row; fall back to the last one left
+  const tabRow = Math.min(activeRow, rows.length - 1);
+
+  const handleRowKeyDown = (e, index) => {
+    const step = ROW_KEYS[e.key];
+    if (step === undefined) return;
+    e.preventDefault();
+    const next = Math.max(0, Math.min(rows.length - 1, index + step));
+    setActiveRow(next);
+    rowButtons.current[next]?.focus();
+  };
+
+  const toggleSort = (key) => {
+    setSort(prev => ({
+      key,
+      direction: prev.key === key && prev.direction === 'desc' ? 'asc' : 'desc',
+    }));
+  };
+
+  const updateFilter = (patch) => setFilters(prev => ({ ...prev, ...patch }));
+
+  // An explicit pick wins; otherwise merge with the best stream for the row's container
+  const audioFor = (format) => (
+    audioFormats.find(audio => audio.format_id === audioId) || bestAudioFormat(formats, format.ext)
+  );
+
+  const sizeText = ({ bytes, estimated }) => {
+    if (bytes == null) return t('formats.sizeUnknown');
+    return estimated ? t('formats.approxSize', { size: formatBytes(bytes, locale) }) : formatBytes(bytes, locale);
+  };
+
+  const handleDownload = (format) => {
+    const resolution = `${format.resolution}${isHdr(format) ? ' HDR' : ''}`;
+    const height = resolutionHeight(format);
+    const templateResolution = height ? `${height}p` : '';
+
+    if (formatKind(format) === 'muxed') {
+      onDownload(format.format_id, {
+        label: `${resolution} • ${format.ext.toUpperCase()}`,
+        ext: format.ext,
+        resolution: templateResolution,
+        size: formatSize(format, duration).bytes,
+      });
+      return;
+    }
+
+    const audio = audioFor(format);
+    onDownload(format.format_id, {
+      audioFormatId: audio?.format_id || null,
+      size: downloadSize(format, audio, duration).bytes,
+      label: audio
+        ? t('formats.mergeLabel', { format: `${resolution} • ${format.ext.toUpperCase()}`, codec: codecName(audio.acodec) })
+        : `${resolution} • ${format.ext.toUpperCase()}`,
+      ext: format.ext,
+      resolution: templateResolution,
+    });
+  };
+
+  return (
+    <div className="pt-6 border-t border-line">
+      <h3 ref={headingRef} tabIndex={-1} className="text-xl font-bold text-fg-strong mb-4 flex items-center gap-2 focus:outline-none">
+        <Video className="w-6 h-6 text-red-500" />
+        {t('formats.title')}
+      </h3>
+
+      {/* Filters */}
+      <div className="flex flex-wrap items-center gap-3 mb-4 text-sm">
+        <select
+          value={filters.kind}
+          onChange={(e) => updateFilter({ kind: e.target.value })}
+          aria-label={t('formats.kind')}
+          className="px-3 py-2 border border-line bg-surface text-fg-strong rounded-lg focus:outline-none focus:border-red-500"
+        >
+          {KIND_FILTERS.map(option => <option key={option.value} value={option.value}>{t(option.labelKey)}</option>)}
+        </select>
+        <select
+          value={filters.ext}
+          onChange={(e) => updateFilter({ ext: e.target.value })}
+          aria-label={t('formats.container')}
+          className="px-3 py-2 border border-line bg-surface text-fg-strong rounded-lg focus:outline-none focus:border-red-500"
+        >
+          <option value="">{t('formats.anyContainer')}</option>
+          {containers.map(ext => <option key={ext} value={ext}>{ext.toUpperCase()}</option>)}
+        </select>
+        <select
+          value={filters.vcodec}
+          onChange={(e) => updateFilter({ vcodec: e.target.value })}
+          aria-label={t('formats.codec')}
+          className="px-3 py-2 border border-line bg-surface text-fg-strong rounded-lg focus:outline-none focus:border-red-500"
+        >
+          <option value="">{t('formats.anyCodec')}</option>
+          {codecs.map(codec => <option key={codec} value={codec}>{codec}</option>)}
+        </select>
+        <select
+          value={filters.fps}
+          onChange={(e) => updateFilter({ fps: Number(e.target.value) })}
+          aria-label={t('formats.frameRate')}
+          className="px-3 py-2 border border-line bg-surface text-fg-strong rounded-lg focus:outline-none focus:border-red-500"
+        >
+          <option value={0}>{t('formats.anyFrameRate')}</option>
+          {frameRates.map(fps => <option key={fps} value={fps}>{t('formats.fpsValue', { fps: formatNumber(fps, locale) })}</option>)}
+        </select>
+        <select
+          value={filters.minBitrate}
+          onChange={(e) => updateFilter({ minBitrate: Number(e.target.value) })}
+          aria-label={t('formats.minBitrate')}
+          className="px-3 py-2 border border-line bg-surface text-fg-strong rounded-lg focus:outline-none focus:border-red-500"
+        >
+          <option value={0}>{t('formats.anyBitrate')}</option>
+          {MIN_BITRATES.map(kbps => <option key={kbps} value={kbps}>{t('formats.atLeast', { bitrate: formatBitrate(kbps, locale) })}</option>)}
+        </select>
+        <label className="flex items-center gap-2 text-fg-soft">
+          <input
+            type="checkbox"
+            checked={filters.hdrOnly}
+            onChange={(e) => updateFilter({ hdrOnly: e.target.checked })}
+            className="w-4 h-4 accent-red-600"
+          />
+          {t('formats.hdrOnly')}
+        </label>
+      </div>
+
+      {/* Audio stream used when merging video-only formats */}
+      {audioFormats.length > 0 && (
+        <label className="flex flex-wrap items-center gap-3 mb-4 text-sm text-fg-soft">
+          <Volume2 className="w-4 h-4 text-green-500" />
+          {t('formats.audioFor')}
+          <select
+            value={audioId}
+            onChange={(e) => setAudioId(e.target.value)}
+            className="px-3 py-2 border border-line bg-surface text-fg-strong rounded-lg focus:outline-none focus:border-red-500"
+          >
+            <option value="">{t('formats.bestMatch')}</option>
+            {audioFormats.map(format => (
+              <option key={format.format_id} value={format.format_id}>{audioLabel(format, locale)}</option>
+            ))}
+          </select>
+        </label>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm text-start">
+          <caption className="caption-bottom pt-2 text-xs text-fg-subtle text-start">{t('formats.keyboardHint')}</caption>
+          <thead>
+            <tr className="border-b border-line text-fg-muted">
+              {COLUMNS.map(column => (
+                <th
+                  key={column}
+                  scope="col"
+                  aria-sort={sort.key === column ? (sort.direction === 'desc' ? 'descending' : 'ascending') : undefined}
+                  className="py-2 px-2 font-semibold whitespace-nowrap"
+                >
+                  <button
+                    onClick={() => toggleSort(column)}
+                    className="flex items-center gap-1 hover:text-fg-strong"
+                  >
+                    {t(`formats.columns.${column}`)}
+                    <SortIcon sort={sort} column={column} />
+                  </button>
+                </th>
+              ))}
+              <th scope="col" className="py-2 px-2 font-semibold">{t('formats.columns.size')}</th>
+              <th scope="col" className="py-2 px-2"><span className="sr-only">{t('formats.actions')}</span></th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((format, index) => {
+              const muxed = formatKind(format) === 'muxed';
+              const size = formatSize(format, duration);
+              // Video-only rows also show what the file weighs once the audio is merged in
+              const merged = muxed ? null : downloadSize(format, audioFor(format), duration);
+              // The download button is described by its row's resolution, container and size
+              const rowId = `format-${format.format_id || index}`;
+              return (
+                <tr
+                  key={format.format_id || index}
+                  className="border-b border-line hover:bg-surface transition-colors"
+                >
+                  <td id={`${rowId}-resolution`} className="py-3 px-2 font-bold text-fg-strong whitespace-nowrap">
+                    {format.resolution}
+                    {format.format_id === preferredId && (
+                      <span className="ms-2 px-1.5 py-0.5 text-xs font-semibold text-blue-700 dark:text-blue-300 border border-blue-500 rounded">{t('formats.preferred')}</span>
+                    )}
+                  </td>
+                  <td className="py-3 px-2 text-fg-muted">{formatNumber(format.fps || 30, locale)}</td>
+                  <td className="py-3 px-2 text-fg-soft">{codecName(format.vcodec)}</td>
+                  <td className="py-3 px-2 whitespace-nowrap">
+                    {muxed ? (
+                      <span className="flex items-center gap-1 text-green-700 dark:text-green-400">
+                        <Volume2 className="w-4 h-4" />
+                        {codecName(format.acodec) === '—' ? t('formats.included') : codecName(format.acodec)}
+                      </span>
+                    ) : (
+                      <span className="flex items-center gap-1 text-yellow-700 dark:text-yellow-400" title={t('formats.videoOnlyHint')}>
+                        <VolumeX className="w-4 h-4" />
+                        {t('formats.none')}
+                      </span>
+                    )}
+                  </td>
+                  <td className="py-3 px-2 text-fg-muted whitespace-nowrap">{formatBitrate(bitrate(format), locale)}</td>
+                  <td id={`${rowId}-ext`} className="py-3 px-2 font-extrabold text-red-500">{format.ext.toUpperCase()}</td>
+                  <td className="py-3 px-2">
+                    {isHdr(format) ? (
+                      <span className="flex items-center gap-1 text-purple-600 dark:text-purple-400 font-semibold">
+                        <Sparkles className="w-4 h-4" />
+                        {format.dynamic_range}
+                      </span>
+                    ) : (
+                      <span className="text-fg-subtle">SDR</span>
+                    )}
+                  </td>
+                  <td id={`${rowId}-size`} className="py-3 px-2 text-fg-soft whitespace-nowrap">
+                    <span title={size.estimated ? t('formats.estimatedHint') : undefined}>{sizeText(size)}</span>
+                    {merged?.bytes != null && merged.bytes !== size.bytes && (
+                      <span className="block text-xs text-fg-subtle">{t('formats.withAudio', { size: sizeText(merged) })}</span>
+                    )}
+                  </td>
+                  <td className="py-3 px-2 text-end">
+                    <button
+                      ref={(node) => { rowButtons.current[index] = node; }}
+                      onClick={() => handleDownload(format)}
+                      onKeyDown={(e) => handleRowKeyDown(e, index)}
+                      onFocus={() => setActiveRow(index)}
+                      tabIndex={index === tabRow ? 0 : -1}
+                      aria-describedby={`${rowId}-resolution ${rowId}-ext ${rowId}-size`}
+                      title={muxed ? t('formats.download') : t('formats.mergeTitle')}
+                      className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-500 transition-colors flex items-center gap-2 font-medium whitespace-nowrap"
+                    >
+                      <Download className="w-4 h-4" />
+                      {muxed ? t('formats.download') : t('formats.merge')}
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+        {rows.length === 0 && (
+          <p className="text-sm text-fg-muted py-4 text-center">{t('formats.noMatch')}</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default FormatExplorer;
@@ -0,0 +1,174 @@
+import React, { useMemo, useState } from 'react';
+import { History, Search, RotateCcw, Trash2, FileJson, FileSpreadsheet, Music, Video } from 'lucide-react';
+import { useTranslation } from '../hooks/useTranslation';
+import { formatBytes } from '../utils/format';
+import { historyToCSV, historyToJSON } from '../utils/historyExport';
+import { saveTextFile } from '../utils/fileSaver';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatSize = (size, locale) => (typeof size === 'number' ? formatBytes(size, locale) : size || '—');
+
+/**
+ * Searchable, filterable list of finished downloads with export and re-download.
+ */
+const HistoryPanel = ({ history, onRedownload }) => {
+  const { entries, remove, clear } = history;
+  const [query, setQuery] = useState('');
+  const [type, setType] = useState('all');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const { t, locale } = useTranslation();
+
+  const filtered = useMemo(() => {
+    const needle = query.trim().toLowerCase();
+    // Date inputs are local calendar days; `to` is inclusive of the whole day
+    const fromTime = from ? new Date(`${from}T00:00:00`).getTime() : -Infinity;
+    const toTime = to ? new Date(`${to}T00:00:00`).getTime() + DAY_MS : Infinity;
+
+    return entries.filter(entry => {
+      if (type === 'audio' && !entry.is_audio) return false;
+      if (type === 'video' && entry.is_audio) return false;
+      if (entry.timestamp < fromTime || entry.timestamp >= toTime) return false;
+      if (!needle) return true;
+      return [entry.title, entry.author, entry.url, entry.filename]
+        .some(field => field?.toLowerCase().includes(needle));
+    });
+  }, [entries, query, type, from, to]);
+
+  const stamp = new Date().toISOString().slice(0, 10);
+
+  return (
+    <section className="mb-8 p-4 bg-surface rounded-lg border-s-4 border-blue-500">
+      <div className="flex items-center justify-between flex-wrap gap-3 mb-4">
+        <h3 className="text-xl font-bold text-fg-strong flex items-center gap-2">
+          <History className="w-6 h-6 text-blue-500" />
+          {t('history.title')}
+          <span className="text-sm font-normal text-fg-muted">{t('history.count', { shown: filtered.length, total: entries.length })}</span>
+        </h3>
+        <div className="flex items-center gap-2 text-sm">
+          <button
+            onClick={() => saveTextFile(historyToJSON(filtered), `download-history-${stamp}.json`, 'application/json')}
+            disabled={filtered.length === 0}
+            className="px-3 py-1.5 bg-raised text-fg rounded-lg hover:bg-raised-strong transition-colors disabled:opacity-50 flex items-center gap-1 font-medium"
+          >
+            <FileJson className="w-4 h-4" />
+            JSON
+          </button>
+          <button
+            onClick={() => saveTextFile(historyToCSV(filtered), `download-history-${stamp}.csv`, 'text/csv')}
+            disabled={filtered.length === 0}
+            className="px-3 py-1.5 bg-raised text-fg rounded-lg hover:bg-raised-strong transition-colors disabled:opacity-50 flex items-center gap-1 font-medium"
+          >
+            <FileSpreadsheet className="w-4 h-4" />
+            CSV
+          </button>
+          <button
+            onClick={() => window.confirm(t('history.confirmClear')) && clear()}
+            disabled={entries.length === 0}
+            className="px-3 py-1.5 bg-raised text-fg rounded-lg hover:bg-red-600 transition-colors disabled:opacity-50 flex items-center gap-1 font-medium"
+          >
+            <Trash2 className="w-4 h-4" />
+            {t('history.clear')}
+          </button>
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="grid grid-cols-1 sm:grid-cols-4 gap-3 mb-4 text-sm">
+        <label className="sm:col-span-2 flex items-center gap-2 px-3 py-2 border border-line bg-base rounded-lg focus-within:border-red-500">
+          <Search className="w-4 h-4 text-fg-subtle" />
+          <input
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder={t('history.search')}
+            aria-label={t('history.search')}
+            className="w-full bg-transparent text-fg-strong focus:outline-none"
+          />
+        </label>
+        <select
+          value={type}
+          onChange={(e) => setType(e.target.value)}
+          aria-label={t('history.filterType')}
+          className="px-3 py-2 border border-line bg-base text-fg-strong rounded-lg focus:outline-none focus:border-red-500"
+        >
+          <option value="all">{t('history.allTypes')}</option>
+          <option value="video">{t('history.videoOnly')}</option>
+          <option value="audio">{t('history.audioOnly')}</option>
+        </select>
+        <div className="flex items-center gap-2">
+          <input
+            type="date"
+            value={from}
+            onChange={(e) => setFrom(e.target.value)}
+            aria-label={t('history.from')}
+            className="w-full px-2 py-2 border border-line bg-base text-fg-strong rounded-lg focus:outline-none focus:border-red-500"
+          />
+          <input
+            type="date"
+            value={to}
+            onChange={(e) => setTo(e.target.value)}
+            aria-label={t('history.to')}
+            className="w-full px-2 py-2 border border-line bg-base text-fg-strong rounded-lg focus:outline-none focus:border-red-500"
+          />
+        </div>
+      </div>
+
+      {filtered.length === 0 ? (
+        <p className="text-sm text-fg-muted py-4 text-center">
+          {entries.length === 0 ? t('history.empty') : t('history.noMatch')}
+        </p>
+      ) : (
+        <ul className="grid grid-cols-1 gap-2">
+          {filtered.map(entry => (
+            <li
+              key={entry.id}
+              className="flex items-center gap-4 py-2 px-2 border-b border-line hover:bg-base transition-colors rounded-sm"
+            >
+              {entry.thumbnail ? (
+                <img
+                  src={entry.thumbnail}
+                  alt=""
+                  loading="lazy"
+                  className="w-20 h-12 object-cover rounded-md border border-black flex-shrink-0"
+                />
+              ) : (
+                <div className="w-20 h-12 flex items-center justify-center bg-base rounded-md flex-shrink-0">
+                  {entry.is_audio ? <Music className="w-5 h-5 text-green-500" /> : <Video className="w-5 h-5 text-red-500" />}
+                </div>
+              )}
+              <div className="flex-1 min-w-0">
+                <p className="font-bold text-fg-strong truncate">{entry.title || entry.url}</p>
+                <p className="text-xs text-fg-muted truncate">
+                  {entry.author && `${entry.author} • `}
+                  <span className="font-extrabold text-red-500">{entry.ext?.toUpperCase()}</span>
+                  {' • '}{formatSize(entry.size, locale)}
+                  {' • '}{new Date(entry.timestamp).toLocaleString(locale)}
+                </p>
+                <p className="text-xs text-fg-subtle truncate">{entry.filename}</p>
+              </div>
+              <button
+                onClick={() => onRedownload(entry)}
+                title={t('history.againTitle')}
+                className="flex-shrink-0 px-3 py-1.5 bg-red-600 text-white rounded-lg hover:bg-red-500 transition-colors flex items-center gap-1 text-sm font-medium"
+              >
+                <RotateCcw className="w-4 h-4" />
+                {t('history.again')}
+              </button>
+              <button
+                onClick={() => remove(entry.id)}
+                aria-label={t('history.delete')}
+                className="flex-shrink-0 p-2 text-fg-muted hover:text-red-500 transition-colors"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+};
+
+export default HistoryPanel;
@@ -0,0 +1,29 @@
+import React from 'react';
+import { Languages } from 'lucide-react';
+import { useTranslation } from '../hooks/useTranslation';
+import { LANGUAGES } from '../utils/i18n';
+
+/**
+ * Header language picker; each option is labelled in its own language.
+ */
+const LanguageSwitcher = () => {
+  const { language, setLanguage, t } = useTranslation();
+
+  return (
+    <label className="inline-flex items-center gap-2 px-3 py-1.5 text-sm text-fg-soft border border-line rounded-lg">
+      <Languages className="w-4 h-4 text-fg-muted" />
+      <span className="sr-only">{t('language.label')}</span>
+      <select
+        value={language}
+        onChange={(e) => setLanguage(e.target.value)}
+        className="bg-transparent text-fg-soft focus:outline-none"
+      >
+        {LANGUAGES.map(option => (
+          <option key={option.code} value={option.code} lang={option.locale} className="bg-surface">{option.label}</option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default LanguageSwitcher;
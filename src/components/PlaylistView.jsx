@@ -0,0 +1,178 @@
+import React, { useState } from 'react';
+import { Download, ListVideo, CheckSquare, Square } from 'lucide-react';
+import { useTranslation } from '../hooks/useTranslation';
+import { useSettings } from '../hooks/useSettings';
+import { formatDuration, formatNumber } from '../utils/format';
+import { LOSSLESS_AUDIO_FORMATS } from '../utils/settings';
+
+/**
+ * Shared quality presets for batch downloads. As in the settings, `best` asks the
+ * backend for the best stream with no resolution limit; numeric values pin a specific
+ * resolution; `audio` extracts the audio in the format chosen in the settings. Presets
+ * with a `labelKey` are translated, receiving `label` as the `{resolution}` param and
+ * the audio format as `{format}`.
+ */
+const BATCH_QUALITY_OPTIONS = [
+  { value: 'best', labelKey: 'playlist.best' },
+  { value: 'audio', labelKey: 'playlist.audio' },
+  { value: '2160', label: '2160p', labelKey: 'playlist.uhd' },
+  { value: '1440', label: '1440p' },
+  { value: '1080', label: '1080p' },
+  { value: '720', label: '720p' },
+  { value: '480', label: '480p' },
+  { value: '360', label: '360p' },
+];
+
+const entryUrl = (entry) => entry.url || `https://www.youtube.com/watch?v=${entry.id}`;
+
+const qualityLabel = (option, t, audioFormat) => (
+  option.labelKey ? t(option.labelKey, { resolution: option.label, format: audioFormat.toUpperCase() }) : option.label
+);
+
+/**
+ * Lists the entries of a playlist or channel with checkboxes and a single quality
+ * selector, and hands the selection to `onDownload` as one batch. `headingRef` lets
+ * the parent move focus to the title once the playlist loads.
+ */
+const PlaylistView = ({ playlist, onDownload, headingRef }) => {
+  const entries = playlist.entries || [];
+  const [selected, setSelected] = useState(() => new Set(entries.map(entryUrl)));
+  const { settings } = useSettings();
+  const [quality, setQuality] = useState(settings.videoResolution);
+  const { t, locale } = useTranslation();
+
+  const allSelected = entries.length > 0 && selected.size === entries.length;
+
+  const toggleEntry = (key) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(key)) {
+        next.delete(key);
+      } else {
+        next.add(key);
+      }
+      return next;
+    });
+  };
+
+  const toggleAll = () => {
+    setSelected(allSelected ? new Set() : new Set(entries.map(entryUrl)));
+  };
+
+  const handleDownload = () => {
+    const chosen = entries.filter(entry => selected.has(entryUrl(entry)));
+    const option = BATCH_QUALITY_OPTIONS.find(o => o.value === quality);
+    const isAudio = quality === 'audio';
+    const { audioFormat } = settings;
+    onDownload(chosen.map(entry => ({
+      url: entryUrl(entry),
+      title: entry.title,
+      author: entry.author || playlist.author,
+      thumbnail: entry.thumbnail,
+      uploadDate: entry.upload_date,
+      isAudio,
+      ext: isAudio ? audioFormat : 'mp4',
+      quality: isAudio ? null : quality,
+      // Batches have no per-entry audio settings; lossy formats keep the source quality
+      audioOptions: isAudio ? {
+        format: audioFormat,
+        bitrate: LOSSLESS_AUDIO_FORMATS.includes(audioFormat) ? null : 'best',
+        tags: null,
+        embed_thumbnail: false,
+      } : null,
+      resolution: /^\d+$/.test(quality) ? `${quality}p` : '',
+      label: qualityLabel(option, t, audioFormat),
+    })));
+  };
+
+  return (
+    <div className="mt-6">
+      {/* Playlist header */}
+      <div className="flex flex-col md:flex-row gap-4 md:gap-6 bg-surface p-4 rounded-lg border-s-4 border-red-500 mb-6">
+        {playlist.thumbnail && (
+          <img
+            src={playlist.thumbnail}
+            alt={playlist.title}
+            className="w-full md:w-56 h-auto md:h-36 object-cover rounded-md border-2 border-black"
+          />
+        )}
+        <div className="flex-1">
+          <h2 ref={headingRef} tabIndex={-1} className="text-xl md:text-2xl font-extrabold text-fg-strong mb-2 line-clamp-2 focus:outline-none">{playlist.title}</h2>
+          <div className="text-sm text-fg-muted space-y-1">
+            {playlist.author && <p><span className="font-semibold text-fg-soft">{t('playlist.channel')}</span> {playlist.author}</p>}
+            <p><span className="font-semibold text-fg-soft">{t('playlist.videos')}</span> {formatNumber(entries.length, locale)}</p>
+          </div>
+        </div>
+      </div>
+
+      {/* Batch controls */}
+      <div className="flex items-center justify-between flex-wrap gap-3 mb-4">
+        <button
+          onClick={toggleAll}
+          className="flex items-center gap-2 text-sm text-fg-soft hover:text-fg-strong font-medium"
+        >
+          {allSelected ? <CheckSquare className="w-5 h-5 text-red-500" /> : <Square className="w-5 h-5" />}
+          {allSelected ? t('playlist.deselectAll') : t('playlist.selectAll')}
+        </button>
+        <div className="flex items-center gap-3 flex-wrap">
+          <select
+            value={quality}
+            onChange={(e) => setQuality(e.target.value)}
+            aria-label={t('playlist.quality')}
+            className="px-3 py-2 border border-line bg-surface text-fg-strong rounded-lg focus:outline-none focus:border-red-500"
+          >
+            {BATCH_QUALITY_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{qualityLabel(option, t, settings.audioFormat)}</option>
+            ))}
+          </select>
+          <button
+            onClick={handleDownload}
+            disabled={selected.size === 0}
+            className="px-6 py-2 bg-red-600 text-white rounded-lg hover:bg-red-500 active:bg-red-700 transition-colors disabled:bg-raised-strong disabled:cursor-not-allowed flex items-center gap-2 font-semibold"
+          >
+            <Download className="w-5 h-5" />
+            {t('playlist.downloadSelected', { count: selected.size })}
+          </button>
+        </div>
+      </div>
+
+      {/* Entries */}
+      <div className="pt-4 border-t border-line">
+        <h3 className="text-xl font-bold text-fg-strong mb-4 flex items-center gap-2">
+          <ListVideo className="w-6 h-6 text-red-500" />
+          {t('playlist.entries')}
+        </h3>
+        <ul className="grid grid-cols-1 gap-2">
+          {entries.map((entry, index) => {
+            const key = entryUrl(entry);
+            return (
+              <li key={key}>
+                <label className="flex items-center gap-4 py-2 px-2 border-b border-line hover:bg-surface transition-colors rounded-sm cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={selected.has(key)}
+                    onChange={() => toggleEntry(key)}
+                    className="w-4 h-4 accent-red-600 flex-shrink-0"
+                  />
+                  <span className="text-xs text-fg-subtle w-6 text-end flex-shrink-0">{formatNumber(index + 1, locale)}</span>
+                  {entry.thumbnail && (
+                    <img
+                      src={entry.thumbnail}
+                      alt=""
+                      loading="lazy"
+                      className="w-24 h-14 object-cover rounded-md border border-black flex-shrink-0"
+                    />
+                  )}
+                  <span className="flex-1 min-w-0 font-medium text-fg-strong truncate">{entry.title}</span>
+                  <span className="text-sm text-fg-muted flex-shrink-0">{formatDuration(entry.duration_seconds, locale)}</span>
+                </label>
+              </li>
+            );
+          })}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default PlaylistView;
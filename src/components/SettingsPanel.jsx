@@ -0,0 +1,338 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Settings, FileText, RotateCcw, Server, PlugZap, Loader2, CheckCircle, XCircle, SlidersHorizontal, Timer, Keyboard } from 'lucide-react';
+import { useSettings } from '../hooks/useSettings';
+import { useTranslation } from '../hooks/useTranslation';
+import { applyFilenameTemplate, DEFAULT_FILENAME_TEMPLATE, TEMPLATE_FIELDS } from '../utils/filename';
+import { DEFAULT_API_URL } from '../utils/api';
+import { isCancelled } from '../utils/apiError';
+import { pingBackend } from '../services/downloaderApi';
+import {
+  AUDIO_FORMATS,
+  DEFAULT_SETTINGS,
+  isValidApiUrl,
+  MAX_REQUEST_TIMEOUT,
+  MIN_REQUEST_TIMEOUT,
+  PROGRESS_INTERVALS,
+  VIDEO_CONTAINERS,
+  VIDEO_RESOLUTIONS,
+} from '../utils/settings';
+
+// Shown in the preview until a video is loaded
+const SAMPLE_FIELDS = {
+  title: 'Never Gonna Give You Up',
+  author: 'Rick Astley',
+  resolution: '1080p',
+  ext: 'mp4',
+  id: 'dQw4w9WgXcQ',
+  date: '2009-10-25',
+};
+
+const inputClass = 'w-full px-3 py-2 border border-line bg-base text-fg-strong rounded-lg focus:outline-none focus:border-blue-500';
+const secondaryButtonClass = 'px-3 py-2 bg-raised text-fg rounded-lg hover:bg-raised-strong transition-colors disabled:opacity-50 flex items-center justify-center gap-1 font-medium whitespace-nowrap';
+
+const SectionTitle = ({ icon, children }) => (
+  <h4 className="font-bold text-fg-strong flex items-center gap-2 mb-3">
+    {icon}
+    {children}
+  </h4>
+);
+
+/**
+ * User preferences: backend address, download defaults, the filename template,
+ * network timing and keyboard shortcuts. Everything except the backend address applies as it is edited;
+ * the address is saved explicitly so half-typed URLs never receive requests.
+ * The filename preview uses the loaded video's details when `previewFields` is given.
+ */
+const SettingsPanel = ({ previewFields }) => {
+  const { settings, updateSettings, resetSettings } = useSettings();
+  const { t } = useTranslation();
+  const templateInput = useRef(null);
+  const [apiUrlDraft, setApiUrlDraft] = useState(settings.apiUrl);
+  const [timeoutDraft, setTimeoutDraft] = useState(String(settings.requestTimeout));
+  const [connection, setConnection] = useState({ state: 'idle', url: '' });
+  const pingController = useRef(null);
+
+  useEffect(() => () => pingController.current?.abort(), []);
+
+  const template = settings.filenameTemplate;
+  const preview = applyFilenameTemplate(template, previewFields || SAMPLE_FIELDS);
+
+  const apiUrl = apiUrlDraft.trim().replace(/\/+$/, '');
+  const apiUrlInvalid = apiUrl !== '' && !isValidApiUrl(apiUrl);
+  const timeoutValue = Number(timeoutDraft);
+  const timeoutInvalid = !Number.isInteger(timeoutValue) || timeoutValue < MIN_REQUEST_TIMEOUT || timeoutValue > MAX_REQUEST_TIMEOUT;
+
+  // Insert at the caret so tokens can be placed between existing text
+  const insertField = (field) => {
+    const input = templateInput.current;
+    const start = input?.selectionStart ?? template.length;
+    const end = input?.selectionEnd ?? template.length;
+    const token = `{${field}}`;
+    updateSettings({ filenameTemplate: `${template.slice(0, start)}${token}${template.slice(end)}` });
+
+    requestAnimationFrame(() => {
+      input?.focus();
+      input?.setSelectionRange(start + token.length, start + token.length);
+    });
+  };
+
+  const testConnection = async () => {
+    pingController.current?.abort();
+    const controller = new AbortController();
+    pingController.current = controller;
+    const url = apiUrl || DEFAULT_API_URL;
+
+    setConnection({ state: 'checking', url });
+    try {
+      const reachable = await pingBackend({ baseURL: url, signal: controller.signal });
+      setConnection({ state: reachable ? 'ok' : 'failed', url });
+    } catch (err) {
+      if (!isCancelled(err)) setConnection({ state: 'failed', url });
+    }
+  };
+
+  const handleTimeoutChange = (value) => {
+    setTimeoutDraft(value);
+    const seconds = Number(value);
+    if (Number.isInteger(seconds) && seconds >= MIN_REQUEST_TIMEOUT && seconds <= MAX_REQUEST_TIMEOUT) {
+      updateSettings({ requestTimeout: seconds });
+    }
+  };
+
+  const handleReset = () => {
+    if (!window.confirm(t('settings.confirmReset'))) return;
+    resetSettings();
+    setApiUrlDraft('');
+    setTimeoutDraft(String(DEFAULT_SETTINGS.requestTimeout));
+    setConnection({ state: 'idle', url: '' });
+  };
+
+  return (
+    <section className="mb-8 p-4 bg-surface rounded-lg border-s-4 border-blue-500">
+      <div className="flex items-center justify-between flex-wrap gap-3 mb-4">
+        <h3 className="text-xl font-bold text-fg-strong flex items-center gap-2">
+          <Settings className="w-6 h-6 text-blue-500" />
+          {t('settings.title')}
+        </h3>
+        <button onClick={handleReset} className="text-sm text-fg-muted hover:text-fg-strong underline">
+          {t('settings.resetAll')}
+        </button>
+      </div>
+
+      <div className="space-y-6 text-sm">
+        {/* Backend */}
+        <div>
+          <SectionTitle icon={<Server className="w-4 h-4 text-fg-muted" />}>{t('settings.backend')}</SectionTitle>
+          <label htmlFor="api-url" className="block font-semibold text-fg-soft mb-1">{t('settings.apiUrl')}</label>
+          <div className="flex flex-col sm:flex-row gap-2">
+            <input
+              id="api-url"
+              type="url"
+              value={apiUrlDraft}
+              onChange={(e) => setApiUrlDraft(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && !apiUrlInvalid && updateSettings({ apiUrl })}
+              placeholder={DEFAULT_API_URL}
+              spellCheck={false}
+              aria-invalid={apiUrlInvalid}
+              aria-describedby="api-url-help"
+              className={`${inputClass} ${apiUrlInvalid ? 'border-red-500' : ''}`}
+            />
+            <button
+              onClick={() => updateSettings({ apiUrl })}
+              disabled={apiUrlInvalid || apiUrl === settings.apiUrl}
+              className="px-3 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-500 transition-colors disabled:opacity-50 font-medium whitespace-nowrap"
+            >
+              {t('settings.save')}
+            </button>
+            <button
+              onClick={testConnection}
+              disabled={apiUrlInvalid || connection.state === 'checking'}
+              className={secondaryButtonClass}
+            >
+              <PlugZap className="w-4 h-4" />
+              {t('settings.testConnection')}
+            </button>
+          </div>
+          <p id="api-url-help" className="mt-1 text-fg-muted">
+            {apiUrlInvalid ? <span className="text-red-600 dark:text-red-400">{t('settings.apiUrlInvalid')}</span> : t('settings.apiUrlHelp', { url: DEFAULT_API_URL })}
+          </p>
+          <p aria-live="polite" className="mt-1 min-h-5">
+            {connection.state === 'checking' && (
+              <span className="flex items-center gap-1 text-fg-muted">
+                <Loader2 className="w-4 h-4 animate-spin" />
+                {t('settings.testing')}
+              </span>
+            )}
+            {connection.state === 'ok' && (
+              <span className="flex items-center gap-1 text-green-700 dark:text-green-400">
+                <CheckCircle className="w-4 h-4" />
+                {t('settings.connected', { url: connection.url })}
+              </span>
+            )}
+            {connection.state === 'failed' && (
+              <span className="flex items-center gap-1 text-red-600 dark:text-red-400">
+                <XCircle className="w-4 h-4" />
+                {t('settings.notConnected', { url: connection.url })}
+              </span>
+            )}
+          </p>
+        </div>
+
+        {/* Download defaults */}
+        <div>
+          <SectionTitle icon={<SlidersHorizontal className="w-4 h-4 text-fg-muted" />}>{t('settings.defaults')}</SectionTitle>
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+            <label className="block">
+              <span className="block font-semibold text-fg-soft mb-1">{t('settings.videoResolution')}</span>
+              <select
+                value={settings.videoResolution}
+                onChange={(e) => updateSettings({ videoResolution: e.target.value })}
+                className={inputClass}
+              >
+                {VIDEO_RESOLUTIONS.map(value => (
+                  <option key={value} value={value}>{value === 'best' ? t('settings.bestResolution') : `${value}p`}</option>
+                ))}
+              </select>
+            </label>
+            <label className="block">
+              <span className="block font-semibold text-fg-soft mb-1">{t('settings.videoContainer')}</span>
+              <select
+                value={settings.videoContainer}
+                onChange={(e) => updateSettings({ videoContainer: e.target.value })}
+                className={inputClass}
+              >
+                {VIDEO_CONTAINERS.map(value => (
+                  <option key={value} value={value}>{value === 'any' ? t('formats.anyContainer') : value.toUpperCase()}</option>
+                ))}
+              </select>
+            </label>
+            <label className="block">
+              <span className="block font-semibold text-fg-soft mb-1">{t('settings.audioFormat')}</span>
+              <select
+                value={settings.audioFormat}
+                onChange={(e) => updateSettings({ audioFormat: e.target.value })}
+                className={inputClass}
+              >
+                {AUDIO_FORMATS.map(value => <option key={value} value={value}>{t(`audio.formats.${value}`)}</option>)}
+              </select>
+            </label>
+          </div>
+          <label className="mt-3 flex items-center gap-2 text-fg-soft">
+            <input
+              type="checkbox"
+              checked={settings.autoDownload}
+              onChange={(e) => updateSettings({ autoDownload: e.target.checked })}
+              className="w-4 h-4 accent-blue-600"
+            />
+            {t('settings.autoDownload')}
+          </label>
+        </div>
+
+        {/* Filename template */}
+        <div className="space-y-3">
+          <label htmlFor="filename-template" className="font-bold text-fg-strong flex items-center gap-2">
+            <FileText className="w-4 h-4 text-fg-muted" />
+            {t('settings.filenameTemplate')}
+          </label>
+          <div className="flex flex-col sm:flex-row gap-2">
+            <input
+              id="filename-template"
+              ref={templateInput}
+              type="text"
+              value={template}
+              onChange={(e) => updateSettings({ filenameTemplate: e.target.value })}
+              placeholder={DEFAULT_FILENAME_TEMPLATE}
+              spellCheck={false}
+              aria-describedby="filename-template-help"
+              className={`${inputClass} font-mono`}
+            />
+            <button
+              onClick={() => updateSettings({ filenameTemplate: DEFAULT_FILENAME_TEMPLATE })}
+              disabled={template === DEFAULT_FILENAME_TEMPLATE}
+              className={secondaryButtonClass}
+            >
+              <RotateCcw className="w-4 h-4" />
+              {t('settings.resetTemplate')}
+            </button>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2" role="group" aria-label={t('settings.insertField')}>
+            {TEMPLATE_FIELDS.map(field => (
+              <button
+                key={field}
+                onClick={() => insertField(field)}
+                title={t(`settings.fields.${field}`)}
+                className="px-2 py-1 bg-base text-blue-700 dark:text-blue-300 border border-line rounded-md hover:border-blue-500 font-mono text-xs transition-colors"
+              >
+                {`{${field}}`}
+              </button>
+            ))}
+          </div>
+
+          <p id="filename-template-help" className="text-fg-muted">{t('settings.templateHelp')}</p>
+
+          <p className="text-fg-soft" aria-live="polite">
+            <span className="font-semibold">{previewFields ? t('settings.preview') : t('settings.samplePreview')}</span>{' '}
+            <code className="px-2 py-0.5 bg-base text-green-700 dark:text-green-400 rounded break-all">{preview}</code>
+          </p>
+        </div>
+
+        {/* Network timing */}
+        <div>
+          <SectionTitle icon={<Timer className="w-4 h-4 text-fg-muted" />}>{t('settings.network')}</SectionTitle>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            <label className="block">
+              <span className="block font-semibold text-fg-soft mb-1">{t('settings.requestTimeout')}</span>
+              <input
+                type="number"
+                min={MIN_REQUEST_TIMEOUT}
+                max={MAX_REQUEST_TIMEOUT}
+                step={1}
+                value={timeoutDraft}
+                onChange={(e) => handleTimeoutChange(e.target.value)}
+                aria-invalid={timeoutInvalid}
+                className={`${inputClass} ${timeoutInvalid ? 'border-red-500' : ''}`}
+              />
+              {timeoutInvalid && (
+                <span className="block mt-1 text-red-600 dark:text-red-400">
+                  {t('settings.timeoutRange', { min: MIN_REQUEST_TIMEOUT, max: MAX_REQUEST_TIMEOUT })}
+                </span>
+              )}
+            </label>
+            <label className="block">
+              <span className="block font-semibold text-fg-soft mb-1">{t('settings.progressInterval')}</span>
+              <select
+                value={settings.progressInterval}
+                onChange={(e) => updateSettings({ progressInterval: Number(e.target.value) })}
+                className={inputClass}
+              >
+                {PROGRESS_INTERVALS.map(value => (
+                  <option key={value} value={value}>{t('settings.milliseconds', { value })}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+          <p className="mt-1 text-fg-muted">{t('settings.progressIntervalHelp')}</p>
+        </div>
+
+        {/* Keyboard */}
+        <div>
+          <SectionTitle icon={<Keyboard className="w-4 h-4 text-fg-muted" />}>{t('settings.keyboard')}</SectionTitle>
+          <label className="flex items-center gap-2 text-fg-soft">
+            <input
+              type="checkbox"
+              checked={settings.keyboardShortcuts}
+              onChange={(e) => updateSettings({ keyboardShortcuts: e.target.checked })}
+              aria-describedby="keyboard-shortcuts-help"
+              className="w-4 h-4 accent-blue-600"
+            />
+            {t('settings.keyboardShortcuts')}
+          </label>
+          <p id="keyboard-shortcuts-help" className="mt-1 text-fg-muted">{t('settings.keyboardShortcutsHelp')}</p>
+        </div>
+      </div>
+    </section>
+  );
+};
+
+export default SettingsPanel;
@@ -0,0 +1,97 @@
+import React, { useEffect, useRef } from 'react';
+import { Keyboard, X } from 'lucide-react';
+import { SHORTCUTS } from '../hooks/useKeyboardShortcuts';
+import { useTranslation } from '../hooks/useTranslation';
+
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+/**
+ * Modal list of the keyboard shortcuts. Focus moves into the dialog when it opens,
+ * stays there while it is open and returns to where it was when it closes.
+ * `enabled` mirrors the setting, so the dialog can say when the shortcuts are off.
+ */
+const ShortcutsDialog = ({ enabled, onClose }) => {
+  const dialogRef = useRef(null);
+  const closeRef = useRef(null);
+  const { t } = useTranslation();
+
+  useEffect(() => {
+    const previous = document.activeElement;
+    closeRef.current?.focus();
+    return () => previous?.focus?.();
+  }, []);
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.stopPropagation();
+      onClose();
+      return;
+    }
+    if (e.key !== 'Tab') return;
+
+    const focusable = [...dialogRef.current.querySelectorAll(FOCUSABLE)];
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (e.shiftKey && document.activeElement === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/60"
+      onMouseDown={(e) => e.target === e.currentTarget && onClose()}
+    >
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="shortcuts-title"
+        onKeyDown={handleKeyDown}
+        className="w-full max-w-md p-6 bg-surface border border-line rounded-lg shadow-xl"
+      >
+        <div className="flex items-center justify-between gap-3 mb-4">
+          <h2 id="shortcuts-title" className="text-xl font-bold text-fg-strong flex items-center gap-2">
+            <Keyboard className="w-6 h-6 text-red-500" />
+            {t('shortcuts.title')}
+          </h2>
+          <button
+            ref={closeRef}
+            onClick={onClose}
+            aria-label={t('shortcuts.close')}
+            className="p-2 text-fg-muted hover:text-fg-strong rounded-lg"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {!enabled && <p className="mb-4 text-sm text-yellow-700 dark:text-yellow-400">{t('shortcuts.disabled')}</p>}
+
+        <dl className="divide-y divide-line text-sm">
+          {SHORTCUTS.map(shortcut => (
+            <div key={shortcut.id} className="flex items-center justify-between gap-4 py-2">
+              <dt className="text-fg-soft">{t(`shortcuts.actions.${shortcut.id}`)}</dt>
+              <dd>
+                <kbd className="px-2 py-0.5 font-mono text-fg-strong bg-base border border-line-strong rounded">{shortcut.key}</kbd>
+              </dd>
+            </div>
+          ))}
+          <div className="flex items-center justify-between gap-4 py-2">
+            <dt className="text-fg-soft">{t('shortcuts.formatRows')}</dt>
+            <dd className="flex gap-1">
+              {['↑', '↓', 'Home', 'End'].map(key => (
+                <kbd key={key} className="px-2 py-0.5 font-mono text-fg-strong bg-base border border-line-strong rounded">{key}</kbd>
+              ))}
+            </dd>
+          </div>
+        </dl>
+      </div>
+    </div>
+  );
+};
+
+export default ShortcutsDialog;
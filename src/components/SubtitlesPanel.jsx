@@ -0,0 +1,173 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { Captions, Download, Loader2, Film } from 'lucide-react';
+import { getSubtitles } from '../services/downloaderApi';
+import { isCancelled } from '../utils/apiError';
+import { collapseRollingCues, parseCues, SUBTITLE_FORMATS } from '../utils/subtitles';
+import { saveTextFile } from '../utils/fileSaver';
+import { sanitizeFilename } from '../utils/filename';
+import { formatTimestamp } from '../utils/format';
+import { useTranslation } from '../hooks/useTranslation';
+
+const PREVIEW_CUES = 6;
+
+const trackKey = (track) => `${track.auto ? 'auto' : 'manual'}:${track.lang}`;
+
+const collectTracks = (byLanguage, auto) => Object.entries(byLanguage || {}).map(([lang, variants]) => ({
+  lang,
+  auto,
+  name: variants?.[0]?.name || lang,
+}));
+
+/**
+ * Lists manual and auto-generated caption tracks, previews the selected one,
+ * downloads it as SRT/VTT/plain text and controls soft-sub embedding for video downloads.
+ * `embed` is `null` or `{ lang, auto }`; changes are reported through `onEmbedChange`.
+ */
+const SubtitlesPanel = ({ videoUrl, videoInfo, embed, onEmbedChange }) => {
+  const tracks = useMemo(() => [
+    ...collectTracks(videoInfo.subtitles, false),
+    ...collectTracks(videoInfo.automatic_captions, true),
+  ], [videoInfo.subtitles, videoInfo.automatic_captions]);
+
+  const [selectedKey, setSelectedKey] = useState(() => (tracks[0] ? trackKey(tracks[0]) : ''));
+  const [format, setFormat] = useState('srt');
+  const [cues, setCues] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const cache = useRef(new Map());
+  const { t } = useTranslation();
+
+  const selected = tracks.find(track => trackKey(track) === selectedKey);
+
+  // Load (or reuse) the selected track for the preview
+  useEffect(() => {
+    if (!selected) return undefined;
+
+    const key = trackKey(selected);
+    if (cache.current.has(key)) {
+      setCues(cache.current.get(key));
+      setError('');
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    setLoading(true);
+    setCues(null);
+    setError('');
+
+    getSubtitles(videoUrl, selected, { signal: controller.signal })
+      .then(text => {
+        const parsed = parseCues(text);
+        const cleaned = selected.auto ? collapseRollingCues(parsed) : parsed;
+        cache.current.set(key, cleaned);
+        setCues(cleaned);
+      })
+      .catch(err => {
+        if (!isCancelled(err)) setError(err.message || t('subtitles.loadFailed'));
+      })
+      .finally(() => {
+        // An aborted request belongs to a track that is no longer selected; its successor owns the spinner
+        if (!controller.signal.aborted) setLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [selected, videoUrl, t]);
+
+  if (tracks.length === 0) return null;
+
+  const handleDownload = () => {
+    const output = SUBTITLE_FORMATS.find(option => option.value === format);
+    const name = `${videoInfo.title || 'subtitles'} [${selected.lang}${selected.auto ? '-auto' : ''}].${output.value}`;
+    saveTextFile(output.convert(cues), sanitizeFilename(name, 'subtitles'), output.type);
+  };
+
+  const embedSelected = Boolean(embed) && embed.lang === selected?.lang && embed.auto === selected?.auto;
+
+  const manual = tracks.filter(track => !track.auto);
+  const auto = tracks.filter(track => track.auto);
+
+  return (
+    <div className="mb-8 p-4 bg-surface rounded-lg border-s-4 border-purple-500">
+      <h3 className="text-xl font-bold text-purple-600 dark:text-purple-400 mb-4 flex items-center gap-2">
+        <Captions className="w-6 h-6" />
+        {t('subtitles.title')}
+      </h3>
+
+      <div className="flex flex-wrap items-center gap-3 mb-4 text-sm">
+        <select
+          value={selectedKey}
+          onChange={(e) => setSelectedKey(e.target.value)}
+          aria-label={t('subtitles.track')}
+          className="px-3 py-2 border border-line bg-base text-fg-strong rounded-lg focus:outline-none focus:border-purple-500"
+        >
+          {manual.length > 0 && (
+            <optgroup label={t('subtitles.manual')}>
+              {manual.map(track => <option key={trackKey(track)} value={trackKey(track)}>{track.name} ({track.lang})</option>)}
+            </optgroup>
+          )}
+          {auto.length > 0 && (
+            <optgroup label={t('subtitles.auto')}>
+              {auto.map(track => <option key={trackKey(track)} value={trackKey(track)}>{track.name} ({track.lang})</option>)}
+            </optgroup>
+          )}
+        </select>
+        <select
+          value={format}
+          onChange={(e) => setFormat(e.target.value)}
+          aria-label={t('subtitles.format')}
+          className="px-3 py-2 border border-line bg-base text-fg-strong rounded-lg focus:outline-none focus:border-purple-500"
+        >
+          {SUBTITLE_FORMATS.map(option => <option key={option.value} value={option.value}>{t(`subtitles.formats.${option.value}`)}</option>)}
+        </select>
+        <button
+          onClick={handleDownload}
+          disabled={!cues || cues.length === 0}
+          className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-500 transition-colors disabled:bg-raised-strong flex items-center gap-2 font-medium"
+        >
+          <Download className="w-4 h-4" />
+          {t('subtitles.download')}
+        </button>
+      </div>
+
+      <label className="flex items-center gap-2 mb-4 text-sm text-fg-soft">
+        <input
+          type="checkbox"
+          checked={embedSelected}
+          onChange={(e) => onEmbedChange(e.target.checked ? { lang: selected.lang, auto: selected.auto } : null)}
+          className="w-4 h-4 accent-purple-600"
+        />
+        <Film className="w-4 h-4 text-purple-600 dark:text-purple-400" />
+        {t('subtitles.embed')}
+        {embed && !embedSelected && (
+          <span className="text-fg-subtle">
+            {t(embed.auto ? 'subtitles.currentlyEmbeddingAuto' : 'subtitles.currentlyEmbedding', { lang: embed.lang })}
+          </span>
+        )}
+      </label>
+
+      {/* Preview of the first cues */}
+      <div className="p-3 bg-base rounded-lg text-sm font-mono min-h-16">
+        {loading && (
+          <p className="flex items-center gap-2 text-fg-muted">
+            <Loader2 className="w-4 h-4 animate-spin" />
+            {t('subtitles.loading')}
+          </p>
+        )}
+        {error && <p className="text-red-600 dark:text-red-400">{error}</p>}
+        {cues && cues.length === 0 && <p className="text-fg-muted">{t('subtitles.empty')}</p>}
+        {cues && cues.length > 0 && (
+          <ol className="space-y-1">
+            {cues.slice(0, PREVIEW_CUES).map((cue, index) => (
+              <li key={index} className="flex gap-3">
+                <span className="text-purple-600 dark:text-purple-400 flex-shrink-0">{formatTimestamp(cue.start)}</span>
+                <span className="text-fg whitespace-pre-line">{cue.text}</span>
+              </li>
+            ))}
+          </ol>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SubtitlesPanel;
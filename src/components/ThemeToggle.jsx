@@ -0,0 +1,38 @@
+import React from 'react';
+import { Sun, Moon, Monitor } from 'lucide-react';
+import { useTheme } from '../hooks/useTheme';
+import { useTranslation } from '../hooks/useTranslation';
+
+const OPTIONS = [
+  { value: 'light', icon: <Sun className="w-4 h-4" /> },
+  { value: 'dark', icon: <Moon className="w-4 h-4" /> },
+  { value: 'system', icon: <Monitor className="w-4 h-4" /> },
+];
+
+/**
+ * Three-way light / dark / system switch for the header.
+ */
+const ThemeToggle = () => {
+  const { theme, setTheme, isAnimating } = useTheme();
+  const { t } = useTranslation();
+
+  return (
+    <div role="group" aria-label={t('theme.group')} className="inline-flex items-center gap-1 p-1 border border-line rounded-lg">
+      {OPTIONS.map(({ value, icon }) => (
+        <button
+          key={value}
+          onClick={(e) => setTheme(value, e)}
+          disabled={isAnimating}
+          aria-pressed={theme === value}
+          aria-label={t('theme.switchTo', { theme: t(`theme.${value}`) })}
+          title={t(`theme.${value}`)}
+          className={`theme-toggle-button p-1.5 rounded-md transition-colors ${theme === value ? 'bg-raised text-fg-strong' : 'text-fg-muted hover:text-fg-strong'}`}
+        >
+          {icon}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default ThemeToggle;
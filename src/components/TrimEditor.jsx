@@ -0,0 +1,159 @@
+import React, { useMemo, useState } from 'react';
+import { Scissors, ListTree } from 'lucide-react';
+import { formatDuration, formatTimestamp, parseTimestamp } from '../utils/format';
+import { normalizeChapters, validateClip } from '../utils/clip';
+import { useTranslation } from '../hooks/useTranslation';
+
+/**
+ * Picks a time range to download instead of the whole video: a dual-handle slider,
+ * `hh:mm:ss` inputs and, when the backend reports them, chapter shortcuts.
+ * `clip` is `{ enabled, start, end }` in seconds and is fully controlled by the parent.
+ */
+const TrimEditor = ({ duration, chapters, clip, onChange }) => {
+  // Text being typed into a timestamp field; committed on blur or Enter
+  const [editing, setEditing] = useState({ field: null, text: '' });
+  const [inputError, setInputError] = useState('');
+  const { t, locale } = useTranslation();
+
+  const chapterList = useMemo(() => normalizeChapters(chapters, duration), [chapters, duration]);
+  const rangeError = clip.enabled ? validateClip(clip, duration) : '';
+
+  const update = (patch) => onChange({ ...clip, ...patch });
+
+  const commit = (field) => {
+    if (editing.field !== field) return;
+    const seconds = parseTimestamp(editing.text);
+    setEditing({ field: null, text: '' });
+
+    if (seconds === null) {
+      setInputError(t('trim.invalidTime', { text: editing.text }));
+      return;
+    }
+    if (duration > 0 && seconds > duration) {
+      setInputError(t('trim.tooLong', { duration: formatDuration(duration, locale) }));
+      return;
+    }
+    setInputError('');
+    update({ [field]: seconds });
+  };
+
+  // Handles may meet but never cross
+  const handleSlider = (field) => (e) => {
+    const value = Number(e.target.value);
+    if (field === 'start') {
+      update({ start: Math.min(value, clip.end - 1) });
+    } else {
+      update({ end: Math.max(value, clip.start + 1) });
+    }
+  };
+
+  const selectChapter = (e) => {
+    const chapter = chapterList[Number(e.target.value)];
+    if (chapter) update({ start: chapter.start, end: chapter.end });
+  };
+
+  const percent = (seconds) => (duration > 0 ? (seconds / duration) * 100 : 0);
+
+  const timeInput = (field, label) => (
+    <label className="flex flex-col gap-1 text-sm text-fg-soft font-semibold">
+      {label}
+      <input
+        value={editing.field === field ? editing.text : formatTimestamp(clip[field])}
+        onFocus={() => setEditing({ field, text: formatTimestamp(clip[field]) })}
+        onChange={(e) => setEditing({ field, text: e.target.value })}
+        onBlur={() => commit(field)}
+        onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+        placeholder="hh:mm:ss"
+        inputMode="numeric"
+        className="w-32 px-3 py-2 border border-line bg-base text-fg-strong rounded-lg font-mono focus:outline-none focus:border-red-500"
+      />
+    </label>
+  );
+
+  return (
+    <div className="mb-8 p-4 bg-surface rounded-lg border-s-4 border-yellow-500">
+      <div className="flex items-center justify-between flex-wrap gap-3">
+        <h3 className="text-xl font-bold text-yellow-700 dark:text-yellow-400 flex items-center gap-2">
+          <Scissors className="w-6 h-6" />
+          {t('trim.title')}
+        </h3>
+        <label className="flex items-center gap-2 text-sm text-fg-soft">
+          <input
+            type="checkbox"
+            checked={clip.enabled}
+            onChange={(e) => update({ enabled: e.target.checked })}
+            className="w-4 h-4 accent-yellow-500"
+          />
+          {t('trim.enable')}
+        </label>
+      </div>
+
+      {clip.enabled && (
+        <div className="mt-4">
+          {/* Dual-handle range slider */}
+          <div className="relative h-6 mb-4">
+            <div className="absolute top-1/2 -translate-y-1/2 w-full h-2 bg-raised rounded-full" />
+            <div
+              className="absolute top-1/2 -translate-y-1/2 h-2 bg-yellow-500 rounded-full"
+              // Logical offset so the highlight follows the slider direction in RTL layouts
+              style={{ insetInlineStart: `${percent(clip.start)}%`, width: `${percent(clip.end) - percent(clip.start)}%` }}
+            />
+            <input
+              type="range"
+              min={0}
+              max={duration}
+              value={clip.start}
+              onChange={handleSlider('start')}
+              aria-label={t('trim.clipStart')}
+              className="range-dual"
+            />
+            <input
+              type="range"
+              min={0}
+              max={duration}
+              value={clip.end}
+              onChange={handleSlider('end')}
+              aria-label={t('trim.clipEnd')}
+              className="range-dual"
+            />
+          </div>
+
+          <div className="flex flex-wrap items-end gap-4">
+            {timeInput('start', t('trim.start'))}
+            {timeInput('end', t('trim.end'))}
+            <p className="text-sm text-fg-muted pb-2">
+              {t('trim.clipLength')} <span className="font-semibold text-fg-strong">{formatDuration(Math.max(clip.end - clip.start, 0), locale)}</span>
+              {' / '}{formatDuration(duration, locale)}
+            </p>
+          </div>
+
+          {chapterList.length > 0 && (
+            <label className="flex flex-wrap items-center gap-3 mt-4 text-sm text-fg-soft">
+              <ListTree className="w-4 h-4 text-yellow-500" />
+              {t('trim.useChapter')}
+              <select
+                value=""
+                onChange={selectChapter}
+                aria-label={t('trim.useChapter')}
+                className="px-3 py-2 border border-line bg-base text-fg-strong rounded-lg focus:outline-none focus:border-red-500"
+              >
+                <option value="" disabled>{t('trim.chooseChapter')}</option>
+                {chapterList.map((chapter, index) => (
+                  <option key={`${chapter.start}-${index}`} value={index}>
+                    {formatTimestamp(chapter.start)} – {chapter.title || t('trim.chapter', { number: index + 1 })} ({formatDuration(chapter.end - chapter.start, locale)})
+                  </option>
+                ))}
+              </select>
+            </label>
+          )}
+
+          {(inputError || rangeError) && (
+            <p className="mt-3 text-sm text-red-600 dark:text-red-400">{inputError || t(`trim.errors.${rangeError}`)}</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TrimEditor;
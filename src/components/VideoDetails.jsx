@@ -0,0 +1,193 @@
+import React, { useMemo, useState } from 'react';
+import { ChevronDown, ChevronUp, ImageDown, ListTree, Tag } from 'lucide-react';
+import { formatDuration, formatTimestamp } from '../utils/format';
+import { normalizeChapters } from '../utils/clip';
+import { parseDescription } from '../utils/description';
+import { sanitizeFilename } from '../utils/filename';
+import { saveBlob } from '../utils/fileSaver';
+import { withStartTime } from '../utils/youtubeUrl';
+import { useTranslation } from '../hooks/useTranslation';
+
+const IMAGE_EXTENSION = /\.(jpe?g|png|webp)(?:$|\?)/i;
+
+/**
+ * Thumbnails worth offering, largest first: one per size, from `thumbnails` when the
+ * backend sends them, otherwise just the main `thumbnail` at an unknown size.
+ * @param {import('../services/downloaderApi').VideoInfo} videoInfo
+ * @returns {Array<{ url: string, width?: number, height?: number }>}
+ */
+const thumbnailOptions = (videoInfo) => {
+  const bySize = new Map();
+  for (const thumb of videoInfo.thumbnails || []) {
+    if (!thumb?.url || !thumb.width || !thumb.height) continue;
+    const key = `${thumb.width}x${thumb.height}`;
+    // yt-dlp often lists the same size as both webp and jpg; one is enough
+    if (!bySize.has(key)) bySize.set(key, thumb);
+  }
+  const sized = [...bySize.values()].sort((a, b) => b.width * b.height - a.width * a.height);
+  if (sized.length > 0) return sized;
+  return videoInfo.thumbnail ? [{ url: videoInfo.thumbnail }] : [];
+};
+
+/**
+ * Expandable extras for a fetched video: the description with clickable links and
+ * timestamps, tags and categories, the chapter list and a thumbnail download.
+ */
+const VideoDetails = ({ videoInfo, videoUrl }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [thumbIndex, setThumbIndex] = useState(0);
+  const { t, locale } = useTranslation();
+
+  const duration = videoInfo.duration_seconds || 0;
+  const segments = useMemo(() => parseDescription(videoInfo.description, duration), [videoInfo.description, duration]);
+  const chapters = useMemo(() => normalizeChapters(videoInfo.chapters, duration), [videoInfo.chapters, duration]);
+  const thumbnails = useMemo(() => thumbnailOptions(videoInfo), [videoInfo]);
+  const tags = videoInfo.tags || [];
+  const categories = videoInfo.categories || [];
+  const thumb = thumbnails[thumbIndex] || thumbnails[0];
+
+  const timeLink = (seconds, label) => (
+    <a
+      href={withStartTime(videoUrl, seconds)}
+      target="_blank"
+      rel="noopener noreferrer"
+      title={t('details.openAt', { time: formatTimestamp(seconds) })}
+      className="font-mono text-red-600 dark:text-red-400 hover:underline"
+    >
+      {label}
+    </a>
+  );
+
+  const sizeLabel = (option) => (option.width ? `${option.width}×${option.height}` : t('details.original'));
+
+  const downloadThumbnail = async () => {
+    const ext = (IMAGE_EXTENSION.exec(thumb.url)?.[1] || 'jpg').toLowerCase();
+    const size = thumb.width ? ` [${thumb.width}x${thumb.height}]` : '';
+    const filename = sanitizeFilename(`${videoInfo.title}${size}.${ext}`, 'thumbnail');
+
+    try {
+      const response = await fetch(thumb.url);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      saveBlob(await response.blob(), filename);
+    } catch (err) {
+      // Image hosts without CORS headers cannot be read from script; open it for a manual save instead
+      console.error('Thumbnail download failed, opening it instead:', err);
+      window.open(thumb.url, '_blank', 'noopener,noreferrer');
+    }
+  };
+
+  const chip = (text) => (
+    <li key={text} className="px-2 py-0.5 text-xs rounded-full bg-raised text-fg">{text}</li>
+  );
+
+  return (
+    <div className="mb-8 p-4 bg-surface rounded-lg border-s-4 border-line-strong">
+      <button
+        type="button"
+        onClick={() => setExpanded(open => !open)}
+        aria-expanded={expanded}
+        aria-controls="video-details"
+        className="w-full flex items-center justify-between text-start text-xl font-bold text-fg"
+      >
+        {t('details.title')}
+        <span className="flex items-center gap-1 text-sm font-semibold text-fg-muted">
+          {expanded ? t('details.hide') : t('details.show')}
+          {expanded ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+        </span>
+      </button>
+
+      {expanded && (
+        <div id="video-details" className="mt-4 space-y-6">
+          <section>
+            <h4 className="text-sm font-semibold text-fg-soft mb-2">{t('details.description')}</h4>
+            {segments.length > 0 ? (
+              <p className="text-sm text-fg-muted whitespace-pre-line break-words max-h-80 overflow-y-auto">
+                {segments.map((segment, index) => {
+                  if (segment.type === 'link') {
+                    return (
+                      <a key={index} href={segment.href} target="_blank" rel="noopener noreferrer" className="text-red-600 dark:text-red-400 hover:underline">
+                        {segment.text}
+                      </a>
+                    );
+                  }
+                  if (segment.type === 'timestamp') {
+                    return <React.Fragment key={index}>{timeLink(segment.seconds, segment.text)}</React.Fragment>;
+                  }
+                  return <React.Fragment key={index}>{segment.text}</React.Fragment>;
+                })}
+              </p>
+            ) : (
+              <p className="text-sm text-fg-subtle">{t('details.noDescription')}</p>
+            )}
+          </section>
+
+          {(tags.length > 0 || categories.length > 0) && (
+            <section className="space-y-3">
+              {categories.length > 0 && (
+                <div>
+                  <h4 className="text-sm font-semibold text-fg-soft mb-2">{t('details.categories')}</h4>
+                  <ul className="flex flex-wrap gap-2">{categories.map(chip)}</ul>
+                </div>
+              )}
+              {tags.length > 0 && (
+                <div>
+                  <h4 className="text-sm font-semibold text-fg-soft mb-2 flex items-center gap-1">
+                    <Tag className="w-4 h-4" />
+                    {t('details.tags')}
+                  </h4>
+                  <ul className="flex flex-wrap gap-2">{tags.map(chip)}</ul>
+                </div>
+              )}
+            </section>
+          )}
+
+          {chapters.length > 0 && (
+            <section>
+              <h4 className="text-sm font-semibold text-fg-soft mb-2 flex items-center gap-1">
+                <ListTree className="w-4 h-4" />
+                {t('details.chapters')}
+              </h4>
+              <ol className="text-sm text-fg-muted divide-y divide-line">
+                {chapters.map((chapter, index) => (
+                  <li key={`${chapter.start}-${index}`} className="flex items-center gap-3 py-1.5">
+                    {timeLink(chapter.start, formatTimestamp(chapter.start))}
+                    <span className="flex-1 text-fg">{chapter.title || t('details.chapter', { number: index + 1 })}</span>
+                    <span className="font-mono">{formatDuration(chapter.end - chapter.start, locale)}</span>
+                  </li>
+                ))}
+              </ol>
+            </section>
+          )}
+
+          {thumb && (
+            <section>
+              <h4 className="text-sm font-semibold text-fg-soft mb-2">{t('details.thumbnail')}</h4>
+              <div className="flex flex-wrap items-center gap-3">
+                <select
+                  value={thumbIndex}
+                  onChange={(e) => setThumbIndex(Number(e.target.value))}
+                  aria-label={t('details.thumbnailSize')}
+                  className="px-3 py-2 border border-line bg-base text-fg-strong rounded-lg focus:outline-none focus:border-red-500"
+                >
+                  {thumbnails.map((option, index) => (
+                    <option key={option.url} value={index}>{sizeLabel(option)}</option>
+                  ))}
+                </select>
+                <button
+                  type="button"
+                  onClick={downloadThumbnail}
+                  className="flex items-center gap-2 px-4 py-2 bg-raised text-fg-strong font-semibold rounded-lg hover:bg-raised-strong"
+                >
+                  <ImageDown className="w-4 h-4" />
+                  {t('details.downloadThumbnail')}
+                </button>
+              </div>
+            </section>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VideoDetails;
@@ -0,0 +1,42 @@
+import { useCallback, useEffect, useState } from 'react';
+import { onReachabilityChange } from '../utils/api';
+import { pingBackend } from '../services/downloaderApi';
+
+/**
+ * Whether the app can talk to the backend. Reachability is learned passively from
+ * ordinary requests, so nothing is sent until the user does something; `check` probes
+ * on demand and runs by itself when the browser comes back online.
+ * @returns {{ status: 'online' | 'offline' | 'unreachable', checking: boolean, check: () => Promise<void> }}
+ */
+export const useBackendStatus = () => {
+  const [online, setOnline] = useState(() => navigator.onLine);
+  const [reachable, setReachable] = useState(true);
+  const [checking, setChecking] = useState(false);
+
+  useEffect(() => onReachabilityChange(setReachable), []);
+
+  const check = useCallback(async () => {
+    setChecking(true);
+    try {
+      setReachable(await pingBackend());
+    } finally {
+      setChecking(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    const handleOnline = () => {
+      setOnline(true);
+      check();
+    };
+    const handleOffline = () => setOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [check]);
+
+  return { status: !online ? 'offline' : reachable ? 'online' : 'unreachable', checking, check };
+};
@@ -0,0 +1,45 @@
+import { useCallback, useEffect, useState } from 'react';
+import { addHistoryEntry, clearHistory, deleteHistoryEntry, getHistory } from '../utils/historyStore';
+
+/**
+ * Exposes the IndexedDB download history as React state.
+ * History is a convenience, so storage failures are logged rather than surfaced.
+ */
+export const useDownloadHistory = () => {
+  const [entries, setEntries] = useState([]);
+
+  useEffect(() => {
+    getHistory()
+      .then(setEntries)
+      .catch(err => console.error('Failed to load download history:', err));
+  }, []);
+
+  const record = useCallback(async (entry) => {
+    try {
+      const saved = await addHistoryEntry(entry);
+      setEntries(prev => [saved, ...prev]);
+    } catch (err) {
+      console.error('Failed to save download history:', err);
+    }
+  }, []);
+
+  const remove = useCallback(async (id) => {
+    try {
+      await deleteHistoryEntry(id);
+      setEntries(prev => prev.filter(entry => entry.id !== id));
+    } catch (err) {
+      console.error('Failed to delete history entry:', err);
+    }
+  }, []);
+
+  const clear = useCallback(async () => {
+    try {
+      await clearHistory();
+      setEntries([]);
+    } catch (err) {
+      console.error('Failed to clear download history:', err);
+    }
+  }, []);
+
+  return { entries, record, remove, clear };
+};
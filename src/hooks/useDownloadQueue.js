@@ -0,0 +1,399 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { subscribeProgress } from '../utils/progressStream';
+import { downloadViaBrowser, streamToFile } from '../utils/fileSaver';
+import { describeFailure, isCancelled } from '../utils/apiError';
+import { sanitizeFilename } from '../utils/filename';
+import { createSpeedMeter } from '../utils/speedMeter';
+import { cancelDownload, endpointUrl, getFile, startDownload } from '../services/downloaderApi';
+
+const DEFAULT_CONCURRENCY = 2;
+export const MAX_CONCURRENCY = 5;
+
+// Statuses that occupy a concurrency slot
+const ACTIVE_STATUSES = ['starting', 'downloading', 'saving'];
+
+// Unfinished entries are mirrored to storage so a reload can reattach to their sessions
+const SESSIONS_KEY = 'downloadSessions';
+const UNFINISHED_STATUSES = ['pending', ...ACTIVE_STATUSES, 'paused'];
+
+const readConcurrency = () => {
+  const saved = parseInt(localStorage.getItem('downloadConcurrency'), 10);
+  return saved >= 1 && saved <= MAX_CONCURRENCY ? saved : DEFAULT_CONCURRENCY;
+};
+
+let nextId = 1;
+let nextBatchId = 1;
+
+/**
+ * Restores the entries that were unfinished when the page was last closed. Entries
+ * that already had a server session go back to 'pending' with their `sessionId`, so
+ * the scheduler reattaches to the progress feed instead of starting a new job.
+ */
+const readSavedItems = () => {
+  let saved;
+  try {
+    saved = JSON.parse(localStorage.getItem(SESSIONS_KEY)) || [];
+  } catch {
+    return [];
+  }
+  if (!Array.isArray(saved)) return [];
+
+  const restored = saved
+    .filter(item => item && item.url && UNFINISHED_STATUSES.includes(item.status))
+    .map(item => ({
+      ...item,
+      // 'starting' never got a session id back, so it has to start over
+      status: item.status === 'paused' ? 'paused' : 'pending',
+      transfer: null,
+      restored: Boolean(item.sessionId),
+    }));
+
+  // Keep new ids clear of the restored ones
+  restored.forEach(item => {
+    nextId = Math.max(nextId, item.id + 1);
+    if (item.batchId) nextBatchId = Math.max(nextBatchId, item.batchId + 1);
+  });
+  return restored;
+};
+
+const createItem = ({
+  url,
+  formatId = null,
+  audioFormatId = null,
+  audioOptions = null,
+  trim = null,
+  subtitles = null,
+  isAudio = false,
+  quality = null,
+  ext = '',
+  resolution = '',
+  title = '',
+  author = '',
+  thumbnail = '',
+  uploadDate = '',
+  suggestedName = '',
+  label = '',
+  batchId = null,
+  batchTitle = '',
+}) => ({
+  id: nextId++,
+  url,
+  formatId,
+  audioFormatId,
+  audioOptions,
+  trim,
+  subtitles,
+  isAudio,
+  quality,
+  ext,
+  resolution,
+  title,
+  author,
+  thumbnail,
+  uploadDate,
+  // Built from the filename template when queued; also sent so the server names the file the same
+  suggestedName,
+  label,
+  batchId,
+  batchTitle,
+  status: 'pending',
+  progress: 0,
+  // Latest update: the server's status text, byte counts, average speed (bytes/s) and ETA (seconds)
+  details: {},
+  transfer: null,
+  sessionId: null,
+  restored: false,
+  // Client-side failures carry a catalog key (queue.errors.*); `error` holds the detail
+  errorCode: '',
+  error: '',
+  // Why it failed (`describeFailure`), for guidance and the diagnostics the user can copy
+  failure: null,
+  filename: '',
+});
+
+/**
+ * Manages a queue of download sessions. Each entry gets its own `/start-download`
+ * session, progress subscription and status; pending entries start automatically
+ * whenever fewer than `concurrency` entries are active.
+ * @param {{ onComplete?: (item: object, filename: string) => void }} [options]
+ */
+export const useDownloadQueue = ({ onComplete } = {}) => {
+  const [items, setItems] = useState(readSavedItems);
+  const [concurrency, setConcurrencyState] = useState(readConcurrency);
+  const subscriptions = useRef(new Map());
+  const controllers = useRef(new Map());
+  // File System Access handles picked at click time, kept out of state
+  const fileHandles = useRef(new Map());
+  const itemsRef = useRef(items);
+  const onCompleteRef = useRef(onComplete);
+
+  useEffect(() => {
+    itemsRef.current = items;
+  }, [items]);
+
+  useEffect(() => {
+    onCompleteRef.current = onComplete;
+  }, [onComplete]);
+
+  useEffect(() => {
+    const unfinished = items.filter(item => UNFINISHED_STATUSES.includes(item.status));
+    if (unfinished.length > 0) {
+      localStorage.setItem(SESSIONS_KEY, JSON.stringify(unfinished));
+    } else {
+      localStorage.removeItem(SESSIONS_KEY);
+    }
+  }, [items]);
+
+  const updateItem = useCallback((id, patch) => {
+    setItems(prev => prev.map(item => (item.id === id ? { ...item, ...patch } : item)));
+  }, []);
+
+  const stopTracking = useCallback((id) => {
+    subscriptions.current.get(id)?.();
+    subscriptions.current.delete(id);
+  }, []);
+
+  // Every network request of an entry shares one AbortController until it settles
+  const getSignal = useCallback((id) => {
+    if (!controllers.current.has(id)) {
+      controllers.current.set(id, new AbortController());
+    }
+    return controllers.current.get(id).signal;
+  }, []);
+
+  const abortRequests = useCallback((id) => {
+    controllers.current.get(id)?.abort();
+    controllers.current.delete(id);
+  }, []);
+
+  // Guaranteed teardown: no progress subscription or request outlives the component
+  useEffect(() => {
+    const activeSubscriptions = subscriptions.current;
+    const activeControllers = controllers.current;
+    return () => {
+      activeSubscriptions.forEach(unsubscribe => unsubscribe());
+      activeSubscriptions.clear();
+      activeControllers.forEach(controller => controller.abort());
+      activeControllers.clear();
+    };
+  }, []);
+
+  const saveFile = useCallback(async (item, sessionId) => {
+    const handle = fileHandles.current.get(item.id);
+
+    if (handle) {
+      const signal = getSignal(item.id);
+      return streamToFile((offset) => getFile(sessionId, { signal, offset }), handle, {
+        onProgress: (transfer) => updateItem(item.id, { transfer }),
+      });
+    }
+
+    const filename = item.suggestedName || sanitizeFilename(`${item.title || ''}.${item.ext || (item.isAudio ? 'mp3' : 'mp4')}`);
+    downloadViaBrowser(endpointUrl(`/file/${sessionId}`), filename);
+    return filename;
+  }, [getSignal, updateItem]);
+
+  const trackProgress = useCallback((item, sessionId) => {
+    stopTracking(item.id);
+    const meter = createSpeedMeter();
+
+    const handleProgress = async (data) => {
+      // The entry may have been paused or removed since this update was sent
+      if (subscriptions.current.get(item.id) !== unsubscribe) return;
+
+      const { progress: p, error: err, status } = data;
+
+      if (err) {
+        stopTracking(item.id);
+        controllers.current.delete(item.id);
+        updateItem(item.id, { status: 'failed', error: err, failure: describeFailure(err, { endpoint: `GET /progress/${sessionId}` }) });
+        return;
+      }
+
+      updateItem(item.id, { progress: p || 0, details: { status, ...meter.update(data) } });
+
+      if (p >= 100) {
+        stopTracking(item.id);
+        updateItem(item.id, { status: 'saving' });
+        try {
+          const filename = await saveFile(item, sessionId);
+          controllers.current.delete(item.id);
+          fileHandles.current.delete(item.id);
+          updateItem(item.id, { status: 'completed', progress: 100, filename });
+          const latest = itemsRef.current.find(entry => entry.id === item.id) || item;
+          onCompleteRef.current?.(latest, filename);
+        } catch (fileErr) {
+          if (isCancelled(fileErr)) return;
+          controllers.current.delete(item.id);
+          updateItem(item.id, {
+            status: 'failed',
+            errorCode: 'fileFailed',
+            error: fileErr.message,
+            failure: describeFailure(fileErr, { endpoint: `GET /file/${sessionId}` }),
+          });
+        }
+      }
+    };
+
+    const unsubscribe = subscribeProgress(sessionId, {
+      onProgress: handleProgress,
+      onError: (err) => {
+        stopTracking(item.id);
+        controllers.current.delete(item.id);
+        updateItem(item.id, {
+          status: 'failed',
+          errorCode: err.code === 'sessionExpired' ? 'sessionExpired' : 'progressFailed',
+          failure: describeFailure(err),
+        });
+      },
+    });
+
+    subscriptions.current.set(item.id, unsubscribe);
+  }, [saveFile, stopTracking, updateItem]);
+
+  const runItem = useCallback(async (item) => {
+    // Resumed entries already own a server session, so only re-attach the progress feed
+    if (item.sessionId) {
+      updateItem(item.id, { status: 'downloading' });
+      trackProgress(item, item.sessionId);
+      return;
+    }
+
+    updateItem(item.id, { status: 'starting', errorCode: '', error: '', failure: null });
+
+    const signal = getSignal(item.id);
+    try {
+      const sessionId = await startDownload({
+        url: item.url,
+        format_id: item.formatId,
+        is_audio: item.isAudio,
+        ...(item.audioFormatId && { audio_format_id: item.audioFormatId, merge: true }),
+        ...(item.audioOptions && { audio: item.audioOptions }),
+        ...(item.trim && { start_time: item.trim.start, end_time: item.trim.end }),
+        ...(item.subtitles && { subtitles: item.subtitles }),
+        ...(item.quality && { quality: item.quality }),
+        ...(item.suggestedName && { filename: item.suggestedName }),
+      }, { signal });
+
+      // Cancelled, paused or removed after the server had already created the session:
+      // teardown had no session id to stop, so the job would run on unwatched
+      if (signal.aborted || !itemsRef.current.some(entry => entry.id === item.id)) {
+        cancelDownload(sessionId)
+          .catch(err => console.error('Cancel request failed:', err.message));
+        return;
+      }
+
+      updateItem(item.id, { status: 'downloading', sessionId });
+      trackProgress(item, sessionId);
+    } catch (err) {
+      if (isCancelled(err)) return;
+      controllers.current.delete(item.id);
+      updateItem(item.id, { status: 'failed', errorCode: 'startFailed', error: err.message || '', failure: describeFailure(err) });
+    }
+  }, [getSignal, trackProgress, updateItem]);
+
+  // Scheduler: fill free slots with pending entries, oldest first
+  useEffect(() => {
+    const active = items.filter(item => ACTIVE_STATUSES.includes(item.status)).length;
+    const slots = concurrency - active;
+    if (slots <= 0) return;
+
+    items
+      .filter(item => item.status === 'pending')
+      .slice(0, slots)
+      .forEach(runItem);
+  }, [items, concurrency, runItem]);
+
+  /**
+   * Adds a download to the end of the queue.
+   * @param {{ url: string, formatId?: string | null, audioFormatId?: string | null, audioOptions?: object | null, trim?: { start: number, end: number } | null, subtitles?: object | null, isAudio?: boolean, quality?: string, ext?: string, resolution?: string, title?: string, author?: string, thumbnail?: string, uploadDate?: string, suggestedName?: string, label?: string, fileHandle?: FileSystemFileHandle }} request
+   * @returns {number} The id of the new queue entry.
+   */
+  const enqueue = useCallback((request) => {
+    const item = createItem(request);
+    if (request.fileHandle) {
+      fileHandles.current.set(item.id, request.fileHandle);
+    }
+    setItems(prev => [...prev, item]);
+    return item.id;
+  }, []);
+
+  /**
+   * Adds several downloads at once, grouped under one batch for aggregate progress.
+   * @param {Array<object>} requests - Same shape as `enqueue` requests.
+   * @param {string} batchTitle - Label shown above the batch (e.g. the playlist title).
+   * @returns {number} The id of the new batch.
+   */
+  const enqueueBatch = useCallback((requests, batchTitle) => {
+    const batchId = nextBatchId++;
+    const batchItems = requests.map(request => createItem({ ...request, batchId, batchTitle }));
+    setItems(prev => [...prev, ...batchItems]);
+    return batchId;
+  }, []);
+
+  /**
+   * Stops tracking an entry, aborts its in-flight requests and asks the backend
+   * to drop the server-side job.
+   */
+  const teardown = useCallback((id) => {
+    stopTracking(id);
+    abortRequests(id);
+
+    const item = itemsRef.current.find(entry => entry.id === id);
+    if (item?.sessionId && ACTIVE_STATUSES.concat('paused').includes(item.status)) {
+      cancelDownload(item.sessionId)
+        .catch(err => console.error('Cancel request failed:', err.message));
+    }
+  }, [abortRequests, stopTracking]);
+
+  const cancel = useCallback((id) => {
+    teardown(id);
+    setItems(prev => prev.map(item => (
+      item.id === id && item.status !== 'completed' && item.status !== 'failed'
+        ? { ...item, status: 'cancelled', details: {} }
+        : item
+    )));
+  }, [teardown]);
+
+  const pause = useCallback((id) => {
+    stopTracking(id);
+    abortRequests(id);
+    setItems(prev => prev.map(item => (
+      item.id === id && (item.status === 'pending' || item.status === 'downloading')
+        ? { ...item, status: 'paused' }
+        : item
+    )));
+  }, [abortRequests, stopTracking]);
+
+  const resume = useCallback((id) => {
+    setItems(prev => prev.map(item => (
+      item.id === id && item.status === 'paused' ? { ...item, status: 'pending' } : item
+    )));
+  }, []);
+
+  const retry = useCallback((id) => {
+    setItems(prev => prev.map(item => (
+      item.id === id && (item.status === 'failed' || item.status === 'cancelled')
+        ? { ...item, status: 'pending', progress: 0, details: {}, transfer: null, sessionId: null, restored: false, errorCode: '', error: '', failure: null }
+        : item
+    )));
+  }, []);
+
+  const remove = useCallback((id) => {
+    teardown(id);
+    fileHandles.current.delete(id);
+    setItems(prev => prev.filter(item => item.id !== id));
+  }, [teardown]);
+
+  const clearFinished = useCallback(() => {
+    setItems(prev => prev.filter(item => item.status !== 'completed' && item.status !== 'cancelled'));
+  }, []);
+
+  const setConcurrency = useCallback((value) => {
+    const limit = Math.min(Math.max(parseInt(value, 10) || 1, 1), MAX_CONCURRENCY);
+    localStorage.setItem('downloadConcurrency', String(limit));
+    setConcurrencyState(limit);
+  }, []);
+
+  return { items, concurrency, setConcurrency, enqueue, enqueueBatch, cancel, pause, resume, retry, remove, clearFinished };
+};
@@ -0,0 +1,44 @@
+import { act, renderHook, waitFor } from '@testing-library/react';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { useDownloadQueue } from './useDownloadQueue';
+import { cancelDownload, startDownload } from '../services/downloaderApi';
+
+vi.mock('../services/downloaderApi', () => ({
+  cancelDownload: vi.fn(() => Promise.resolve()),
+  endpointUrl: (path) => path,
+  getFile: vi.fn(),
+  startDownload: vi.fn(),
+}));
+
+// The session request reaches the server; its answer arrives only when the test says so
+const pendingStart = () => {
+  let respond;
+  startDownload.mockImplementation(() => new Promise(resolve => { respond = resolve; }));
+  return (sessionId) => act(async () => respond(sessionId));
+};
+
+describe('useDownloadQueue', () => {
+  afterEach(() => {
+    startDownload.mockReset();
+    cancelDownload.mockClear();
+  });
+
+  it.each([
+    ['cancelled', 'cancel'],
+    ['removed', 'remove'],
+  ])('stops the server session of an entry %s while it was starting', async (_, action) => {
+    const respond = pendingStart();
+    const { result } = renderHook(() => useDownloadQueue());
+
+    let id;
+    act(() => {
+      id = result.current.enqueue({ url: 'https://youtu.be/x', formatId: '22' });
+    });
+    await waitFor(() => expect(startDownload).toHaveBeenCalledTimes(1));
+
+    act(() => result.current[action](id));
+    await respond('session-9');
+
+    expect(cancelDownload).toHaveBeenCalledWith('session-9');
+  });
+});
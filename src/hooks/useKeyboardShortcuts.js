@@ -0,0 +1,59 @@
+import { useEffect, useRef } from 'react';
+
+/**
+ * Global single-key shortcuts, in the order the help dialog lists them. Labels come
+ * from `shortcuts.actions.<id>` in the message catalogs.
+ */
+export const SHORTCUTS = [
+  { id: 'focusUrl', key: '/' },
+  { id: 'fetch', key: 'f' },
+  { id: 'downloadBest', key: 'd' },
+  { id: 'cancel', key: 'c' },
+  { id: 'history', key: 'h' },
+  { id: 'help', key: '?' },
+];
+
+// Inputs that do not take text keep the shortcuts working while they have focus
+const NON_TEXT_INPUTS = ['checkbox', 'radio', 'button', 'submit', 'reset', 'range', 'color', 'file'];
+
+const isTyping = (target) => {
+  if (!(target instanceof HTMLElement)) return false;
+  if (target.isContentEditable || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT') return true;
+  return target.tagName === 'INPUT' && !NON_TEXT_INPUTS.includes(target.type);
+};
+
+/**
+ * Runs `handlers[id]` when the key of a `SHORTCUTS` entry is pressed anywhere on the
+ * page, except while typing into a field or with a modifier held (so browser and
+ * screen reader commands still work). Single-key shortcuts must be possible to turn
+ * off (WCAG 2.1.4), hence `enabled`.
+ * @param {Object<string, () => void>} handlers - Keyed by shortcut id; missing ids are ignored.
+ * @param {boolean} [enabled]
+ */
+export const useKeyboardShortcuts = (handlers, enabled = true) => {
+  // The listener is attached once per `enabled` change and reads the latest handlers
+  const handlersRef = useRef(handlers);
+  useEffect(() => {
+    handlersRef.current = handlers;
+  });
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    const handleKeyDown = (e) => {
+      if (e.defaultPrevented || e.isComposing || e.ctrlKey || e.metaKey || e.altKey) return;
+      if (isTyping(e.target)) return;
+
+      const shortcut = SHORTCUTS.find(entry => entry.key === e.key.toLowerCase());
+      const handler = shortcut && handlersRef.current[shortcut.id];
+      if (!handler) return;
+
+      // '/' would otherwise open quick find in Firefox
+      e.preventDefault();
+      handler();
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [enabled]);
+};
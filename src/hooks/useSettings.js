@@ -0,0 +1,8 @@
+import { createContext, useContext } from 'react';
+
+export const SettingsContext = createContext(null);
+
+/**
+ * @returns {{ settings: typeof import('../utils/settings').DEFAULT_SETTINGS, updateSettings: (patch: object) => void, resetSettings: () => void }}
+ */
+export const useSettings = () => useContext(SettingsContext);
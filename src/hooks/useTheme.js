@@ -0,0 +1,8 @@
+import { createContext, useContext } from 'react';
+
+export const ThemeContext = createContext(null);
+
+/**
+ * @returns {{ theme: 'light' | 'dark' | 'system', resolvedTheme: 'light' | 'dark', setTheme: Function, toggleTheme: Function, isAnimating: boolean }}
+ */
+export const useTheme = () => useContext(ThemeContext);
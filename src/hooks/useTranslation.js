@@ -0,0 +1,8 @@
+import { createContext, useContext } from 'react';
+
+export const LanguageContext = createContext(null);
+
+/**
+ * @returns {{ language: string, setLanguage: Function, locale: string, dir: 'ltr' | 'rtl', t: (key: string, params?: object) => string }}
+ */
+export const useTranslation = () => useContext(LanguageContext);
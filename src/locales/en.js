@@ -0,0 +1,361 @@
+export default {
+  app: {
+    title: 'UltraDownloader',
+    tagline: 'Fast, Free YouTube Video & Audio Downloads',
+    history: 'History',
+    hideHistory: 'Hide history',
+    settings: 'Settings',
+    hideSettings: 'Hide settings',
+    footer: 'Built for Speed and Reliability • Light & Dark Minimalist Design',
+    downloadComplete: 'Download of "{filename}" completed successfully!',
+    fetchFailed: 'Failed to fetch video information',
+    fixTrim: 'Fix the trim range before downloading: {error}',
+    saveDialogFailed: 'Could not open the save dialog: {error}',
+    lowSpace: 'This download needs about {size}, but only {free} of storage looks free. Download anyway?',
+    defaultVideoLabel: 'Video',
+    defaultAudioLabel: 'Audio • MP3',
+    againLabel: 'Again • {format}',
+    autoLabel: 'Auto • {format}',
+  },
+  language: {
+    label: 'Language',
+  },
+  theme: {
+    group: 'Color theme',
+    light: 'Light',
+    dark: 'Dark',
+    system: 'System',
+    switchTo: 'Switch to {theme} theme',
+  },
+  backend: {
+    offlineTitle: "You're offline",
+    offline: 'The app keeps working offline, but fetching videos and downloading need a connection.',
+    unreachableTitle: "Can't reach the download server",
+    unreachable: 'No response from {url}. Check that the backend is running and the address is correct.',
+    retry: 'Try again',
+    checking: 'Checking...',
+  },
+  url: {
+    label: 'YouTube URL',
+    placeholder: 'Paste YouTube URL here...',
+    paste: 'Paste from clipboard',
+    clipboardBlocked: 'Clipboard access was blocked. Paste the link with Ctrl+V instead.',
+    fetch: 'Get Video Info',
+    loading: 'Loading...',
+    music: 'YouTube Music',
+    inPlaylist: 'Part of a playlist',
+    startsAt: 'Starts at {time}',
+    trackingRemoved: 'Tracking parameters will be removed',
+    types: {
+      video: 'Video',
+      short: 'Short',
+      live: 'Live stream',
+      playlist: 'Playlist',
+      channel: 'Channel',
+    },
+    errors: {
+      empty: 'Please enter a YouTube URL',
+      notUrl: 'That does not look like a valid URL',
+      notYouTube: 'Only YouTube links are supported',
+      unsupportedPath: 'This YouTube link does not point to a video, playlist or channel',
+      missingList: 'This playlist link is missing its list ID',
+      badHandle: 'This channel handle does not look right',
+      badChannelId: 'This channel ID does not look right',
+      shortVideoId: 'The video ID in this link looks incomplete',
+      missingVideoId: 'This link is missing the video ID',
+      badListId: 'The playlist ID in this link looks malformed',
+    },
+  },
+  video: {
+    channel: 'Channel:',
+    duration: 'Duration:',
+    views: 'Views:',
+    likes: 'Likes:',
+    uploaded: 'Uploaded:',
+  },
+  details: {
+    title: 'Details',
+    show: 'Show',
+    hide: 'Hide',
+    description: 'Description',
+    noDescription: 'No description.',
+    categories: 'Categories',
+    tags: 'Tags',
+    chapters: 'Chapters',
+    chapter: 'Chapter {number}',
+    openAt: 'Open the video at {time}',
+    thumbnail: 'Thumbnail',
+    thumbnailSize: 'Thumbnail size',
+    original: 'Original',
+    downloadThumbnail: 'Download thumbnail',
+  },  shortcuts: {
+    open: 'Shortcuts',
+    title: 'Keyboard shortcuts',
+    close: 'Close',
+    disabled: 'Single-key shortcuts are turned off. Turn them on in Settings.',
+    formatRows: 'Move between formats',
+    actions: {
+      focusUrl: 'Go to the URL field',
+      fetch: 'Get video info',
+      downloadBest: 'Download the best match',
+      cancel: 'Cancel the latest download',
+      history: 'Show or hide history',
+      help: 'Show this list',
+    },
+  },  errors: {
+    privateVideo: { title: 'This video is private or members-only.', hint: 'Only viewers with access can watch it, so the server cannot download it.' },
+    ageRestricted: { title: 'This video is age-restricted.', hint: 'YouTube requires an age-verified account. The backend needs cookies from such an account to download it.' },
+    geoBlocked: { title: 'This video is blocked where the server runs.', hint: 'A backend in another country may be able to download it.' },
+    videoUnavailable: { title: 'This video is unavailable.', hint: 'It may have been removed or made private, or the link may be wrong. Open it in your browser to check.' },
+    formatUnavailable: { title: 'This format is no longer offered.', hint: 'YouTube stopped serving the chosen format. Pick another format and try again.' },
+    rateLimited: { title: 'Too many requests.', hint: 'The server is limiting requests right now. Wait a minute, then retry.' },
+    sessionExpired: { title: 'The download session expired.', hint: 'The server forgot this download, often after a restart. Retry to start it again.' },
+    serverError: { title: 'The server ran into a problem.', hint: 'This is usually temporary. Retry, and check the backend logs if it keeps happening.' },
+    backendUnreachable: { title: 'The backend cannot be reached.', hint: 'Check that the server is running and that the API address in Settings is right.' },
+    timeout: { title: 'The server took too long.', hint: 'The backend may be busy. Retry, or raise the request timeout in Settings.' },
+    cancelled: { title: 'The request was cancelled.', hint: 'Retry to send it again.' },
+    requestFailed: { title: 'The server rejected the request.', hint: 'Retry, and include the diagnostic details if you report it.' },
+    unknown: { title: 'Something went wrong.', hint: 'Retry, and include the diagnostic details if you report it.' },
+    actions: {
+      retry: 'Retry request',
+      otherFormat: 'Pick another format',
+      checkBackend: 'Check backend settings',
+      copy: 'Copy diagnostic details',
+      copied: 'Copied',
+      copyFailed: 'Could not copy. Select the details below instead.',
+      details: 'Diagnostic details',
+    },
+  },
+
+
+  steps: {
+    title: 'Simple Steps',
+    copy: 'Copy the YouTube video URL.',
+    paste: 'Paste it into the input field above.',
+    fetch: 'Click "Get Video Info" to see available formats.',
+    download: 'Choose your preferred video or audio format and click Download.',
+  },
+  queue: {
+    title: 'Download Queue',
+    summary: '({active} active, {waiting} waiting)',
+    parallel: 'Parallel downloads',
+    clearFinished: 'Clear finished',
+    reattached: 'Reattached after reload',
+    savingToDisk: 'Saving to disk',
+    resumed: '(resumed {count}×)',
+    savedAs: 'Saved as "{filename}"',
+    downloaded: 'DL: {value}',
+    total: 'Total: {value}',
+    speed: 'Speed: {value}',
+    eta: 'ETA: {value}',
+    pause: 'Pause',
+    resume: 'Resume',
+    cancel: 'Cancel',
+    retry: 'Retry',
+    remove: 'Remove',
+    batch: 'Batch download',
+    batchProgress: '{finished} of {total} completed',
+    batchFailed: '{count} failed or cancelled',
+    announce: '{title}: {status}',
+    progressLabel: 'Progress of {title}',
+    savingLabel: 'Saving {title} to disk',
+    batchLabel: 'Progress of {title}',
+    status: {
+      pending: 'Queued',
+      starting: 'Starting...',
+      downloading: 'Processing...',
+      saving: 'Saving file...',
+      paused: 'Paused',
+      completed: 'Completed',
+      failed: 'Failed',
+      cancelled: 'Cancelled',
+    },
+    errors: {
+      startFailed: 'Download failed to start',
+      progressFailed: 'Download progress check failed',
+      sessionExpired: 'The server no longer has this download session',
+      fileFailed: 'Failed to download file',
+    },
+  },
+  history: {
+    title: 'Download History',
+    count: '({shown} of {total})',
+    clear: 'Clear',
+    confirmClear: 'Clear the entire download history?',
+    search: 'Search title, channel, URL or filename...',
+    filterType: 'Download type',
+    allTypes: 'Audio & video',
+    videoOnly: 'Video only',
+    audioOnly: 'Audio only',
+    from: 'From date',
+    to: 'To date',
+    empty: 'Finished downloads will appear here.',
+    noMatch: 'No downloads match these filters.',
+    again: 'Again',
+    againTitle: 'Download again',
+    delete: 'Delete from history',
+  },
+  playlist: {
+    channel: 'Channel:',
+    videos: 'Videos:',
+    selectAll: 'Select all',
+    deselectAll: 'Deselect all',
+    quality: 'Batch quality',
+    downloadSelected: 'Download {count} selected',
+    entries: 'Playlist Entries',
+    best: 'Best available',
+    audio: 'Audio only ({format})',
+    uhd: '{resolution} (4K)',
+  },
+  formats: {
+    preferred: 'Default',
+    title: 'Video Formats Available',
+    kind: 'Format type',
+    container: 'Container',
+    codec: 'Video codec',
+    frameRate: 'Frame rate',
+    minBitrate: 'Minimum bitrate',
+    allKinds: 'All video formats',
+    muxed: 'With audio',
+    videoOnly: 'Video only (merge)',
+    anyContainer: 'Any container',
+    anyCodec: 'Any codec',
+    anyFrameRate: 'Any frame rate',
+    fpsValue: '{fps} fps',
+    anyBitrate: 'Any bitrate',
+    atLeast: 'At least {bitrate}',
+    hdrOnly: 'HDR only',
+    audioFor: 'Audio for video-only formats',
+    bestMatch: 'Best match (automatic)',
+    included: 'Included',
+    none: 'None',
+    videoOnlyHint: 'Video only; audio is merged in on download',
+    sizeUnknown: 'Unknown',
+    approxSize: '~{size}',
+    estimatedHint: 'Estimated from the bitrate and duration',
+    withAudio: '{size} with audio',
+    download: 'Download',
+    merge: 'Merge',
+    mergeTitle: 'Download merged with the selected audio stream',
+    mergeLabel: '{format} + {codec} audio',
+    actions: 'Actions',
+    noMatch: 'No formats match these filters.',
+    keyboardHint: 'Tip: use the arrow keys, Home and End to move between the download buttons.',
+    columns: {
+      resolution: 'Resolution',
+      fps: 'FPS',
+      vcodec: 'Video',
+      acodec: 'Audio',
+      bitrate: 'Bitrate',
+      ext: 'Container',
+      hdr: 'HDR',
+      size: 'Size',
+    },
+  },
+  audio: {
+    title: 'Audio Only',
+    format: 'Format',
+    quality: 'Quality',
+    lossless: 'Lossless',
+    bestVbr: 'Best available (VBR)',
+    tags: 'Tags',
+    tagsUnsupported: '(not supported for WAV)',
+    tagTitle: 'Title',
+    artist: 'Artist',
+    album: 'Album',
+    year: 'Year',
+    embedThumbnail: 'Embed thumbnail as cover art',
+    hintLossless: 'Best available audio stream, converted losslessly',
+    hintLossy: 'Best available audio stream, re-encoded to the chosen bitrate',
+    download: 'Download {format}',
+    label: 'Audio • {format} • {quality}',
+    formats: {
+      mp3: 'MP3',
+      m4a: 'M4A (AAC)',
+      opus: 'Opus',
+      flac: 'FLAC (lossless)',
+      wav: 'WAV (uncompressed)',
+    },
+  },
+  trim: {
+    title: 'Trim Clip',
+    enable: 'Download only part of the video',
+    start: 'Start',
+    end: 'End',
+    clipStart: 'Clip start',
+    clipEnd: 'Clip end',
+    clipLength: 'Clip length:',
+    useChapter: 'Use chapter',
+    chooseChapter: 'Choose a chapter...',
+    chapter: 'Chapter {number}',
+    invalidTime: '"{text}" is not a valid time. Use hh:mm:ss, mm:ss or seconds.',
+    tooLong: 'Time cannot exceed the video length ({duration})',
+    errors: {
+      negativeStart: 'Start time cannot be negative',
+      pastEnd: 'End time is past the end of the video',
+      endBeforeStart: 'End time must be after the start time',
+    },
+  },
+  subtitles: {
+    title: 'Subtitles',
+    track: 'Caption track',
+    format: 'Subtitle format',
+    manual: 'Manual',
+    auto: 'Auto-generated',
+    download: 'Download subtitles',
+    embed: 'Embed this track as soft subtitles in video downloads',
+    currentlyEmbedding: '(currently embedding {lang})',
+    currentlyEmbeddingAuto: '(currently embedding {lang}, auto)',
+    loading: 'Loading preview...',
+    loadFailed: 'Failed to load captions',
+    empty: 'This track has no captions.',
+    formats: {
+      srt: 'SRT',
+      vtt: 'VTT',
+      txt: 'Plain text',
+    },
+  },
+  settings: {
+    title: 'Settings',
+    resetAll: 'Restore all defaults',
+    confirmReset: 'Restore every setting to its default?',
+    backend: 'Backend',
+    apiUrl: 'API base URL',
+    apiUrlHelp: 'Leave empty to use the default ({url}).',
+    apiUrlInvalid: 'Enter a full address starting with http:// or https://',
+    save: 'Save',
+    testConnection: 'Test connection',
+    testing: 'Testing connection...',
+    connected: 'Connected to {url}',
+    notConnected: 'No response from {url}',
+    defaults: 'Download defaults',
+    videoResolution: 'Preferred resolution',
+    bestResolution: 'Best available',
+    videoContainer: 'Preferred container',
+    audioFormat: 'Audio format',
+    autoDownload: 'Download the best match as soon as video info loads',
+    network: 'Network',
+    requestTimeout: 'Request timeout (seconds)',
+    timeoutRange: 'Use a whole number from {min} to {max}',
+    progressInterval: 'Progress refresh rate',
+    milliseconds: 'Every {value} ms',
+    progressIntervalHelp: 'Used when the server cannot stream progress. Shorter intervals update faster but send more requests.',
+    keyboard: 'Keyboard',
+    keyboardShortcuts: 'Enable single-key shortcuts',
+    keyboardShortcutsHelp: 'Press ? to list them. Turn them off if they clash with your screen reader or other tools.',
+    filenameTemplate: 'Filename template',
+    resetTemplate: 'Restore default',
+    insertField: 'Insert a field',
+    templateHelp: 'Empty fields are dropped together with their brackets and separators. Characters that are not allowed in filenames are replaced with "_".',
+    preview: 'Preview for this video:',
+    samplePreview: 'Example:',
+    fields: {
+      title: 'Video title',
+      author: 'Channel name',
+      resolution: 'Resolution, e.g. 1080p',
+      ext: 'File extension',
+      id: 'YouTube video ID',
+      date: 'Upload date (YYYY-MM-DD)',
+    },
+  },
+};
@@ -0,0 +1,361 @@
+export default {
+  app: {
+    title: 'UltraDownloader',
+    tagline: 'ઝડપી અને મફત YouTube વિડિયો અને ઑડિયો ડાઉનલોડ',
+    history: 'ઇતિહાસ',
+    hideHistory: 'ઇતિહાસ છુપાવો',
+    settings: 'સેટિંગ્સ',
+    hideSettings: 'સેટિંગ્સ છુપાવો',
+    footer: 'ઝડપ અને વિશ્વસનીયતા માટે બનાવેલ • લાઇટ અને ડાર્ક મિનિમલિસ્ટ ડિઝાઇન',
+    downloadComplete: '"{filename}" નું ડાઉનલોડ સફળતાપૂર્વક પૂર્ણ થયું!',
+    fetchFailed: 'વિડિયોની માહિતી મેળવી શકાઈ નહીં',
+    fixTrim: 'ડાઉનલોડ કરતા પહેલાં ટ્રિમ રેન્જ સુધારો: {error}',
+    saveDialogFailed: 'સેવ ડાયલોગ ખોલી શકાયો નહીં: {error}',
+    lowSpace: 'આ ડાઉનલોડ માટે લગભગ {size} જોઈએ, પણ ફક્ત {free} સ્ટોરેજ ખાલી લાગે છે. છતાં ડાઉનલોડ કરવું છે?',
+    defaultVideoLabel: 'વિડિયો',
+    defaultAudioLabel: 'ઑડિયો • MP3',
+    againLabel: 'ફરીથી • {format}',
+    autoLabel: 'આપમેળે • {format}',
+  },
+  language: {
+    label: 'ભાષા',
+  },
+  theme: {
+    group: 'રંગ થીમ',
+    light: 'લાઇટ',
+    dark: 'ડાર્ક',
+    system: 'સિસ્ટમ',
+    switchTo: '{theme} થીમ પર જાઓ',
+  },
+  backend: {
+    offlineTitle: 'તમે ઑફલાઇન છો',
+    offline: 'ઍપ ઑફલાઇન પણ ચાલે છે, પરંતુ વીડિયો મેળવવા અને ડાઉનલોડ કરવા માટે કનેક્શન જરૂરી છે.',
+    unreachableTitle: 'ડાઉનલોડ સર્વર સુધી પહોંચી શકાતું નથી',
+    unreachable: '{url} તરફથી કોઈ જવાબ નથી. બૅકએન્ડ ચાલુ છે અને સરનામું સાચું છે તે તપાસો.',
+    retry: 'ફરી પ્રયાસ કરો',
+    checking: 'તપાસી રહ્યા છીએ...',
+  },
+  url: {
+    label: 'YouTube URL',
+    placeholder: 'YouTube URL અહીં પેસ્ટ કરો...',
+    paste: 'ક્લિપબોર્ડમાંથી પેસ્ટ કરો',
+    clipboardBlocked: 'ક્લિપબોર્ડની પરવાનગી મળી નહીં. લિંકને Ctrl+V થી પેસ્ટ કરો.',
+    fetch: 'વિડિયો માહિતી મેળવો',
+    loading: 'લોડ થઈ રહ્યું છે...',
+    music: 'YouTube Music',
+    inPlaylist: 'પ્લેલિસ્ટનો ભાગ',
+    startsAt: '{time} થી શરૂ',
+    trackingRemoved: 'ટ્રેકિંગ પેરામીટર દૂર કરવામાં આવશે',
+    types: {
+      video: 'વિડિયો',
+      short: 'શોર્ટ',
+      live: 'લાઇવ સ્ટ્રીમ',
+      playlist: 'પ્લેલિસ્ટ',
+      channel: 'ચેનલ',
+    },
+    errors: {
+      empty: 'કૃપા કરીને YouTube URL દાખલ કરો',
+      notUrl: 'આ માન્ય URL લાગતું નથી',
+      notYouTube: 'ફક્ત YouTube લિંક સમર્થિત છે',
+      unsupportedPath: 'આ YouTube લિંક કોઈ વિડિયો, પ્લેલિસ્ટ કે ચેનલ તરફ નથી લઈ જતી',
+      missingList: 'આ પ્લેલિસ્ટ લિંકમાં લિસ્ટ ID નથી',
+      badHandle: 'આ ચેનલ હેન્ડલ સાચું લાગતું નથી',
+      badChannelId: 'આ ચેનલ ID સાચી લાગતી નથી',
+      shortVideoId: 'આ લિંકની વિડિયો ID અધૂરી લાગે છે',
+      missingVideoId: 'આ લિંકમાં વિડિયો ID નથી',
+      badListId: 'આ લિંકની પ્લેલિસ્ટ ID ખોટી લાગે છે',
+    },
+  },
+  video: {
+    channel: 'ચેનલ:',
+    duration: 'સમયગાળો:',
+    views: 'વ્યૂઝ:',
+    likes: 'લાઇક્સ:',
+    uploaded: 'અપલોડ:',
+  },
+  details: {
+    title: 'વિગતો',
+    show: 'બતાવો',
+    hide: 'છુપાવો',
+    description: 'વર્ણન',
+    noDescription: 'કોઈ વર્ણન નથી.',
+    categories: 'શ્રેણીઓ',
+    tags: 'ટૅગ',
+    chapters: 'પ્રકરણો',
+    chapter: 'પ્રકરણ {number}',
+    openAt: 'વિડિયો {time} થી ખોલો',
+    thumbnail: 'થંબનેલ',
+    thumbnailSize: 'થંબનેલનું કદ',
+    original: 'મૂળ',
+    downloadThumbnail: 'થંબનેલ ડાઉનલોડ કરો',
+  },  shortcuts: {
+    open: 'શૉર્ટકટ',
+    title: 'કીબોર્ડ શૉર્ટકટ',
+    close: 'બંધ કરો',
+    disabled: 'એક-કી શૉર્ટકટ બંધ છે. તેને સેટિંગ્સમાં ચાલુ કરો.',
+    formatRows: 'ફોર્મેટ વચ્ચે જાઓ',
+    actions: {
+      focusUrl: 'URL ફીલ્ડ પર જાઓ',
+      fetch: 'વિડિયોની માહિતી મેળવો',
+      downloadBest: 'શ્રેષ્ઠ મેળ ડાઉનલોડ કરો',
+      cancel: 'છેલ્લું ડાઉનલોડ રદ કરો',
+      history: 'ઇતિહાસ બતાવો અથવા છુપાવો',
+      help: 'આ યાદી બતાવો',
+    },
+  },  errors: {
+    privateVideo: { title: 'આ વિડિયો પ્રાઇવેટ અથવા ફક્ત મેમ્બર્સ માટે છે.', hint: 'ફક્ત ઍક્સેસ ધરાવતા દર્શકો જ તે જોઈ શકે છે, તેથી સર્વર તેને ડાઉનલોડ કરી શકતું નથી.' },
+    ageRestricted: { title: 'આ વિડિયો વય-પ્રતિબંધિત છે.', hint: 'YouTube ને વય-ચકાસાયેલ ખાતું જોઈએ છે. ડાઉનલોડ માટે બૅકએન્ડને આવા ખાતાની કૂકીઝ જોઈએ.' },
+    geoBlocked: { title: 'સર્વર જ્યાં ચાલે છે ત્યાં આ વિડિયો બ્લૉક છે.', hint: 'બીજા દેશમાં ચાલતું બૅકએન્ડ તેને ડાઉનલોડ કરી શકે છે.' },
+    videoUnavailable: { title: 'આ વિડિયો ઉપલબ્ધ નથી.', hint: 'કદાચ તેને દૂર કરાયો છે કે પ્રાઇવેટ કરાયો છે, અથવા લિંક ખોટી છે. ચકાસવા માટે તેને બ્રાઉઝરમાં ખોલો.' },
+    formatUnavailable: { title: 'આ ફોર્મેટ હવે ઉપલબ્ધ નથી.', hint: 'YouTube એ પસંદ કરેલું ફોર્મેટ આપવાનું બંધ કર્યું છે. બીજું ફોર્મેટ પસંદ કરીને ફરી પ્રયાસ કરો.' },
+    rateLimited: { title: 'ઘણી બધી વિનંતીઓ.', hint: 'સર્વર હમણાં વિનંતીઓ મર્યાદિત કરી રહ્યું છે. એક મિનિટ રાહ જોઈને ફરી પ્રયાસ કરો.' },
+    sessionExpired: { title: 'ડાઉનલોડ સેશનની મુદત પૂરી થઈ.', hint: 'સર્વર આ ડાઉનલોડ ભૂલી ગયું, ઘણી વાર રીસ્ટાર્ટ પછી. તેને ફરી શરૂ કરવા ફરી પ્રયાસ કરો.' },
+    serverError: { title: 'સર્વરમાં કોઈ સમસ્યા આવી.', hint: 'આ સામાન્ય રીતે કામચલાઉ હોય છે. ફરી પ્રયાસ કરો, અને વારંવાર થાય તો બૅકએન્ડ લૉગ જુઓ.' },
+    backendUnreachable: { title: 'બૅકએન્ડ સુધી પહોંચી શકાતું નથી.', hint: 'ચકાસો કે સર્વર ચાલુ છે અને સેટિંગ્સમાં API સરનામું સાચું છે.' },
+    timeout: { title: 'સર્વરે ઘણો સમય લીધો.', hint: 'બૅકએન્ડ વ્યસ્ત હોઈ શકે. ફરી પ્રયાસ કરો, અથવા સેટિંગ્સમાં વિનંતી ટાઇમઆઉટ વધારો.' },
+    cancelled: { title: 'વિનંતી રદ કરાઈ.', hint: 'તેને ફરી મોકલવા ફરી પ્રયાસ કરો.' },
+    requestFailed: { title: 'સર્વરે વિનંતી નકારી.', hint: 'ફરી પ્રયાસ કરો, અને જાણ કરતી વખતે ડાયગ્નોસ્ટિક વિગતો સાથે આપો.' },
+    unknown: { title: 'કંઈક ખોટું થયું.', hint: 'ફરી પ્રયાસ કરો, અને જાણ કરતી વખતે ડાયગ્નોસ્ટિક વિગતો સાથે આપો.' },
+    actions: {
+      retry: 'વિનંતી ફરી મોકલો',
+      otherFormat: 'બીજું ફોર્મેટ પસંદ કરો',
+      checkBackend: 'બૅકએન્ડ સેટિંગ્સ તપાસો',
+      copy: 'ડાયગ્નોસ્ટિક વિગતો કૉપિ કરો',
+      copied: 'કૉપિ થયું',
+      copyFailed: 'કૉપિ ન થયું. નીચેની વિગતો પસંદ કરીને કૉપિ કરો.',
+      details: 'ડાયગ્નોસ્ટિક વિગતો',
+    },
+  },
+
+
+  steps: {
+    title: 'સરળ પગલાં',
+    copy: 'YouTube વિડિયોનું URL કૉપિ કરો.',
+    paste: 'તેને ઉપરના ઇનપુટમાં પેસ્ટ કરો.',
+    fetch: 'ઉપલબ્ધ ફોર્મેટ જોવા માટે "વિડિયો માહિતી મેળવો" પર ક્લિક કરો.',
+    download: 'તમારું મનપસંદ વિડિયો કે ઑડિયો ફોર્મેટ પસંદ કરો અને ડાઉનલોડ પર ક્લિક કરો.',
+  },
+  queue: {
+    title: 'ડાઉનલોડ કતાર',
+    summary: '({active} સક્રિય, {waiting} રાહ જોઈ રહ્યા છે)',
+    parallel: 'એકસાથે ડાઉનલોડ',
+    clearFinished: 'પૂર્ણ થયેલા દૂર કરો',
+    reattached: 'રીલોડ પછી ફરી જોડાયું',
+    savingToDisk: 'ડિસ્ક પર સેવ થઈ રહ્યું છે',
+    resumed: '({count} વાર ફરી શરૂ)',
+    savedAs: '"{filename}" તરીકે સેવ થયું',
+    downloaded: 'ડાઉનલોડ: {value}',
+    total: 'કુલ: {value}',
+    speed: 'ઝડપ: {value}',
+    eta: 'બાકી સમય: {value}',
+    pause: 'થોભાવો',
+    resume: 'ચાલુ રાખો',
+    cancel: 'રદ કરો',
+    retry: 'ફરી પ્રયાસ કરો',
+    remove: 'દૂર કરો',
+    batch: 'બેચ ડાઉનલોડ',
+    batchProgress: '{total} માંથી {finished} પૂર્ણ',
+    batchFailed: '{count} નિષ્ફળ અથવા રદ',
+    announce: '{title}: {status}',
+    progressLabel: '{title} ની પ્રગતિ',
+    savingLabel: '{title} ડિસ્ક પર સેવ થઈ રહ્યું છે',
+    batchLabel: '{title} ની પ્રગતિ',
+    status: {
+      pending: 'કતારમાં',
+      starting: 'શરૂ થઈ રહ્યું છે...',
+      downloading: 'પ્રોસેસ થઈ રહ્યું છે...',
+      saving: 'ફાઇલ સેવ થઈ રહી છે...',
+      paused: 'થોભાવેલું',
+      completed: 'પૂર્ણ',
+      failed: 'નિષ્ફળ',
+      cancelled: 'રદ',
+    },
+    errors: {
+      startFailed: 'ડાઉનલોડ શરૂ થઈ શક્યું નહીં',
+      progressFailed: 'ડાઉનલોડની પ્રગતિ તપાસ નિષ્ફળ ગઈ',
+      sessionExpired: 'સર્વર પર હવે આ ડાઉનલોડ સત્ર નથી',
+      fileFailed: 'ફાઇલ ડાઉનલોડ થઈ શકી નહીં',
+    },
+  },
+  history: {
+    title: 'ડાઉનલોડ ઇતિહાસ',
+    count: '({total} માંથી {shown})',
+    clear: 'સાફ કરો',
+    confirmClear: 'શું આખો ડાઉનલોડ ઇતિહાસ સાફ કરવો છે?',
+    search: 'શીર્ષક, ચેનલ, URL અથવા ફાઇલ નામ શોધો...',
+    filterType: 'ડાઉનલોડનો પ્રકાર',
+    allTypes: 'ઑડિયો અને વિડિયો',
+    videoOnly: 'ફક્ત વિડિયો',
+    audioOnly: 'ફક્ત ઑડિયો',
+    from: 'શરૂઆતની તારીખ',
+    to: 'અંતિમ તારીખ',
+    empty: 'પૂર્ણ થયેલા ડાઉનલોડ અહીં દેખાશે.',
+    noMatch: 'આ ફિલ્ટર સાથે કોઈ ડાઉનલોડ મેળ ખાતું નથી.',
+    again: 'ફરીથી',
+    againTitle: 'ફરીથી ડાઉનલોડ કરો',
+    delete: 'ઇતિહાસમાંથી દૂર કરો',
+  },
+  playlist: {
+    channel: 'ચેનલ:',
+    videos: 'વિડિયો:',
+    selectAll: 'બધા પસંદ કરો',
+    deselectAll: 'બધાની પસંદગી હટાવો',
+    quality: 'બેચ ગુણવત્તા',
+    downloadSelected: 'પસંદ કરેલા {count} ડાઉનલોડ કરો',
+    entries: 'પ્લેલિસ્ટની એન્ટ્રીઓ',
+    best: 'શ્રેષ્ઠ ઉપલબ્ધ',
+    audio: 'ફક્ત ઑડિયો ({format})',
+    uhd: '{resolution} (4K)',
+  },
+  formats: {
+    preferred: 'ડિફૉલ્ટ',
+    title: 'ઉપલબ્ધ વિડિયો ફોર્મેટ',
+    kind: 'ફોર્મેટ પ્રકાર',
+    container: 'કન્ટેનર',
+    codec: 'વિડિયો કોડેક',
+    frameRate: 'ફ્રેમ દર',
+    minBitrate: 'ન્યૂનતમ બિટરેટ',
+    allKinds: 'બધા વિડિયો ફોર્મેટ',
+    muxed: 'ઑડિયો સાથે',
+    videoOnly: 'ફક્ત વિડિયો (મર્જ)',
+    anyContainer: 'કોઈપણ કન્ટેનર',
+    anyCodec: 'કોઈપણ કોડેક',
+    anyFrameRate: 'કોઈપણ ફ્રેમ દર',
+    fpsValue: '{fps} fps',
+    anyBitrate: 'કોઈપણ બિટરેટ',
+    atLeast: 'ઓછામાં ઓછું {bitrate}',
+    hdrOnly: 'ફક્ત HDR',
+    audioFor: 'ફક્ત-વિડિયો ફોર્મેટ માટે ઑડિયો',
+    bestMatch: 'શ્રેષ્ઠ મેળ (આપમેળે)',
+    included: 'સામેલ',
+    none: 'નથી',
+    videoOnlyHint: 'ફક્ત વિડિયો; ડાઉનલોડ વખતે ઑડિયો જોડાશે',
+    sizeUnknown: 'અજ્ઞાત',
+    approxSize: '~{size}',
+    estimatedHint: 'બિટરેટ અને સમયગાળા પરથી અંદાજિત',
+    withAudio: 'ઑડિયો સાથે {size}',
+    download: 'ડાઉનલોડ',
+    merge: 'મર્જ',
+    mergeTitle: 'પસંદ કરેલી ઑડિયો સ્ટ્રીમ સાથે મર્જ કરીને ડાઉનલોડ કરો',
+    mergeLabel: '{format} + {codec} ઑડિયો',
+    actions: 'ક્રિયાઓ',
+    noMatch: 'આ ફિલ્ટર સાથે કોઈ ફોર્મેટ મેળ ખાતું નથી.',
+    keyboardHint: 'ટિપ: ડાઉનલોડ બટનો વચ્ચે જવા માટે ઍરો કી, Home અને End વાપરો.',
+    columns: {
+      resolution: 'રિઝોલ્યુશન',
+      fps: 'FPS',
+      vcodec: 'વિડિયો',
+      acodec: 'ઑડિયો',
+      bitrate: 'બિટરેટ',
+      ext: 'કન્ટેનર',
+      hdr: 'HDR',
+      size: 'કદ',
+    },
+  },
+  audio: {
+    title: 'ફક્ત ઑડિયો',
+    format: 'ફોર્મેટ',
+    quality: 'ગુણવત્તા',
+    lossless: 'લોસલેસ',
+    bestVbr: 'શ્રેષ્ઠ ઉપલબ્ધ (VBR)',
+    tags: 'ટૅગ',
+    tagsUnsupported: '(WAV માટે સમર્થિત નથી)',
+    tagTitle: 'શીર્ષક',
+    artist: 'કલાકાર',
+    album: 'આલ્બમ',
+    year: 'વર્ષ',
+    embedThumbnail: 'થંબનેલને કવર આર્ટ તરીકે જોડો',
+    hintLossless: 'શ્રેષ્ઠ ઉપલબ્ધ ઑડિયો સ્ટ્રીમ, ગુણવત્તા ગુમાવ્યા વિના બદલાયેલી',
+    hintLossy: 'શ્રેષ્ઠ ઉપલબ્ધ ઑડિયો સ્ટ્રીમ, પસંદ કરેલા બિટરેટ પર ફરી એન્કોડ કરેલી',
+    download: '{format} ડાઉનલોડ કરો',
+    label: 'ઑડિયો • {format} • {quality}',
+    formats: {
+      mp3: 'MP3',
+      m4a: 'M4A (AAC)',
+      opus: 'Opus',
+      flac: 'FLAC (લોસલેસ)',
+      wav: 'WAV (અનકમ્પ્રેસ્ડ)',
+    },
+  },
+  trim: {
+    title: 'ક્લિપ ટ્રિમ કરો',
+    enable: 'વિડિયોનો ફક્ત એક ભાગ ડાઉનલોડ કરો',
+    start: 'શરૂઆત',
+    end: 'અંત',
+    clipStart: 'ક્લિપની શરૂઆત',
+    clipEnd: 'ક્લિપનો અંત',
+    clipLength: 'ક્લિપની લંબાઈ:',
+    useChapter: 'પ્રકરણ વાપરો',
+    chooseChapter: 'એક પ્રકરણ પસંદ કરો...',
+    chapter: 'પ્રકરણ {number}',
+    invalidTime: '"{text}" માન્ય સમય નથી. hh:mm:ss, mm:ss અથવા સેકન્ડ વાપરો.',
+    tooLong: 'સમય વિડિયોની લંબાઈ ({duration}) કરતાં વધુ ન હોઈ શકે',
+    errors: {
+      negativeStart: 'શરૂઆતનો સમય ઋણ ન હોઈ શકે',
+      pastEnd: 'અંતિમ સમય વિડિયોના અંત પછીનો છે',
+      endBeforeStart: 'અંતિમ સમય શરૂઆતના સમય પછી હોવો જોઈએ',
+    },
+  },
+  subtitles: {
+    title: 'સબટાઇટલ',
+    track: 'કૅપ્શન ટ્રેક',
+    format: 'સબટાઇટલ ફોર્મેટ',
+    manual: 'મેન્યુઅલ',
+    auto: 'આપમેળે બનેલા',
+    download: 'સબટાઇટલ ડાઉનલોડ કરો',
+    embed: 'વિડિયો ડાઉનલોડમાં આ ટ્રેકને સોફ્ટ સબટાઇટલ તરીકે જોડો',
+    currentlyEmbedding: '(હાલમાં {lang} જોડાઈ રહ્યું છે)',
+    currentlyEmbeddingAuto: '(હાલમાં {lang}, આપમેળે, જોડાઈ રહ્યું છે)',
+    loading: 'પૂર્વાવલોકન લોડ થઈ રહ્યું છે...',
+    loadFailed: 'કૅપ્શન લોડ થઈ શક્યા નહીં',
+    empty: 'આ ટ્રેકમાં કોઈ કૅપ્શન નથી.',
+    formats: {
+      srt: 'SRT',
+      vtt: 'VTT',
+      txt: 'સાદું લખાણ',
+    },
+  },
+  settings: {
+    title: 'સેટિંગ્સ',
+    resetAll: 'બધા ડિફૉલ્ટ પાછા લાવો',
+    confirmReset: 'દરેક સેટિંગને તેના ડિફૉલ્ટ પર પાછી લાવીએ?',
+    backend: 'બૅકએન્ડ',
+    apiUrl: 'API બેઝ URL',
+    apiUrlHelp: 'ડિફૉલ્ટ ({url}) વાપરવા માટે ખાલી રાખો.',
+    apiUrlInvalid: 'http:// અથવા https:// થી શરૂ થતું પૂરું સરનામું દાખલ કરો',
+    save: 'સેવ કરો',
+    testConnection: 'કનેક્શન તપાસો',
+    testing: 'કનેક્શન તપાસી રહ્યા છીએ...',
+    connected: '{url} સાથે જોડાયા',
+    notConnected: '{url} તરફથી કોઈ જવાબ નથી',
+    defaults: 'ડાઉનલોડ ડિફૉલ્ટ',
+    videoResolution: 'પસંદગીનું રિઝોલ્યુશન',
+    bestResolution: 'શ્રેષ્ઠ ઉપલબ્ધ',
+    videoContainer: 'પસંદગીનું કન્ટેનર',
+    audioFormat: 'ઑડિયો ફૉર્મેટ',
+    autoDownload: 'વીડિયો માહિતી આવતાં જ સૌથી યોગ્ય ફૉર્મેટ ડાઉનલોડ કરો',
+    network: 'નેટવર્ક',
+    requestTimeout: 'વિનંતી ટાઇમઆઉટ (સેકન્ડ)',
+    timeoutRange: '{min} થી {max} વચ્ચેની પૂર્ણ સંખ્યા વાપરો',
+    progressInterval: 'પ્રગતિ રિફ્રેશ દર',
+    milliseconds: 'દર {value} ms',
+    progressIntervalHelp: 'જ્યારે સર્વર પ્રગતિ સ્ટ્રીમ ન કરી શકે ત્યારે વપરાય છે. ટૂંકો અંતરાલ ઝડપી અપડેટ આપે છે પણ વધુ વિનંતીઓ મોકલે છે.',
+    keyboard: 'કીબોર્ડ',
+    keyboardShortcuts: 'એક-કી શૉર્ટકટ ચાલુ કરો',
+    keyboardShortcutsHelp: 'યાદી જોવા માટે ? દબાવો. જો તે તમારા સ્ક્રીન રીડર કે બીજા ટૂલ સાથે અથડાય તો બંધ કરો.',
+    filenameTemplate: 'ફાઇલ નામ ટેમ્પલેટ',
+    resetTemplate: 'ડિફૉલ્ટ પર પાછા જાઓ',
+    insertField: 'ફીલ્ડ ઉમેરો',
+    templateHelp: 'ખાલી ફીલ્ડ તેમના કૌંસ અને વિભાજકો સાથે દૂર થાય છે. ફાઇલ નામમાં માન્ય ન હોય તેવા અક્ષરો "_" થી બદલાય છે.',
+    preview: 'આ વીડિયોનું પૂર્વાવલોકન:',
+    samplePreview: 'ઉદાહરણ:',
+    fields: {
+      title: 'વીડિયો શીર્ષક',
+      author: 'ચેનલનું નામ',
+      resolution: 'રિઝોલ્યુશન, દા.ત. 1080p',
+      ext: 'ફાઇલ એક્સ્ટેન્શન',
+      id: 'YouTube વીડિયો ID',
+      date: 'અપલોડ તારીખ (YYYY-MM-DD)',
+    },
+  },
+};
@@ -0,0 +1,361 @@
+export default {
+  app: {
+    title: 'UltraDownloader',
+    tagline: 'तेज़ और मुफ़्त YouTube वीडियो व ऑडियो डाउनलोड',
+    history: 'इतिहास',
+    hideHistory: 'इतिहास छिपाएँ',
+    settings: 'सेटिंग्स',
+    hideSettings: 'सेटिंग्स छिपाएँ',
+    footer: 'गति और भरोसे के लिए बनाया गया • लाइट और डार्क मिनिमलिस्ट डिज़ाइन',
+    downloadComplete: '"{filename}" का डाउनलोड सफलतापूर्वक पूरा हुआ!',
+    fetchFailed: 'वीडियो की जानकारी प्राप्त नहीं हो सकी',
+    fixTrim: 'डाउनलोड से पहले ट्रिम सीमा ठीक करें: {error}',
+    saveDialogFailed: 'सेव डायलॉग नहीं खुल सका: {error}',
+    lowSpace: 'इस डाउनलोड के लिए लगभग {size} चाहिए, पर सिर्फ़ {free} स्टोरेज खाली लगता है। फिर भी डाउनलोड करें?',
+    defaultVideoLabel: 'वीडियो',
+    defaultAudioLabel: 'ऑडियो • MP3',
+    againLabel: 'फिर से • {format}',
+    autoLabel: 'स्वचालित • {format}',
+  },
+  language: {
+    label: 'भाषा',
+  },
+  theme: {
+    group: 'रंग थीम',
+    light: 'लाइट',
+    dark: 'डार्क',
+    system: 'सिस्टम',
+    switchTo: '{theme} थीम पर जाएँ',
+  },
+  backend: {
+    offlineTitle: 'आप ऑफ़लाइन हैं',
+    offline: 'ऐप ऑफ़लाइन भी चलता है, लेकिन वीडियो लाने और डाउनलोड करने के लिए कनेक्शन चाहिए।',
+    unreachableTitle: 'डाउनलोड सर्वर से संपर्क नहीं हो पा रहा',
+    unreachable: '{url} से कोई जवाब नहीं मिला। जाँचें कि बैकएंड चल रहा है और पता सही है।',
+    retry: 'फिर से कोशिश करें',
+    checking: 'जाँच हो रही है...',
+  },
+  url: {
+    label: 'YouTube URL',
+    placeholder: 'YouTube URL यहाँ पेस्ट करें...',
+    paste: 'क्लिपबोर्ड से पेस्ट करें',
+    clipboardBlocked: 'क्लिपबोर्ड की अनुमति नहीं मिली। लिंक को Ctrl+V से पेस्ट करें।',
+    fetch: 'वीडियो जानकारी पाएँ',
+    loading: 'लोड हो रहा है...',
+    music: 'YouTube Music',
+    inPlaylist: 'प्लेलिस्ट का हिस्सा',
+    startsAt: '{time} से शुरू',
+    trackingRemoved: 'ट्रैकिंग पैरामीटर हटा दिए जाएँगे',
+    types: {
+      video: 'वीडियो',
+      short: 'शॉर्ट',
+      live: 'लाइव स्ट्रीम',
+      playlist: 'प्लेलिस्ट',
+      channel: 'चैनल',
+    },
+    errors: {
+      empty: 'कृपया YouTube URL दर्ज करें',
+      notUrl: 'यह मान्य URL नहीं लगता',
+      notYouTube: 'केवल YouTube लिंक समर्थित हैं',
+      unsupportedPath: 'यह YouTube लिंक किसी वीडियो, प्लेलिस्ट या चैनल की ओर नहीं ले जाता',
+      missingList: 'इस प्लेलिस्ट लिंक में सूची ID नहीं है',
+      badHandle: 'यह चैनल हैंडल सही नहीं लगता',
+      badChannelId: 'यह चैनल ID सही नहीं लगती',
+      shortVideoId: 'इस लिंक की वीडियो ID अधूरी लगती है',
+      missingVideoId: 'इस लिंक में वीडियो ID नहीं है',
+      badListId: 'इस लिंक की प्लेलिस्ट ID गलत लगती है',
+    },
+  },
+  video: {
+    channel: 'चैनल:',
+    duration: 'अवधि:',
+    views: 'व्यूज़:',
+    likes: 'लाइक्स:',
+    uploaded: 'अपलोड:',
+  },
+  details: {
+    title: 'विवरण',
+    show: 'दिखाएँ',
+    hide: 'छिपाएँ',
+    description: 'डिस्क्रिप्शन',
+    noDescription: 'कोई डिस्क्रिप्शन नहीं।',
+    categories: 'श्रेणियाँ',
+    tags: 'टैग',
+    chapters: 'चैप्टर',
+    chapter: 'चैप्टर {number}',
+    openAt: 'वीडियो {time} से खोलें',
+    thumbnail: 'थंबनेल',
+    thumbnailSize: 'थंबनेल का आकार',
+    original: 'मूल',
+    downloadThumbnail: 'थंबनेल डाउनलोड करें',
+  },  shortcuts: {
+    open: 'शॉर्टकट',
+    title: 'कीबोर्ड शॉर्टकट',
+    close: 'बंद करें',
+    disabled: 'एक-कुंजी शॉर्टकट बंद हैं। इन्हें सेटिंग्स में चालू करें।',
+    formatRows: 'फ़ॉर्मैट के बीच जाएँ',
+    actions: {
+      focusUrl: 'URL फ़ील्ड पर जाएँ',
+      fetch: 'वीडियो जानकारी पाएँ',
+      downloadBest: 'सबसे अच्छा मेल डाउनलोड करें',
+      cancel: 'आख़िरी डाउनलोड रद्द करें',
+      history: 'इतिहास दिखाएँ या छिपाएँ',
+      help: 'यह सूची दिखाएँ',
+    },
+  },  errors: {
+    privateVideo: { title: 'यह वीडियो प्राइवेट या सिर्फ़ मेंबर्स के लिए है।', hint: 'इसे सिर्फ़ एक्सेस वाले दर्शक देख सकते हैं, इसलिए सर्वर इसे डाउनलोड नहीं कर सकता।' },
+    ageRestricted: { title: 'यह वीडियो उम्र-प्रतिबंधित है।', hint: 'YouTube को उम्र-सत्यापित खाता चाहिए। डाउनलोड के लिए बैकएंड को ऐसे खाते की कुकीज़ चाहिए।' },
+    geoBlocked: { title: 'यह वीडियो सर्वर वाले देश में ब्लॉक है।', hint: 'किसी दूसरे देश में चल रहा बैकएंड इसे डाउनलोड कर सकता है।' },
+    videoUnavailable: { title: 'यह वीडियो उपलब्ध नहीं है।', hint: 'हो सकता है इसे हटा दिया गया हो या प्राइवेट कर दिया गया हो, या लिंक गलत हो। जाँचने के लिए इसे ब्राउज़र में खोलें।' },
+    formatUnavailable: { title: 'यह फ़ॉर्मैट अब उपलब्ध नहीं है।', hint: 'YouTube ने चुना हुआ फ़ॉर्मैट देना बंद कर दिया। कोई दूसरा फ़ॉर्मैट चुनकर फिर कोशिश करें।' },
+    rateLimited: { title: 'बहुत ज़्यादा अनुरोध।', hint: 'सर्वर अभी अनुरोध सीमित कर रहा है। एक मिनट रुककर फिर कोशिश करें।' },
+    sessionExpired: { title: 'डाउनलोड सेशन की अवधि खत्म हो गई।', hint: 'सर्वर यह डाउनलोड भूल गया, अक्सर रीस्टार्ट के बाद। इसे फिर शुरू करने के लिए दोबारा कोशिश करें।' },
+    serverError: { title: 'सर्वर में कोई समस्या आई।', hint: 'यह आमतौर पर अस्थायी होता है। फिर कोशिश करें, और बार-बार हो तो बैकएंड लॉग देखें।' },
+    backendUnreachable: { title: 'बैकएंड तक नहीं पहुँच पा रहे।', hint: 'जाँचें कि सर्वर चल रहा है और सेटिंग्स में API पता सही है।' },
+    timeout: { title: 'सर्वर ने बहुत देर लगाई।', hint: 'बैकएंड व्यस्त हो सकता है। फिर कोशिश करें, या सेटिंग्स में अनुरोध टाइमआउट बढ़ाएँ।' },
+    cancelled: { title: 'अनुरोध रद्द कर दिया गया।', hint: 'इसे फिर भेजने के लिए दोबारा कोशिश करें।' },
+    requestFailed: { title: 'सर्वर ने अनुरोध अस्वीकार कर दिया।', hint: 'फिर कोशिश करें, और रिपोर्ट करते समय डायग्नॉस्टिक जानकारी साथ दें।' },
+    unknown: { title: 'कुछ गलत हो गया।', hint: 'फिर कोशिश करें, और रिपोर्ट करते समय डायग्नॉस्टिक जानकारी साथ दें।' },
+    actions: {
+      retry: 'अनुरोध फिर भेजें',
+      otherFormat: 'दूसरा फ़ॉर्मैट चुनें',
+      checkBackend: 'बैकएंड सेटिंग्स जाँचें',
+      copy: 'डायग्नॉस्टिक जानकारी कॉपी करें',
+      copied: 'कॉपी हो गया',
+      copyFailed: 'कॉपी नहीं हो सका। नीचे दी जानकारी चुनकर कॉपी करें।',
+      details: 'डायग्नॉस्टिक जानकारी',
+    },
+  },
+
+
+  steps: {
+    title: 'आसान चरण',
+    copy: 'YouTube वीडियो का URL कॉपी करें।',
+    paste: 'इसे ऊपर दिए इनपुट में पेस्ट करें।',
+    fetch: 'उपलब्ध फ़ॉर्मैट देखने के लिए "वीडियो जानकारी पाएँ" पर क्लिक करें।',
+    download: 'अपना पसंदीदा वीडियो या ऑडियो फ़ॉर्मैट चुनें और डाउनलोड पर क्लिक करें।',
+  },
+  queue: {
+    title: 'डाउनलोड कतार',
+    summary: '({active} सक्रिय, {waiting} प्रतीक्षा में)',
+    parallel: 'एक साथ डाउनलोड',
+    clearFinished: 'पूरे हुए हटाएँ',
+    reattached: 'रीलोड के बाद फिर से जुड़ा',
+    savingToDisk: 'डिस्क पर सेव हो रहा है',
+    resumed: '({count} बार फिर से शुरू)',
+    savedAs: '"{filename}" के रूप में सेव हुआ',
+    downloaded: 'डाउनलोड: {value}',
+    total: 'कुल: {value}',
+    speed: 'गति: {value}',
+    eta: 'शेष समय: {value}',
+    pause: 'रोकें',
+    resume: 'जारी रखें',
+    cancel: 'रद्द करें',
+    retry: 'फिर से कोशिश करें',
+    remove: 'हटाएँ',
+    batch: 'बैच डाउनलोड',
+    batchProgress: '{total} में से {finished} पूरे',
+    batchFailed: '{count} विफल या रद्द',
+    announce: '{title}: {status}',
+    progressLabel: '{title} की प्रगति',
+    savingLabel: '{title} डिस्क पर सेव हो रहा है',
+    batchLabel: '{title} की प्रगति',
+    status: {
+      pending: 'कतार में',
+      starting: 'शुरू हो रहा है...',
+      downloading: 'प्रोसेस हो रहा है...',
+      saving: 'फ़ाइल सेव हो रही है...',
+      paused: 'रुका हुआ',
+      completed: 'पूरा हुआ',
+      failed: 'विफल',
+      cancelled: 'रद्द',
+    },
+    errors: {
+      startFailed: 'डाउनलोड शुरू नहीं हो सका',
+      progressFailed: 'डाउनलोड की प्रगति जाँच विफल रही',
+      sessionExpired: 'सर्वर पर अब यह डाउनलोड सत्र मौजूद नहीं है',
+      fileFailed: 'फ़ाइल डाउनलोड नहीं हो सकी',
+    },
+  },
+  history: {
+    title: 'डाउनलोड इतिहास',
+    count: '({total} में से {shown})',
+    clear: 'साफ़ करें',
+    confirmClear: 'क्या पूरा डाउनलोड इतिहास साफ़ करना है?',
+    search: 'शीर्षक, चैनल, URL या फ़ाइल नाम खोजें...',
+    filterType: 'डाउनलोड का प्रकार',
+    allTypes: 'ऑडियो और वीडियो',
+    videoOnly: 'केवल वीडियो',
+    audioOnly: 'केवल ऑडियो',
+    from: 'आरंभ तिथि',
+    to: 'अंतिम तिथि',
+    empty: 'पूरे हुए डाउनलोड यहाँ दिखेंगे।',
+    noMatch: 'इन फ़िल्टर से कोई डाउनलोड मेल नहीं खाता।',
+    again: 'फिर से',
+    againTitle: 'फिर से डाउनलोड करें',
+    delete: 'इतिहास से हटाएँ',
+  },
+  playlist: {
+    channel: 'चैनल:',
+    videos: 'वीडियो:',
+    selectAll: 'सभी चुनें',
+    deselectAll: 'सभी का चयन हटाएँ',
+    quality: 'बैच गुणवत्ता',
+    downloadSelected: 'चुने गए {count} डाउनलोड करें',
+    entries: 'प्लेलिस्ट की प्रविष्टियाँ',
+    best: 'सबसे अच्छा उपलब्ध',
+    audio: 'केवल ऑडियो ({format})',
+    uhd: '{resolution} (4K)',
+  },
+  formats: {
+    preferred: 'डिफ़ॉल्ट',
+    title: 'उपलब्ध वीडियो फ़ॉर्मैट',
+    kind: 'फ़ॉर्मैट प्रकार',
+    container: 'कंटेनर',
+    codec: 'वीडियो कोडेक',
+    frameRate: 'फ़्रेम दर',
+    minBitrate: 'न्यूनतम बिटरेट',
+    allKinds: 'सभी वीडियो फ़ॉर्मैट',
+    muxed: 'ऑडियो सहित',
+    videoOnly: 'केवल वीडियो (मर्ज)',
+    anyContainer: 'कोई भी कंटेनर',
+    anyCodec: 'कोई भी कोडेक',
+    anyFrameRate: 'कोई भी फ़्रेम दर',
+    fpsValue: '{fps} fps',
+    anyBitrate: 'कोई भी बिटरेट',
+    atLeast: 'कम से कम {bitrate}',
+    hdrOnly: 'केवल HDR',
+    audioFor: 'केवल-वीडियो फ़ॉर्मैट के लिए ऑडियो',
+    bestMatch: 'सबसे उपयुक्त (स्वचालित)',
+    included: 'शामिल',
+    none: 'नहीं',
+    videoOnlyHint: 'केवल वीडियो; डाउनलोड के समय ऑडियो जोड़ा जाएगा',
+    sizeUnknown: 'अज्ञात',
+    approxSize: '~{size}',
+    estimatedHint: 'बिटरेट और अवधि से अनुमानित',
+    withAudio: 'ऑडियो के साथ {size}',
+    download: 'डाउनलोड',
+    merge: 'मर्ज',
+    mergeTitle: 'चुनी गई ऑडियो स्ट्रीम के साथ मर्ज करके डाउनलोड करें',
+    mergeLabel: '{format} + {codec} ऑडियो',
+    actions: 'क्रियाएँ',
+    noMatch: 'इन फ़िल्टर से कोई फ़ॉर्मैट मेल नहीं खाता।',
+    keyboardHint: 'सुझाव: डाउनलोड बटनों के बीच जाने के लिए ऐरो कुंजियाँ, Home और End इस्तेमाल करें।',
+    columns: {
+      resolution: 'रिज़ॉल्यूशन',
+      fps: 'FPS',
+      vcodec: 'वीडियो',
+      acodec: 'ऑडियो',
+      bitrate: 'बिटरेट',
+      ext: 'कंटेनर',
+      hdr: 'HDR',
+      size: 'आकार',
+    },
+  },
+  audio: {
+    title: 'केवल ऑडियो',
+    format: 'फ़ॉर्मैट',
+    quality: 'गुणवत्ता',
+    lossless: 'लॉसलेस',
+    bestVbr: 'सर्वश्रेष्ठ उपलब्ध (VBR)',
+    tags: 'टैग',
+    tagsUnsupported: '(WAV के लिए समर्थित नहीं)',
+    tagTitle: 'शीर्षक',
+    artist: 'कलाकार',
+    album: 'एल्बम',
+    year: 'वर्ष',
+    embedThumbnail: 'थंबनेल को कवर आर्ट के रूप में जोड़ें',
+    hintLossless: 'सर्वश्रेष्ठ उपलब्ध ऑडियो स्ट्रीम, बिना गुणवत्ता खोए बदली गई',
+    hintLossy: 'सर्वश्रेष्ठ उपलब्ध ऑडियो स्ट्रीम, चुने गए बिटरेट पर फिर से एन्कोड की गई',
+    download: '{format} डाउनलोड करें',
+    label: 'ऑडियो • {format} • {quality}',
+    formats: {
+      mp3: 'MP3',
+      m4a: 'M4A (AAC)',
+      opus: 'Opus',
+      flac: 'FLAC (लॉसलेस)',
+      wav: 'WAV (अनकंप्रेस्ड)',
+    },
+  },
+  trim: {
+    title: 'क्लिप ट्रिम करें',
+    enable: 'वीडियो का केवल एक हिस्सा डाउनलोड करें',
+    start: 'शुरुआत',
+    end: 'अंत',
+    clipStart: 'क्लिप की शुरुआत',
+    clipEnd: 'क्लिप का अंत',
+    clipLength: 'क्लिप की लंबाई:',
+    useChapter: 'अध्याय चुनें',
+    chooseChapter: 'एक अध्याय चुनें...',
+    chapter: 'अध्याय {number}',
+    invalidTime: '"{text}" मान्य समय नहीं है। hh:mm:ss, mm:ss या सेकंड का उपयोग करें।',
+    tooLong: 'समय वीडियो की लंबाई ({duration}) से अधिक नहीं हो सकता',
+    errors: {
+      negativeStart: 'शुरुआती समय ऋणात्मक नहीं हो सकता',
+      pastEnd: 'अंतिम समय वीडियो के अंत के बाद है',
+      endBeforeStart: 'अंतिम समय शुरुआती समय के बाद होना चाहिए',
+    },
+  },
+  subtitles: {
+    title: 'सबटाइटल',
+    track: 'कैप्शन ट्रैक',
+    format: 'सबटाइटल फ़ॉर्मैट',
+    manual: 'मैनुअल',
+    auto: 'स्वचालित रूप से बने',
+    download: 'सबटाइटल डाउनलोड करें',
+    embed: 'वीडियो डाउनलोड में इस ट्रैक को सॉफ़्ट सबटाइटल के रूप में जोड़ें',
+    currentlyEmbedding: '(अभी {lang} जोड़ा जा रहा है)',
+    currentlyEmbeddingAuto: '(अभी {lang}, स्वचालित, जोड़ा जा रहा है)',
+    loading: 'पूर्वावलोकन लोड हो रहा है...',
+    loadFailed: 'कैप्शन लोड नहीं हो सके',
+    empty: 'इस ट्रैक में कोई कैप्शन नहीं है।',
+    formats: {
+      srt: 'SRT',
+      vtt: 'VTT',
+      txt: 'सादा टेक्स्ट',
+    },
+  },
+  settings: {
+    title: 'सेटिंग्स',
+    resetAll: 'सभी डिफ़ॉल्ट वापस लाएँ',
+    confirmReset: 'क्या हर सेटिंग को उसके डिफ़ॉल्ट पर लौटाएँ?',
+    backend: 'बैकएंड',
+    apiUrl: 'API बेस URL',
+    apiUrlHelp: 'डिफ़ॉल्ट ({url}) इस्तेमाल करने के लिए खाली छोड़ें।',
+    apiUrlInvalid: 'http:// या https:// से शुरू होने वाला पूरा पता डालें',
+    save: 'सेव करें',
+    testConnection: 'कनेक्शन जाँचें',
+    testing: 'कनेक्शन जाँचा जा रहा है...',
+    connected: '{url} से जुड़ गया',
+    notConnected: '{url} से कोई जवाब नहीं',
+    defaults: 'डाउनलोड डिफ़ॉल्ट',
+    videoResolution: 'पसंदीदा रेज़ोल्यूशन',
+    bestResolution: 'सबसे अच्छा उपलब्ध',
+    videoContainer: 'पसंदीदा कंटेनर',
+    audioFormat: 'ऑडियो फ़ॉर्मैट',
+    autoDownload: 'वीडियो जानकारी आते ही सबसे उपयुक्त फ़ॉर्मैट डाउनलोड करें',
+    network: 'नेटवर्क',
+    requestTimeout: 'अनुरोध टाइमआउट (सेकंड)',
+    timeoutRange: '{min} से {max} के बीच पूर्ण संख्या डालें',
+    progressInterval: 'प्रगति रीफ़्रेश दर',
+    milliseconds: 'हर {value} ms',
+    progressIntervalHelp: 'तब इस्तेमाल होता है जब सर्वर प्रगति स्ट्रीम नहीं कर सकता। छोटा अंतराल तेज़ अपडेट देता है पर ज़्यादा अनुरोध भेजता है।',
+    keyboard: 'कीबोर्ड',
+    keyboardShortcuts: 'एक-कुंजी शॉर्टकट चालू करें',
+    keyboardShortcutsHelp: 'सूची देखने के लिए ? दबाएँ। अगर ये आपके स्क्रीन रीडर या दूसरे टूल से टकराएँ तो इन्हें बंद कर दें।',
+    filenameTemplate: 'फ़ाइल नाम टेम्पलेट',
+    resetTemplate: 'डिफ़ॉल्ट पर लौटाएँ',
+    insertField: 'फ़ील्ड जोड़ें',
+    templateHelp: 'खाली फ़ील्ड अपने ब्रैकेट और विभाजकों के साथ हटा दिए जाते हैं। फ़ाइल नाम में अमान्य अक्षर "_" से बदल दिए जाते हैं।',
+    preview: 'इस वीडियो का पूर्वावलोकन:',
+    samplePreview: 'उदाहरण:',
+    fields: {
+      title: 'वीडियो शीर्षक',
+      author: 'चैनल का नाम',
+      resolution: 'रेज़ोल्यूशन, जैसे 1080p',
+      ext: 'फ़ाइल एक्सटेंशन',
+      id: 'YouTube वीडियो ID',
+      date: 'अपलोड तिथि (YYYY-MM-DD)',
+    },
+  },
+};
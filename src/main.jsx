@@ -3,11 +3,20 @@ import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
 import { ThemeProvider } from './ThemeContext'
+import { LanguageProvider } from './LanguageContext'
+import { SettingsProvider } from './SettingsContext'
+import { registerServiceWorker } from './utils/serviceWorker'
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <ThemeProvider>
-      <App />
-    </ThemeProvider>
+    <LanguageProvider>
+      <ThemeProvider>
+        <SettingsProvider>
+          <App />
+        </SettingsProvider>
+      </ThemeProvider>
+    </LanguageProvider>
   </StrictMode>,
 )
+
+registerServiceWorker()
@@ -0,0 +1,264 @@
+import api, { isMockApi } from '../utils/api';
+import { ApiError, isCancelled } from '../utils/apiError';
+import { parseContentDisposition, sanitizeFilename } from '../utils/filename';
+
+/**
+ * Typed client for the downloader backend. Every function rejects with an
+ * `ApiError` (see utils/apiError.js) so callers can branch on `kind` and `status`.
+ */
+
+/**
+ * @typedef {Object} VideoFormat
+ * @property {string} format_id
+ * @property {string | null} resolution
+ * @property {number} [fps]
+ * @property {string} quality
+ * @property {number | string} [filesize] - Bytes; older backends send a label such as '48.2MiB', or 'Unknown'.
+ * @property {number} [filesize_approx] - yt-dlp's estimate when the exact size is unknown.
+ * @property {string} ext
+ * @property {string} [vcodec] - 'none' for audio-only formats.
+ * @property {string} [acodec] - 'none' for video-only formats.
+ * @property {number} [tbr] - Total bitrate in kbps.
+ * @property {number} [vbr]
+ * @property {number} [abr]
+ * @property {string} [dynamic_range] - 'SDR', 'HDR10', 'HLG'...
+ */
+
+/**
+ * @typedef {Object} SubtitleTrack
+ * @property {string} ext
+ * @property {string} [name] - Language name for display.
+ * @property {string} [url]
+ */
+
+/**
+ * @typedef {Object} VideoInfo
+ * @property {string} title
+ * @property {string} author
+ * @property {string} thumbnail
+ * @property {number} duration_seconds
+ * @property {number} [view_count]
+ * @property {string} [upload_date] - YYYYMMDD.
+ * @property {number} [like_count]
+ * @property {string} [channel_url]
+ * @property {string} [uploader_url] - Used for the channel link when `channel_url` is missing.
+ * @property {string} [description]
+ * @property {string[]} [tags]
+ * @property {string[]} [categories]
+ * @property {Array<{ url: string, width?: number, height?: number }>} [thumbnails] - Every size yt-dlp found; `thumbnail` is the preferred one.
+ * @property {VideoFormat[]} formats
+ * @property {Array<{ title: string, start_time: number, end_time?: number }>} [chapters]
+ * @property {Object<string, SubtitleTrack[]>} [subtitles] - Manual caption tracks by language code.
+ * @property {Object<string, SubtitleTrack[]>} [automatic_captions] - Auto-generated tracks by language code.
+ * @property {Array<object>} [entries] - Present instead of `formats` for playlists and channels.
+ */
+
+/**
+ * @typedef {Object} StartDownloadPayload
+ * @property {string} url
+ * @property {string | null} format_id
+ * @property {boolean} is_audio
+ * @property {string} [audio_format_id] - Audio stream to mux into a video-only `format_id`.
+ * @property {boolean} [merge] - Set together with `audio_format_id`.
+ * @property {AudioOptions} [audio] - Extraction settings when `is_audio` is true.
+ * @property {number} [start_time] - Clip start in seconds; omitted for the full video.
+ * @property {number} [end_time] - Clip end in seconds.
+ * @property {{ languages: string[], auto: boolean, embed: boolean }} [subtitles] - Soft subtitles to mux into the video.
+ * @property {string} [quality] - Batch quality preset: 'best' (no resolution limit) or a height such as '720'.
+ * @property {string} [filename] - Name from the user's filename template, for the server's Content-Disposition.
+ */
+
+/**
+ * @typedef {Object} AudioOptions
+ * @property {'mp3' | 'm4a' | 'opus' | 'flac' | 'wav'} format
+ * @property {string | null} bitrate - kbps as a string, 'best', or null for lossless formats.
+ * @property {{ title: string, artist: string, album: string, year: string } | null} tags
+ * @property {boolean} embed_thumbnail
+ */
+
+/**
+ * @typedef {Object} ProgressUpdate
+ * @property {number} progress - 0 to 100.
+ * @property {string | null} error
+ * @property {string} [status]
+ * @property {string} [downloaded]
+ * @property {string} [total]
+ * @property {string} [speed]
+ * @property {string} [eta]
+ */
+
+/**
+ * @typedef {Object} FileStream
+ * @property {ReadableStream<Uint8Array>} body
+ * @property {number | null} total - Full file size in bytes, when the server sends it.
+ * @property {number} offset - Byte position `body` starts at; 0 unless a Range request was honoured.
+ * @property {string | null} filename - Sanitized name from `Content-Disposition`, if the server sent one.
+ */
+
+const MAX_RETRIES = 2;
+const RETRY_BASE_DELAY = 500;
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(new DOMException('Aborted', 'AbortError'));
+  }, { once: true });
+});
+
+// Server errors, timeouts and dropped connections are worth another try; client errors are not
+const isRetryable = (err) => (
+  err.kind === 'network' || err.kind === 'timeout' || (err.kind === 'http' && err.status >= 500)
+);
+
+/**
+ * Runs an idempotent request, retrying transient failures with exponential backoff.
+ * @template T
+ * @param {() => Promise<T>} request
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<T>}
+ */
+const withRetry = async (request, signal) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await request();
+    } catch (err) {
+      if (isCancelled(err) || attempt >= MAX_RETRIES || !isRetryable(err)) throw err;
+      await wait(RETRY_BASE_DELAY * 2 ** attempt, signal);
+    }
+  }
+};
+
+/**
+ * Absolute URL of an endpoint, for consumers that cannot go through axios
+ * (EventSource, plain anchor downloads).
+ * @param {string} path
+ * @returns {string}
+ */
+export const endpointUrl = (path) => `${api.defaults.baseURL.replace(/\/$/, '')}${path}`;
+
+/**
+ * Checks whether the backend answers at all. Any HTTP status counts as reachable, so
+ * this works whether or not the server implements `/health`.
+ * @param {{ signal?: AbortSignal, baseURL?: string }} [options] - `baseURL` tests another
+ *   backend than the configured one, e.g. an address typed into Settings.
+ * @returns {Promise<boolean>}
+ */
+export const pingBackend = async ({ signal, baseURL } = {}) => {
+  try {
+    await api.get('/health', { signal, timeout: 5000, ...(baseURL && { baseURL }) });
+    return true;
+  } catch (err) {
+    if (isCancelled(err)) throw err;
+    return err.kind === 'http';
+  }
+};
+
+/**
+ * @param {string} url - Video, playlist or channel URL.
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<VideoInfo>}
+ */
+export const getVideoInfo = (url, { signal } = {}) => withRetry(async () => {
+  const { data } = await api.post('/video-info', { url }, { signal });
+  return data;
+}, signal);
+
+/**
+ * Creates a server-side download session. Not retried: a retry could start a second job.
+ * @param {StartDownloadPayload} payload
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<string>} The session id.
+ */
+export const startDownload = async (payload, { signal } = {}) => {
+  const { data } = await api.post('/start-download', payload, { signal });
+  return data.session_id;
+};
+
+/**
+ * Not retried here: the progress poller backs off and asks again itself.
+ * @param {string} sessionId
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<ProgressUpdate>}
+ */
+export const getProgress = async (sessionId, { signal } = {}) => {
+  const { data } = await api.get(`/progress/${sessionId}`, { signal });
+  return data;
+};
+
+/**
+ * Opens the finished file as a byte stream rather than buffering it into a Blob.
+ * With `offset`, asks for the rest of the file only (`Range: bytes=offset-`). A partial
+ * response is only trusted when its `Content-Range` can be read (the backend must
+ * expose it to CORS); otherwise the whole file is requested again, so a tail of the
+ * file is never mistaken for its start.
+ * @param {string} sessionId
+ * @param {{ signal?: AbortSignal, offset?: number }} [options]
+ * @returns {Promise<FileStream>}
+ */
+export const getFile = (sessionId, { signal, offset = 0 } = {}) => withRetry(async () => {
+  const request = (from) => api.get(`/file/${sessionId}`, {
+    signal,
+    responseType: 'stream',
+    ...(from > 0 && { headers: { Range: `bytes=${from}-` } }),
+    // Only the fetch adapter exposes the body as a ReadableStream
+    ...(!isMockApi && { adapter: 'fetch' }),
+    // Large files can take far longer than the default request timeout
+    timeout: 0,
+  });
+
+  // 206 Partial Content carries `Content-Range: bytes start-end/size`; a plain 200 is the whole file
+  const readRange = (response) => /^bytes (\d+)-\d+\/(\d+|\*)$/.exec(response.headers['content-range'] || '');
+
+  let response = await request(offset);
+  let range = response.status === 206 && readRange(response);
+  if (response.status === 206 && !range) {
+    // Where this part starts is unknown; drop it and take the whole file instead
+    response.data?.cancel?.().catch(() => {});
+    response = await request(0);
+    range = response.status === 206 && readRange(response);
+    if (response.status === 206 && !range) {
+      throw new ApiError('The server sent part of the file without saying which part', {
+        kind: 'http',
+        code: 'requestFailed',
+        status: 206,
+        endpoint: `GET /file/${sessionId}`,
+      });
+    }
+  }
+
+  const length = parseInt(response.headers['content-length'], 10) || null;
+  const filename = parseContentDisposition(response.headers['content-disposition']);
+
+  return {
+    body: response.data,
+    total: range ? (range[2] === '*' ? null : Number(range[2])) : length,
+    offset: range ? Number(range[1]) : 0,
+    filename: filename ? sanitizeFilename(filename) : null,
+  };
+}, signal);
+
+/**
+ * Fetches one caption track as WebVTT text.
+ * @param {string} url - Video URL.
+ * @param {{ lang: string, auto: boolean }} track - Language code and whether it is auto-generated.
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<string>}
+ */
+export const getSubtitles = (url, { lang, auto }, { signal } = {}) => withRetry(async () => {
+  const { data } = await api.post('/subtitles', { url, lang, auto, format: 'vtt' }, {
+    signal,
+    responseType: 'text',
+    headers: { 'Accept': 'text/vtt, text/plain' },
+  });
+  return data;
+}, signal);
+
+/**
+ * Asks the backend to stop a session and discard its partial output.
+ * @param {string} sessionId
+ * @returns {Promise<void>}
+ */
+export const cancelDownload = (sessionId) => withRetry(async () => {
+  await api.post(`/cancel/${sessionId}`);
+});
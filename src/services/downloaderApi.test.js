@@ -0,0 +1,165 @@
+import { http, HttpResponse } from 'msw';
+import { describe, expect, it } from 'vitest';
+import { API, server, VIDEO_INFO } from '../test/server';
+import { getFile, getProgress, getVideoInfo, startDownload } from './downloaderApi';
+
+const readAll = async (body) => new Uint8Array(await new Response(body).arrayBuffer());
+
+describe('getFile', () => {
+  it('streams the body and reads the filename from Content-Disposition', async () => {
+    const file = await getFile('session-1');
+
+    expect(file.filename).toBe('Test Video.mp4');
+    expect(file.offset).toBe(0);
+    expect(file.total).toBe(16);
+    expect(new TextDecoder().decode(await readAll(file.body))).toBe('fake video bytes');
+  });
+
+  it('prefers the RFC 5987 filename* parameter', async () => {
+    const header = "attachment; filename=\"Vid_o.mp4\"; filename*=UTF-8''Vid%C3%A9o%3B%20final.mp4";
+    server.use(http.get(`${API}/file/:sessionId`, () => new HttpResponse('x', {
+      headers: { 'Content-Disposition': header },
+    })));
+
+    expect((await getFile('session-1')).filename).toBe('Vidéo; final.mp4');
+  });
+
+  it('sanitizes names that would escape the download folder', async () => {
+    server.use(http.get(`${API}/file/:sessionId`, () => new HttpResponse('x', {
+      headers: { 'Content-Disposition': 'attachment; filename="../../etc/passwd"' },
+    })));
+
+    expect((await getFile('session-1')).filename).toBe('_.._etc_passwd');
+  });
+
+  it('reports a missing header as null', async () => {
+    server.use(http.get(`${API}/file/:sessionId`, () => new HttpResponse('x')));
+    expect((await getFile('session-1')).filename).toBeNull();
+  });
+
+  it('asks for the rest of the file and reads the partial response range', async () => {
+    let range = null;
+    server.use(http.get(`${API}/file/:sessionId`, ({ request }) => {
+      range = request.headers.get('Range');
+      return new HttpResponse('bytes', {
+        status: 206,
+        headers: { 'Content-Range': 'bytes 11-15/16', 'Content-Length': '5' },
+      });
+    }));
+
+    const file = await getFile('session-1', { offset: 11 });
+
+    expect(range).toBe('bytes=11-');
+    expect(file).toMatchObject({ offset: 11, total: 16 });
+  });
+
+  it('takes the whole file again when a partial response does not say where it starts', async () => {
+    const ranges = [];
+    server.use(http.get(`${API}/file/:sessionId`, ({ request }) => {
+      const range = request.headers.get('Range');
+      ranges.push(range);
+      return range
+        ? new HttpResponse('bytes', { status: 206, headers: { 'Content-Length': '5' } })
+        : new HttpResponse('fake video bytes', { headers: { 'Content-Length': '16' } });
+    }));
+
+    const file = await getFile('session-1', { offset: 11 });
+
+    expect(ranges).toEqual(['bytes=11-', null]);
+    expect(file).toMatchObject({ offset: 0, total: 16 });
+    expect(new TextDecoder().decode(await readAll(file.body))).toBe('fake video bytes');
+  });
+
+  it('fails rather than guess when even the whole file comes back partial', async () => {
+    server.use(http.get(`${API}/file/:sessionId`, () => new HttpResponse('bytes', { status: 206 })));
+
+    await expect(getFile('session-1', { offset: 11 })).rejects.toMatchObject({ kind: 'http', status: 206 });
+  });
+});
+
+describe('error responses', () => {
+  it('uses the message from a JSON error body', async () => {
+    server.use(http.post(`${API}/video-info`, () => HttpResponse.json({ error: 'Video unavailable' }, { status: 400 })));
+
+    await expect(getVideoInfo('https://youtu.be/x')).rejects.toMatchObject({
+      kind: 'http',
+      status: 400,
+      message: 'Video unavailable',
+      endpoint: 'POST /video-info',
+    });
+  });
+
+  it('falls back to the status for HTML error pages', async () => {
+    server.use(http.post(`${API}/start-download`, () => new HttpResponse('<html><body>Bad gateway</body></html>', {
+      status: 502,
+      statusText: 'Bad Gateway',
+      headers: { 'Content-Type': 'text/html' },
+    })));
+
+    await expect(startDownload({ url: 'https://youtu.be/x' })).rejects.toMatchObject({
+      kind: 'http',
+      status: 502,
+      serverMessage: null,
+      message: 'Request failed with status 502 (Bad Gateway)',
+    });
+  });
+
+  it('keeps short plain-text error bodies', async () => {
+    server.use(http.post(`${API}/start-download`, () => new HttpResponse('Missing url parameter', { status: 400 })));
+
+    await expect(startDownload({})).rejects.toMatchObject({ status: 400, message: 'Missing url parameter' });
+  });
+
+  it('retries idempotent requests after a server error', async () => {
+    let calls = 0;
+    server.use(http.post(`${API}/video-info`, () => {
+      calls += 1;
+      return calls === 1 ? new HttpResponse(null, { status: 503 }) : HttpResponse.json(VIDEO_INFO);
+    }));
+
+    await expect(getVideoInfo('https://youtu.be/x')).resolves.toMatchObject({ title: 'Test Video' });
+    expect(calls).toBe(2);
+  });
+
+  it('reports dropped connections as network errors', async () => {
+    server.use(http.post(`${API}/start-download`, () => HttpResponse.error()));
+
+    await expect(startDownload({})).rejects.toMatchObject({ kind: 'network', message: 'Could not reach the server' });
+  });
+});
+
+describe('error codes', () => {
+  it.each([
+    ['ERROR: [youtube] x: Private video. Sign in if you\'ve been granted access', 'privateVideo'],
+    ['ERROR: Sign in to confirm your age. This video may be inappropriate for some users.', 'ageRestricted'],
+    ['ERROR: The uploader has not made this video available in your country', 'geoBlocked'],
+    ['ERROR: Video unavailable', 'videoUnavailable'],
+    ['Missing url parameter', 'requestFailed'],
+  ])('classifies "%s" as %s', async (message, code) => {
+    server.use(http.post(`${API}/video-info`, () => HttpResponse.json({ error: message }, { status: 400 })));
+
+    await expect(getVideoInfo('https://youtu.be/x')).rejects.toMatchObject({ code });
+  });
+
+  it('trusts a code the backend sends', async () => {
+    server.use(http.post(`${API}/video-info`, () => HttpResponse.json({ error: 'Nope', code: 'geoBlocked' }, { status: 403 })));
+
+    await expect(getVideoInfo('https://youtu.be/x')).rejects.toMatchObject({ code: 'geoBlocked' });
+  });
+
+  it('falls back to the status', async () => {
+    server.use(
+      http.post(`${API}/start-download`, () => new HttpResponse(null, { status: 429 })),
+      http.get(`${API}/progress/:sessionId`, () => new HttpResponse(null, { status: 404 })),
+    );
+
+    await expect(startDownload({})).rejects.toMatchObject({ code: 'rateLimited' });
+    await expect(getProgress('session-1')).rejects.toMatchObject({ code: 'sessionExpired' });
+  });
+
+  it('marks dropped connections as an unreachable backend', async () => {
+    server.use(http.post(`${API}/start-download`, () => HttpResponse.error()));
+
+    await expect(startDownload({})).rejects.toMatchObject({ code: 'backendUnreachable' });
+  });
+});
@@ -0,0 +1,42 @@
+import { http, HttpResponse } from 'msw';
+import { setupServer } from 'msw/node';
+
+export const API = 'http://localhost:5000/api';
+
+export const VIDEO_URL = 'https://www.youtube.com/watch?v=dQw4w9WgXcQ';
+
+export const VIDEO_INFO = {
+  title: 'Test Video',
+  author: 'Test Channel',
+  thumbnail: 'https://i.ytimg.com/vi/dQw4w9WgXcQ/hqdefault.jpg',
+  duration_seconds: 212,
+  view_count: 1234567,
+  webpage_url: VIDEO_URL,
+  formats: [
+    { format_id: '22', resolution: '1280x720', fps: 30, quality: '720p', filesize: '48.2MiB', ext: 'mp4', vcodec: 'avc1.64001F', acodec: 'mp4a.40.2', tbr: 1500 },
+    { format_id: '140', resolution: null, quality: 'audio only', filesize: '3.4MiB', ext: 'm4a', vcodec: 'none', acodec: 'mp4a.40.2', abr: 129 },
+  ],
+};
+
+export const FILE_BYTES = new TextEncoder().encode('fake video bytes');
+
+/**
+ * Default handlers: every request succeeds and a download finishes on its second
+ * progress poll. Tests override single endpoints with `server.use(...)`.
+ */
+export const handlers = [
+  http.post(`${API}/video-info`, () => HttpResponse.json(VIDEO_INFO)),
+  http.post(`${API}/start-download`, () => HttpResponse.json({ session_id: 'session-1' })),
+  http.get(`${API}/progress/:sessionId`, () => HttpResponse.json({ progress: 100, error: null, status: 'Finished' })),
+  http.get(`${API}/file/:sessionId`, () => new HttpResponse(FILE_BYTES, {
+    headers: {
+      'Content-Type': 'video/mp4',
+      'Content-Length': String(FILE_BYTES.byteLength),
+      'Content-Disposition': 'attachment; filename="Test Video.mp4"',
+    },
+  })),
+  http.post(`${API}/cancel/:sessionId`, () => new HttpResponse(null, { status: 204 })),
+  http.get(`${API}/health`, () => HttpResponse.json({ status: 'ok' })),
+];
+
+export const server = setupServer(...handlers);
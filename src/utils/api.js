@@ -1,38 +1,99 @@
 import axios from "axios";
+import { toApiError } from "./apiError";
+import { readSettings } from "./settings";
 
-const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
+// Build-time default; Settings can point the client somewhere else at runtime
+export const DEFAULT_API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
+
+const initialSettings = readSettings();
+
+// Serve every request from the in-memory mock backend instead of the network
+export const isMockApi = import.meta.env.VITE_API_MOCK === 'true';
+
+// Imported on first use, so builds without the mock leave it out of the bundle
+const mockAdapter = async (config) => {
+    const { mockAdapter: adapter } = await import("./mockAdapter");
+    return adapter(config);
+};
+
+const createRequestId = () => (
+    typeof crypto !== 'undefined' && crypto.randomUUID
+        ? crypto.randomUUID()
+        : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`
+);
+
+// Told after every request whether the backend answered at all, for the "unreachable" banner
+const reachabilityListeners = new Set();
+
+/**
+ * Subscribes to backend reachability: `true` once any response arrives (error statuses
+ * included), `false` when a request gets no response at all.
+ * @param {(reachable: boolean) => void} listener
+ * @returns {() => void} Unsubscribe.
+ */
+export const onReachabilityChange = (listener) => {
+    reachabilityListeners.add(listener);
+    return () => reachabilityListeners.delete(listener);
+};
+
+// Probes of another address (the Settings connection test) say nothing about the configured backend
+const reportReachability = (config, reachable) => {
+    if (config?.baseURL && config.baseURL !== api.defaults.baseURL) return;
+    reachabilityListeners.forEach(listener => listener(reachable));
+};
 
 const api = axios.create({
-    baseURL: API_URL,
+    baseURL: initialSettings.apiUrl || DEFAULT_API_URL,
     withCredentials: true,
-    timeout: 120000,
+    timeout: initialSettings.requestTimeout * 1000,
     headers: {
         'Content-Type': 'application/json',
         'Accept': 'application/json'
-    }
+    },
+    ...(isMockApi && { adapter: mockAdapter })
 });
 
 api.interceptors.request.use(
     (config) => {
+        // Lets backend logs be matched to a specific client request
+        config.headers['X-Request-ID'] = createRequestId();
         return config;
     },
     (error) => {
-        return Promise.reject(error);
+        return Promise.reject(toApiError(error));
     }
 );
 
 api.interceptors.response.use(
-    (response) => response,
+    (response) => {
+        reportReachability(response.config, true);
+        return response;
+    },
     (error) => {
-        if (error.response) {
+        if (axios.isCancel(error)) {
+            // Aborted on purpose; nothing to report
+        } else if (error.response) {
+            reportReachability(error.config, true);
             console.error('Response error:', error.response.status, error.response.data);
         } else if (error.request) {
+            // Timeouts say nothing about reachability; only requests that got no answer do
+            if (error.code !== 'ECONNABORTED' && error.code !== 'ETIMEDOUT') reportReachability(error.config, false);
             console.error('Network error:', error.message);
         } else {
             console.error('Error:', error.message);
         }
-        return Promise.reject(error);
+        return Promise.reject(toApiError(error));
     }
 );
 
-export default api;
\ No newline at end of file
+/**
+ * Applies the backend settings to every later request. Requests that set their own
+ * `timeout` (file streams) keep it.
+ * @param {{ apiUrl: string, requestTimeout: number }} settings - `requestTimeout` in seconds.
+ */
+export const configureApi = ({ apiUrl, requestTimeout }) => {
+    api.defaults.baseURL = apiUrl || DEFAULT_API_URL;
+    api.defaults.timeout = requestTimeout * 1000;
+};
+
+export default api;
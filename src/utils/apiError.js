@@ -0,0 +1,196 @@
+import axios from "axios";
+
+/**
+ * Why a request failed, for guidance the user can act on. Each code has a title and
+ * a hint under `errors.<code>` in the message catalogs.
+ */
+export const ERROR_CODES = [
+    'privateVideo',
+    'ageRestricted',
+    'geoBlocked',
+    'videoUnavailable',
+    'formatUnavailable',
+    'rateLimited',
+    'sessionExpired',
+    'serverError',
+    'backendUnreachable',
+    'timeout',
+    'cancelled',
+    'requestFailed',
+    'unknown',
+];
+
+// yt-dlp's wording, which the backend passes through; the first match wins
+const MESSAGE_PATTERNS = [
+    ['ageRestricted', /age[- ]restricted|confirm your age|inappropriate for some users/i],
+    ['privateVideo', /private video|members[- ]only|sign in to|login required|requires? (?:authentication|payment)/i],
+    ['geoBlocked', /(?:not made this video|not) available in your (?:country|region|location)|geo[- ]?(?:restrict|block)/i],
+    ['formatUnavailable', /requested format|format (?:is )?not available|no (?:video )?formats? found/i],
+    ['videoUnavailable', /video (?:is )?unavailable|has been removed|does not exist|no longer available|terminated/i],
+];
+
+/**
+ * Reads the reason out of a backend or yt-dlp error message.
+ * @param {string | null | undefined} message
+ * @returns {string | null} One of `ERROR_CODES`, or null when the message is not recognised.
+ */
+export const classifyMessage = (message) => {
+    if (!message) return null;
+    const match = MESSAGE_PATTERNS.find(([, pattern]) => pattern.test(message));
+    return match ? match[0] : null;
+};
+
+const classifyHttp = (status, serverMessage, serverCode, endpoint) => {
+    // A backend that already classifies its errors knows best
+    if (ERROR_CODES.includes(serverCode)) return serverCode;
+
+    const fromMessage = classifyMessage(serverMessage);
+    if (fromMessage) return fromMessage;
+
+    if (status === 429) return 'rateLimited';
+    if ((status === 404 || status === 410) && /\/(progress|file)\//.test(endpoint || '')) return 'sessionExpired';
+    if (status === 451) return 'geoBlocked';
+    if (status >= 500) return 'serverError';
+    return 'requestFailed';
+};
+
+/**
+ * Uniform error thrown by every backend call.
+ *
+ * `kind` tells callers how the request failed:
+ * - `http`: the server answered with a non-2xx status
+ * - `network`: no response (backend down, CORS, offline)
+ * - `timeout`: the request exceeded its time limit
+ * - `cancelled`: aborted through an AbortSignal
+ *
+ * `code` (one of `ERROR_CODES`) tells the user why, e.g. `privateVideo` or `geoBlocked`.
+ */
+export class ApiError extends Error {
+    constructor(message, { kind, code = 'unknown', status = null, serverMessage = null, endpoint = null, requestId = null } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.kind = kind;
+        this.code = code;
+        this.status = status;
+        this.serverMessage = serverMessage;
+        this.endpoint = endpoint;
+        this.requestId = requestId;
+    }
+}
+
+// Error bodies are usually `{ error: '...' }`, but proxies and crashed servers send HTML or plain text
+const extractServerMessage = (data) => {
+    if (!data) return null;
+    if (typeof data === 'object') {
+        const message = data.error || data.message;
+        return typeof message === 'string' ? message : null;
+    }
+    if (typeof data === 'string') {
+        const text = data.trim();
+        if (text.startsWith('{')) {
+            try {
+                return extractServerMessage(JSON.parse(text));
+            } catch {
+                return null;
+            }
+        }
+        if (!text.startsWith('<') && text.length <= 200) return text || null;
+    }
+    return null;
+};
+
+/**
+ * Converts an axios error (or anything thrown during a request) into an ApiError.
+ * @param {unknown} error
+ * @returns {ApiError}
+ */
+export const toApiError = (error) => {
+    if (error instanceof ApiError) return error;
+
+    const config = error?.config || {};
+    const meta = {
+        endpoint: config.url ? `${(config.method || 'get').toUpperCase()} ${config.url}` : null,
+        requestId: config.headers?.['X-Request-ID'] || null,
+    };
+
+    if (axios.isCancel(error) || error?.code === 'ERR_CANCELED' || error?.name === 'AbortError') {
+        return new ApiError('Request was cancelled', { ...meta, kind: 'cancelled', code: 'cancelled' });
+    }
+
+    if (error?.code === 'ECONNABORTED' || error?.code === 'ETIMEDOUT') {
+        return new ApiError('The server took too long to respond', { ...meta, kind: 'timeout', code: 'timeout' });
+    }
+
+    if (error?.response) {
+        const { status, statusText, data } = error.response;
+        const serverMessage = extractServerMessage(data);
+        return new ApiError(serverMessage || `Request failed with status ${status}${statusText ? ` (${statusText})` : ''}`, {
+            ...meta,
+            kind: 'http',
+            code: classifyHttp(status, serverMessage, data?.code, meta.endpoint),
+            status,
+            serverMessage,
+        });
+    }
+
+    return new ApiError('Could not reach the server', { ...meta, kind: 'network', code: 'backendUnreachable' });
+};
+
+/**
+ * @param {unknown} error
+ * @returns {boolean} Whether the error comes from an aborted request.
+ */
+export const isCancelled = (error) => error?.kind === 'cancelled' || error?.name === 'AbortError';
+
+/**
+ * @typedef {Object} FailureDetails
+ * @property {string} code - One of `ERROR_CODES`.
+ * @property {string} message
+ * @property {number | null} status
+ * @property {string | null} endpoint - e.g. 'POST /start-download'.
+ * @property {string | null} requestId
+ * @property {string} time - ISO timestamp of the failure.
+ */
+
+/**
+ * Flattens a failure into plain data that can live in React state and be copied
+ * into a bug report. Accepts ApiErrors, other errors and bare messages (such as the
+ * `error` field of a progress update).
+ * @param {unknown} error
+ * @param {{ endpoint?: string }} [context] - Fallback endpoint when the error has none.
+ * @returns {FailureDetails}
+ */
+export const describeFailure = (error, { endpoint = null } = {}) => {
+    const message = typeof error === 'string' ? error : error?.message || '';
+    const known = ERROR_CODES.includes(error?.code) && error.code !== 'unknown' ? error.code : null;
+    return {
+        code: known || classifyMessage(message) || 'unknown',
+        message,
+        status: error?.status ?? null,
+        endpoint: error?.endpoint || endpoint,
+        requestId: error?.requestId || null,
+        time: new Date().toISOString(),
+    };
+};
+
+/**
+ * Plain-text summary for the "copy diagnostic details" action. Kept in English so
+ * reports read the same whatever language the reporter uses.
+ * @param {FailureDetails} failure
+ * @param {{ sessionId?: string | null, url?: string }} [context]
+ * @returns {string}
+ */
+export const diagnosticsText = (failure, { sessionId = null, url = '' } = {}) => [
+    ['Error', failure.code],
+    ['Message', failure.message],
+    ['Endpoint', failure.endpoint],
+    ['Status', failure.status],
+    ['Session ID', sessionId],
+    ['Request ID', failure.requestId],
+    ['Video', url],
+    ['Time', failure.time],
+    ['Browser', typeof navigator !== 'undefined' ? navigator.userAgent : null],
+]
+    .filter(([, value]) => value != null && value !== '')
+    .map(([label, value]) => `${label}: ${value}`)
+    .join('\n');
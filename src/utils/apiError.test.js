@@ -0,0 +1,59 @@
+import { describe, expect, it } from 'vitest';
+import { ApiError, classifyMessage, describeFailure, diagnosticsText } from './apiError';
+
+describe('classifyMessage', () => {
+  it('recognises yt-dlp wording', () => {
+    expect(classifyMessage('ERROR: Requested format is not available')).toBe('formatUnavailable');
+    expect(classifyMessage('This video is only available to Music Premium members-only')).toBe('privateVideo');
+    expect(classifyMessage('This video has been removed by the uploader')).toBe('videoUnavailable');
+  });
+
+  it('returns null for anything else', () => {
+    expect(classifyMessage('Something odd happened')).toBeNull();
+    expect(classifyMessage('')).toBeNull();
+  });
+});
+
+describe('describeFailure', () => {
+  it('keeps the code and request details of an ApiError', () => {
+    const error = new ApiError('Too many downloads', {
+      kind: 'http', code: 'rateLimited', status: 429, endpoint: 'POST /start-download', requestId: 'req-1',
+    });
+
+    expect(describeFailure(error)).toMatchObject({
+      code: 'rateLimited',
+      message: 'Too many downloads',
+      status: 429,
+      endpoint: 'POST /start-download',
+      requestId: 'req-1',
+    });
+  });
+
+  it('classifies bare messages and uses the fallback endpoint', () => {
+    expect(describeFailure('ERROR: Video unavailable', { endpoint: 'GET /progress/s1' })).toMatchObject({
+      code: 'videoUnavailable',
+      status: null,
+      endpoint: 'GET /progress/s1',
+    });
+    expect(describeFailure(new Error('boom')).code).toBe('unknown');
+  });
+});
+
+describe('diagnosticsText', () => {
+  it('lists the known details one per line', () => {
+    const failure = { code: 'serverError', message: 'Internal error', status: 500, endpoint: 'POST /video-info', requestId: null, time: '2024-05-01T10:00:00.000Z' };
+
+    const text = diagnosticsText(failure, { sessionId: 'session-1', url: 'https://youtu.be/x' }).split('\n');
+
+    expect(text.slice(0, 7)).toEqual([
+      'Error: serverError',
+      'Message: Internal error',
+      'Endpoint: POST /video-info',
+      'Status: 500',
+      'Session ID: session-1',
+      'Video: https://youtu.be/x',
+      'Time: 2024-05-01T10:00:00.000Z',
+    ]);
+    expect(text[7]).toMatch(/^Browser: /);
+  });
+});
@@ -0,0 +1,30 @@
+/**
+ * Checks a clip range against the video length.
+ * @param {{ start: number, end: number }} clip - Range in seconds.
+ * @param {number} duration - Video length in seconds; 0 or missing when unknown.
+ * @returns {'' | 'negativeStart' | 'pastEnd' | 'endBeforeStart'} An error code (a key under
+ *   `trim.errors` in the message catalogs), or an empty string when the range is usable.
+ */
+export const validateClip = ({ start, end }, duration) => {
+  if (start < 0) return 'negativeStart';
+  if (duration > 0 && end > duration) return 'pastEnd';
+  if (end <= start) return 'endBeforeStart';
+  return '';
+};
+
+/**
+ * Chapters as returned by `/video-info`, normalized and sorted by start time.
+ * Chapters without an end run until the next one (or the end of the video); untitled
+ * chapters get an empty title for the view to label.
+ * @param {Array<{ title?: string, start_time: number, end_time?: number }> | null} chapters - yt-dlp sends null when there are none.
+ * @param {number} duration
+ * @returns {Array<{ title: string, start: number, end: number }>}
+ */
+export const normalizeChapters = (chapters = [], duration = 0) => {
+  const sorted = [...(chapters || [])].sort((a, b) => a.start_time - b.start_time);
+  return sorted.map((chapter, index) => ({
+    title: chapter.title || '',
+    start: chapter.start_time,
+    end: chapter.end_time ?? sorted[index + 1]?.start_time ?? duration,
+  }));
+};
@@ -0,0 +1,34 @@
+import { describe, expect, it } from 'vitest';
+import { normalizeChapters, validateClip } from './clip';
+
+describe('validateClip', () => {
+  it.each([
+    [{ start: 10, end: 20 }, 100, ''],
+    [{ start: -1, end: 20 }, 100, 'negativeStart'],
+    [{ start: 10, end: 120 }, 100, 'pastEnd'],
+    [{ start: 20, end: 20 }, 100, 'endBeforeStart'],
+    // An unknown length sets no upper bound
+    [{ start: 10, end: 5000 }, 0, ''],
+  ])('checks %j against %d s', (clip, duration, expected) => {
+    expect(validateClip(clip, duration)).toBe(expected);
+  });
+});
+
+describe('normalizeChapters', () => {
+  it('sorts chapters and ends each one where the next starts', () => {
+    expect(normalizeChapters([
+      { title: 'Outro', start_time: 90 },
+      { title: 'Intro', start_time: 0 },
+      { start_time: 30, end_time: 60 },
+    ], 120)).toEqual([
+      { title: 'Intro', start: 0, end: 30 },
+      { title: '', start: 30, end: 60 },
+      { title: 'Outro', start: 90, end: 120 },
+    ]);
+  });
+
+  it('treats missing chapters as none', () => {
+    expect(normalizeChapters(null, 120)).toEqual([]);
+    expect(normalizeChapters(undefined, 120)).toEqual([]);
+  });
+});
@@ -0,0 +1,67 @@
+import { parseTimestamp } from './format';
+
+/**
+ * Splits a video description into plain text, links and timestamps, so the UI can
+ * render them as clickable without ever injecting HTML.
+ */
+
+// A URL, or a timestamp like 1:23 / 01:02:03 not glued to other digits or colons
+const TOKEN = /(https?:\/\/[^\s<>"]+)|(?<![\d:])((?:\d{1,2}:)?\d{1,2}:\d{2})(?![\d:])/g;
+
+// Sentence punctuation after a link belongs to the text, not the URL
+const TRAILING_PUNCTUATION = /[)\].,;:!?'"]+$/;
+
+/**
+ * @typedef {{ type: 'text', text: string } | { type: 'link', text: string, href: string } | { type: 'timestamp', text: string, seconds: number }} DescriptionSegment
+ */
+
+/**
+ * @param {string} text
+ * @param {number} [duration] - Video length in seconds; later timestamps stay plain text.
+ * @returns {DescriptionSegment[]}
+ */
+export const parseDescription = (text, duration = Infinity) => {
+  const segments = [];
+  let cursor = 0;
+
+  const pushText = (value) => {
+    if (!value) return;
+    const last = segments[segments.length - 1];
+    if (last?.type === 'text') {
+      last.text += value;
+    } else {
+      segments.push({ type: 'text', text: value });
+    }
+  };
+
+  for (const match of String(text || '').matchAll(TOKEN)) {
+    const [token, url, stamp] = match;
+    pushText(text.slice(cursor, match.index));
+    cursor = match.index + token.length;
+
+    if (url) {
+      const href = url.replace(TRAILING_PUNCTUATION, '');
+      segments.push({ type: 'link', text: href, href });
+      pushText(url.slice(href.length));
+      continue;
+    }
+
+    const seconds = parseTimestamp(stamp);
+    if (seconds == null || seconds > (duration || Infinity)) {
+      pushText(stamp);
+    } else {
+      segments.push({ type: 'timestamp', text: stamp, seconds });
+    }
+  }
+
+  pushText(String(text || '').slice(cursor));
+  return segments;
+};
+
+/**
+ * Whether `value` is safe to use as a link target: only absolute http(s) URLs, so
+ * metadata from the backend can never inject `javascript:` or similar.
+ * @param {string} value
+ * @returns {boolean}
+ */
+export const isHttpUrl = (value) => /^https?:\/\/[^\s]+$/i.test(String(value ?? ''));
@@ -0,0 +1,45 @@
+import { describe, expect, it } from 'vitest';
+import { parseDescription } from './description';
+
+describe('parseDescription', () => {
+  it('returns plain text untouched', () => {
+    expect(parseDescription('Just words.\nSecond line')).toEqual([{ type: 'text', text: 'Just words.\nSecond line' }]);
+  });
+
+  it('finds links and leaves trailing punctuation as text', () => {
+    expect(parseDescription('Site: https://example.com/a?b=1. More (https://example.org)')).toEqual([
+      { type: 'text', text: 'Site: ' },
+      { type: 'link', text: 'https://example.com/a?b=1', href: 'https://example.com/a?b=1' },
+      { type: 'text', text: '. More (' },
+      { type: 'link', text: 'https://example.org', href: 'https://example.org' },
+      { type: 'text', text: ')' },
+    ]);
+  });
+
+  it('finds timestamps in chapter-style lines', () => {
+    expect(parseDescription('0:00 Intro\n1:05 Setup\n1:02:03 Outro', 4000)).toEqual([
+      { type: 'timestamp', text: '0:00', seconds: 0 },
+      { type: 'text', text: ' Intro\n' },
+      { type: 'timestamp', text: '1:05', seconds: 65 },
+      { type: 'text', text: ' Setup\n' },
+      { type: 'timestamp', text: '1:02:03', seconds: 3723 },
+      { type: 'text', text: ' Outro' },
+    ]);
+  });
+
+  it('keeps timestamps past the end of the video and invalid times as text', () => {
+    expect(parseDescription('Doors at 19:30, see 0:75', 600)).toEqual([
+      { type: 'text', text: 'Doors at 19:30, see 0:75' },
+    ]);
+  });
+
+  it('does not treat ratios or longer numbers as timestamps', () => {
+    expect(parseDescription('Ratio 16:9 and 123:45:678')).toEqual([
+      { type: 'text', text: 'Ratio 16:9 and 123:45:678' },
+    ]);
+  });
+
+  it('never treats non-http schemes as links', () => {
+    expect(parseDescription('javascript:alert(1)')).toEqual([{ type: 'text', text: 'javascript:alert(1)' }]);
+  });
+});
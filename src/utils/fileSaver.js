@@ -0,0 +1,145 @@
+import { isCancelled } from './apiError';
+
+// How many times a dropped transfer is re-requested from the last received byte
+const MAX_RESUMES = 3;
+
+/**
+ * Whether the browser can stream straight to a user-chosen file through the
+ * File System Access API.
+ * @returns {boolean}
+ */
+export const supportsFilePicker = () => typeof window.showSaveFilePicker === 'function';
+
+/**
+ * Free space the browser lets this site use, from the Storage API. Browsers do not
+ * reveal the free space behind a file picked with `showSaveFilePicker`; the site's
+ * quota is derived from the free disk space, so it is the closest signal there is.
+ * @returns {Promise<number | null>} Bytes, or null when the browser cannot tell.
+ */
+export const availableSpace = async () => {
+  if (!navigator.storage?.estimate) return null;
+  try {
+    const { quota, usage = 0 } = await navigator.storage.estimate();
+    return typeof quota === 'number' ? Math.max(0, quota - usage) : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Asks the user where to save a download. Must run inside a user gesture (the
+ * Download click), so it happens before the session starts rather than at the end.
+ * @param {string} suggestedName - Default filename shown in the picker.
+ * @returns {Promise<FileSystemFileHandle | null>} The chosen file, or null if the picker was dismissed.
+ */
+export const pickSaveTarget = async (suggestedName) => {
+  try {
+    return await window.showSaveFilePicker({ suggestedName });
+  } catch (err) {
+    if (err.name === 'AbortError') return null;
+    throw err;
+  }
+};
+
+/**
+ * Streams a file into a file handle chunk by chunk, so the download never has to
+ * fit in memory. When the connection drops mid-transfer the file is re-opened from
+ * the last received byte (an HTTP Range request) and writing continues in place.
+ * @param {(offset: number) => Promise<{ body: ReadableStream<Uint8Array>, total: number | null, offset?: number }>} openFile -
+ *   Opens the file starting at `offset`; resolves with the offset the server actually honoured.
+ * @param {FileSystemFileHandle} handle - Target chosen with `pickSaveTarget`.
+ * @param {{ onProgress?: (transfer: { received: number, total: number | null, resumes: number }) => void }} [options]
+ * @returns {Promise<string>} The name of the written file.
+ */
+export const streamToFile = async (openFile, handle, { onProgress } = {}) => {
+  const writable = await handle.createWritable();
+  let received = 0;
+  let resumes = 0;
+
+  try {
+    for (;;) {
+      const { body, total, offset = 0 } = await openFile(received);
+
+      // A server that ignores Range sends the whole file again; start over from its offset
+      if (offset !== received) {
+        await writable.truncate(offset);
+        received = offset;
+      }
+
+      const reader = body.getReader();
+      let dropped = null;
+      for (;;) {
+        let chunk;
+        try {
+          chunk = await reader.read();
+        } catch (err) {
+          // Only a failed read means the connection dropped; write errors abort below
+          if (isCancelled(err)) throw err;
+          dropped = err;
+          break;
+        }
+        if (chunk.done) break;
+        await writable.write(chunk.value);
+        received += chunk.value.byteLength;
+        onProgress?.({ received, total, resumes });
+      }
+
+      if (!dropped && total && received < total) {
+        dropped = new Error(`Connection closed after ${received} of ${total} bytes`);
+      }
+      if (!dropped) break;
+      if (resumes >= MAX_RESUMES) throw dropped;
+      resumes += 1;
+      console.error(`File transfer interrupted at ${received} bytes, resuming:`, dropped.message);
+    }
+    await writable.close();
+  } catch (err) {
+    // Discard the partial file instead of leaving a truncated download behind
+    await writable.abort().catch(() => {});
+    throw err;
+  }
+
+  return handle.name;
+};
+
+/**
+ * Hands the file URL to the browser's own download manager, which writes it to disk
+ * as it arrives. Used where the File System Access API is unavailable.
+ * @param {string} url - File endpoint to download.
+ * @param {string} filename - Fallback name; the server's Content-Disposition takes precedence.
+ */
+export const downloadViaBrowser = (url, filename) => {
+  const link = document.createElement('a');
+  link.href = url;
+  link.setAttribute('download', filename);
+  link.rel = 'noopener';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+};
+
+/**
+ * Saves an in-memory blob as a file through a temporary object URL.
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+export const saveBlob = (blob, filename) => {
+  const downloadUrl = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = downloadUrl;
+  link.setAttribute('download', filename);
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.URL.revokeObjectURL(downloadUrl);
+};
+
+/**
+ * Saves generated text as a file.
+ * @param {string} content
+ * @param {string} filename
+ * @param {string} type - MIME type of the content.
+ */
+export const saveTextFile = (content, filename, type) => {
+  saveBlob(new Blob([content], { type }), filename);
+};
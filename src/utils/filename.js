@@ -0,0 +1,134 @@
+/**
+ * Filename handling for downloads: reading the server's Content-Disposition header,
+ * building names from the user's template and making any name safe to write to disk.
+ */
+
+export const DEFAULT_FILENAME_TEMPLATE = '{title}.{ext}';
+
+/**
+ * Placeholders a filename template can use. Missing values are left empty, and any
+ * brackets or separators around them are dropped.
+ */
+export const TEMPLATE_FIELDS = ['title', 'author', 'resolution', 'ext', 'id', 'date'];
+
+// Most filesystems cap a name at 255 bytes; leave headroom for browser suffixes like ' (1)'
+const MAX_FILENAME_BYTES = 240;
+
+const RESERVED_CHARACTERS = /[<>:"/\\|?*]/g;
+const WINDOWS_DEVICE_NAMES = /^(con|prn|aux|nul|com\d|lpt\d)$/i;
+const EXTENSION = /\.([a-z0-9]{1,10})$/i;
+
+const isControlCharacter = (ch) => ch.charCodeAt(0) < 32 || ch.charCodeAt(0) === 127;
+
+const byteLength = (text) => new TextEncoder().encode(text).length;
+
+// RFC 8187 ext-value: charset'language'percent-encoded-bytes
+const decodeExtValue = (value) => {
+  const match = /^([\w!#$%&+^`{}~-]+)'[^']*'(.*)$/.exec(value);
+  if (!match) return null;
+
+  const [, charset, encoded] = match;
+  try {
+    if (charset.toLowerCase() === 'utf-8') return decodeURIComponent(encoded);
+    if (charset.toLowerCase() === 'iso-8859-1') {
+      return encoded.replace(/%([0-9a-f]{2})/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+    }
+  } catch {
+    // Malformed percent-encoding; fall back to the plain `filename` parameter
+  }
+  return null;
+};
+
+/**
+ * Reads the filename from a Content-Disposition header (RFC 6266). `filename*`
+ * (RFC 5987/8187, e.g. `filename*=UTF-8''Vid%C3%A9o.mp4`) wins over `filename`;
+ * quoted values may contain semicolons and backslash-escaped quotes.
+ * @param {string | null | undefined} header
+ * @returns {string | null} The filename as sent, unsanitized, or null when there is none.
+ */
+export const parseContentDisposition = (header) => {
+  if (!header) return null;
+
+  const params = {};
+  const pattern = /;\s*([^\s=;]+)\s*=\s*("(?:[^"\\]|\\.)*"|[^;]*)/g;
+  for (const [, rawName, rawValue] of header.matchAll(pattern)) {
+    const name = rawName.toLowerCase();
+    let value = rawValue.trim();
+    if (value.startsWith('"')) value = value.slice(1, -1).replace(/\\(.)/g, '$1');
+    // Only the first occurrence of a parameter counts
+    if (!(name in params)) params[name] = value;
+  }
+
+  const extended = params['filename*'] ? decodeExtValue(params['filename*']) : null;
+  return extended || params.filename || null;
+};
+
+/**
+ * Makes a name safe on Windows, macOS and Linux: strips control characters, replaces
+ * reserved ones, trims trailing dots and spaces, avoids device names and caps the
+ * length in bytes while keeping the extension.
+ * @param {string} name
+ * @param {string} [fallback] - Used when nothing printable is left of the name.
+ * @returns {string}
+ */
+export const sanitizeFilename = (name, fallback = 'download') => {
+  // Tabs and line breaks become spaces; other control characters are dropped
+  const cleaned = [...String(name ?? '').normalize('NFC')]
+    .map(ch => (/\s/.test(ch) ? ' ' : ch))
+    .filter(ch => !isControlCharacter(ch))
+    .join('')
+    .replace(RESERVED_CHARACTERS, '_')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  const match = EXTENSION.exec(cleaned);
+  const ext = match ? match[1] : '';
+  let base = (match ? cleaned.slice(0, -match[0].length) : cleaned)
+    .replace(/^[\s.]+|[\s.]+$/g, '');
+
+  if (!base) base = fallback;
+  if (WINDOWS_DEVICE_NAMES.test(base)) base = `_${base}`;
+
+  const suffix = ext ? `.${ext}` : '';
+  const characters = [...base];
+  while (characters.length > 1 && byteLength(characters.join('') + suffix) > MAX_FILENAME_BYTES) {
+    characters.pop();
+  }
+  base = characters.join('').replace(/[\s.]+$/, '') || fallback;
+
+  return `${base}${suffix}`;
+};
+
+/**
+ * Fills a template such as `{author} - {title} [{resolution}].{ext}` and sanitizes the
+ * result. Empty placeholders take their brackets and separators with them, and the
+ * extension is appended when the template leaves it out.
+ * @param {string} template
+ * @param {{ title?: string, author?: string, resolution?: string, ext?: string, id?: string, date?: string }} fields
+ * @returns {string}
+ */
+export const applyFilenameTemplate = (template, fields) => {
+  const ext = fields.ext || '';
+  const filled = (template.trim() || DEFAULT_FILENAME_TEMPLATE)
+    .replace(/\{(\w+)\}/g, (placeholder, name) => (
+      TEMPLATE_FIELDS.includes(name) ? String(fields[name] ?? '').trim() : placeholder
+    ))
+    .replace(/\[\s*\]|\(\s*\)|\{\s*\}/g, '')
+    .replace(/\s*[-–—]\s*(?:[-–—]\s*)+/g, ' - ')
+    .replace(/\s+/g, ' ')
+    .replace(/[\s_–—-]+(?=\.[a-z0-9]*$)/i, '')
+    .replace(/^[\s_–—-]+|[\s_–—-]+$/g, '');
+
+  const withoutDot = filled.replace(/\.$/, '');
+  const named = ext && !withoutDot.toLowerCase().endsWith(`.${ext.toLowerCase()}`) ? `${withoutDot}.${ext}` : withoutDot;
+  return sanitizeFilename(named, fields.title ? sanitizeFilename(fields.title) : 'download');
+};
+
+/**
+ * `upload_date` arrives as YYYYMMDD; templates get an ISO date.
+ * @param {string | undefined} uploadDate
+ * @returns {string}
+ */
+export const templateDate = (uploadDate) => (
+  /^\d{8}$/.test(uploadDate || '') ? `${uploadDate.slice(0, 4)}-${uploadDate.slice(4, 6)}-${uploadDate.slice(6)}` : ''
+);
@@ -0,0 +1,101 @@
+import { describe, expect, it } from 'vitest';
+import { applyFilenameTemplate, parseContentDisposition, sanitizeFilename, templateDate } from './filename';
+
+describe('parseContentDisposition', () => {
+  it.each([
+    ['attachment; filename="Test Video.mp4"', 'Test Video.mp4'],
+    ['attachment; filename=plain.mp4', 'plain.mp4'],
+    ['attachment; FILENAME="upper.mp4"', 'upper.mp4'],
+    ['attachment; filename="semi; colon.mp4"', 'semi; colon.mp4'],
+    ['attachment; filename="say \\"hi\\".mp4"', 'say "hi".mp4'],
+    ["attachment; filename*=UTF-8''%E0%A4%97%E0%A5%80%E0%A4%A4.mp3", 'गीत.mp3'],
+    ["attachment; filename*=utf-8'en'Caf%C3%A9%3B%20live.mp4", 'Café; live.mp4'],
+    ["attachment; filename*=ISO-8859-1''Caf%E9.mp4", 'Café.mp4'],
+  ])('reads %j', (header, expected) => {
+    expect(parseContentDisposition(header)).toBe(expected);
+  });
+
+  it('prefers filename* over filename regardless of order', () => {
+    expect(parseContentDisposition("attachment; filename*=UTF-8''Vid%C3%A9o.mp4; filename=\"Video.mp4\"")).toBe('Vidéo.mp4');
+    expect(parseContentDisposition("attachment; filename=\"Video.mp4\"; filename*=UTF-8''Vid%C3%A9o.mp4")).toBe('Vidéo.mp4');
+  });
+
+  it('falls back to filename when filename* cannot be decoded', () => {
+    expect(parseContentDisposition("attachment; filename=\"Video.mp4\"; filename*=UTF-8''%E0%A4")).toBe('Video.mp4');
+    expect(parseContentDisposition("attachment; filename=\"Video.mp4\"; filename*=KOI8-R''x")).toBe('Video.mp4');
+  });
+
+  it.each([[null], [''], ['attachment'], ['inline; size=12']])('returns null for %j', (header) => {
+    expect(parseContentDisposition(header)).toBeNull();
+  });
+});
+
+describe('sanitizeFilename', () => {
+  it.each([
+    ['Test Video.mp4', 'Test Video.mp4'],
+    ['AC/DC: Live? <2024> | "Best" *.mp4', 'AC_DC_ Live_ _2024_ _ _Best_ _.mp4'],
+    ['tab\there\nnewline.mp4', 'tab here newline.mp4'],
+    ['bell\u0007.mp4', 'bell.mp4'],
+    ['  ..hidden.mp4', 'hidden.mp4'],
+    ['trailing dots... .mp4', 'trailing dots.mp4'],
+    ['CON.mp4', '_CON.mp4'],
+    ['lpt1', '_lpt1'],
+    ['Café.mp4', 'Café.mp4'],
+  ])('cleans %j', (name, expected) => {
+    expect(sanitizeFilename(name)).toBe(expected);
+  });
+
+  it('uses the fallback when nothing printable is left', () => {
+    expect(sanitizeFilename('...mp4')).toBe('download.mp4');
+    expect(sanitizeFilename('', 'subtitles')).toBe('subtitles');
+  });
+
+  it('caps long names in bytes and keeps the extension', () => {
+    const name = sanitizeFilename(`${'गीत '.repeat(60)}.mp3`);
+
+    expect(new TextEncoder().encode(name).length).toBeLessThanOrEqual(240);
+    expect(name.endsWith('गीत.mp3') || name.endsWith('.mp3')).toBe(true);
+    expect(name).not.toMatch(/\s\.mp3$/);
+  });
+});
+
+describe('applyFilenameTemplate', () => {
+  const fields = { title: 'Test Video', author: 'Test Channel', resolution: '720p', ext: 'mp4', id: 'dQw4w9WgXcQ', date: '2024-05-01' };
+
+  it('fills every field', () => {
+    expect(applyFilenameTemplate('{author} - {title} [{resolution}] {id} {date}.{ext}', fields))
+      .toBe('Test Channel - Test Video [720p] dQw4w9WgXcQ 2024-05-01.mp4');
+  });
+
+  it('drops empty fields with their brackets and separators', () => {
+    const sparse = { ...fields, author: '', resolution: '' };
+
+    expect(applyFilenameTemplate('{author} - {title} [{resolution}].{ext}', sparse)).toBe('Test Video.mp4');
+    expect(applyFilenameTemplate('{title} - {author} - {id}.{ext}', sparse)).toBe('Test Video - dQw4w9WgXcQ.mp4');
+    expect(applyFilenameTemplate('{title} ({resolution}).{ext}', sparse)).toBe('Test Video.mp4');
+  });
+
+  it('appends the extension when the template leaves it out', () => {
+    expect(applyFilenameTemplate('{title} [{id}]', fields)).toBe('Test Video [dQw4w9WgXcQ].mp4');
+    expect(applyFilenameTemplate('{title}.mp4', fields)).toBe('Test Video.mp4');
+  });
+
+  it('keeps unknown placeholders as literal text', () => {
+    expect(applyFilenameTemplate('{title} {views}', fields)).toBe('Test Video {views}.mp4');
+  });
+
+  it('sanitizes the values as well as the template', () => {
+    expect(applyFilenameTemplate('{author}/{title}', { ...fields, title: 'What? Yes: no' })).toBe('Test Channel_What_ Yes_ no.mp4');
+  });
+
+  it('uses the default template when the template is blank', () => {
+    expect(applyFilenameTemplate('  ', fields)).toBe('Test Video.mp4');
+    expect(applyFilenameTemplate('{resolution}', { ...fields, resolution: '' })).toBe('Test Video.mp4');
+  });
+});
+
+describe('templateDate', () => {
+  it.each([['20091025', '2009-10-25'], [undefined, ''], ['2009-10-25', '']])('formats %j as %j', (value, expected) => {
+    expect(templateDate(value)).toBe(expected);
+  });
+});
@@ -0,0 +1,193 @@
+// Intl formatters are relatively expensive to build; reuse one per locale and option set
+const formatters = new Map();
+
+const numberFormat = (locale, options = {}) => {
+    const key = `${locale || ''}|${JSON.stringify(options)}`;
+    if (!formatters.has(key)) {
+        formatters.set(key, new Intl.NumberFormat(locale, options));
+    }
+    return formatters.get(key);
+};
+
+const BYTE_UNITS = ['byte', 'kilobyte', 'megabyte', 'gigabyte', 'terabyte'];
+
+// Picks the largest binary (1024-based) unit that keeps the value at or above 1
+const scaleBytes = (bytes) => {
+    let value = bytes;
+    let unit = 0;
+
+    while (value >= 1024 && unit < BYTE_UNITS.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return { value, unit };
+};
+
+/**
+ * Converts seconds into a human-readable duration format (e.g., '01:35' or '1:10:30'),
+ * with digits in the numbering system of `locale`.
+ * @param {number | string} seconds - The duration in seconds.
+ * @param {string} [locale] - BCP 47 locale; defaults to the browser's.
+ * @returns {string} The formatted duration string, or '—' when unknown.
+ */
+export const formatDuration = (seconds, locale) => {
+    // Live streams report an unbounded duration; treat it like an unknown one
+    if (typeof seconds !== 'number' || !Number.isFinite(seconds) || seconds <= 0) return '—';
+    
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor((seconds % 3600) / 60);
+    const s = Math.floor(seconds % 60);
+
+    const parts = [m, s];
+    if (h > 0) parts.unshift(h);
+
+    const padded = numberFormat(locale, { minimumIntegerDigits: 2, useGrouping: false });
+    const plain = numberFormat(locale, { useGrouping: false });
+    
+    return parts.map((n, index) => {
+        if (h > 0 && index > 0) return padded.format(n);
+        if (h === 0) return padded.format(n);
+        return plain.format(n);
+    }).join(':');
+};
+
+/**
+ * Converts a byte count into a short human-readable size (e.g., '734 KB' or '1.2 GB').
+ * @param {number} bytes - The size in bytes.
+ * @param {string} [locale] - BCP 47 locale; defaults to the browser's.
+ * @returns {string} The formatted size string, or '—' when unknown.
+ */
+export const formatBytes = (bytes, locale) => {
+    if (typeof bytes !== 'number' || isNaN(bytes) || bytes < 0) return '—';
+
+    const { value, unit } = scaleBytes(bytes);
+    return numberFormat(locale, {
+        style: 'unit',
+        unit: BYTE_UNITS[unit],
+        unitDisplay: 'short',
+        maximumFractionDigits: unit === 0 ? 0 : 1,
+    }).format(value);
+};
+
+/**
+ * Formats a transfer rate (e.g., '1.2 MB/s').
+ * @param {number} bytesPerSecond
+ * @param {string} [locale] - BCP 47 locale; defaults to the browser's.
+ * @returns {string} The formatted speed, or '—' when unknown.
+ */
+export const formatSpeed = (bytesPerSecond, locale) => {
+    if (typeof bytesPerSecond !== 'number' || isNaN(bytesPerSecond) || bytesPerSecond < 0) return '—';
+
+    const { value, unit } = scaleBytes(bytesPerSecond);
+    return numberFormat(locale, {
+        style: 'unit',
+        unit: `${BYTE_UNITS[unit]}-per-second`,
+        unitDisplay: 'short',
+        maximumFractionDigits: unit === 0 ? 0 : 1,
+    }).format(value);
+};
+
+/**
+ * Formats a stream bitrate (e.g., '128 kbps').
+ * @param {number} kbps - Kilobits per second.
+ * @param {string} [locale] - BCP 47 locale; defaults to the browser's.
+ * @returns {string} The formatted bitrate, or '—' when unknown.
+ */
+export const formatBitrate = (kbps, locale) => {
+    if (typeof kbps !== 'number' || isNaN(kbps) || kbps <= 0) return '—';
+    return numberFormat(locale, {
+        style: 'unit',
+        unit: 'kilobit-per-second',
+        unitDisplay: 'short',
+        maximumFractionDigits: 0,
+    }).format(kbps);
+};
+
+/**
+ * Formats a plain count with the grouping rules of `locale` (e.g., '12,34,567' in hi-IN).
+ * @param {number} value
+ * @param {string} [locale] - BCP 47 locale; defaults to the browser's.
+ * @returns {string}
+ */
+export const formatNumber = (value, locale) => (
+    typeof value === 'number' && !isNaN(value) ? numberFormat(locale).format(value) : '—'
+);
+
+const dateFormats = new Map();
+
+/**
+ * Formats a yt-dlp `upload_date` (YYYYMMDD) as a calendar date in `locale` (e.g., 'May 1, 2024').
+ * The date has no time zone, so it is formatted in UTC to keep the day from shifting.
+ * @param {string} uploadDate - YYYYMMDD.
+ * @param {string} [locale] - BCP 47 locale; defaults to the browser's.
+ * @returns {string} The formatted date, or '—' when unknown.
+ */
+export const formatUploadDate = (uploadDate, locale) => {
+    const match = /^(\d{4})(\d{2})(\d{2})$/.exec(String(uploadDate ?? ''));
+    if (!match) return '—';
+
+    const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    if (isNaN(date)) return '—';
+
+    const key = locale || '';
+    if (!dateFormats.has(key)) {
+        dateFormats.set(key, new Intl.DateTimeFormat(locale, { dateStyle: 'medium', timeZone: 'UTC' }));
+    }
+    return dateFormats.get(key).format(date);
+};
+
+/**
+ * Formats a 0-100 progress value as a whole percentage.
+ * @param {number} value - Progress from 0 to 100.
+ * @param {string} [locale] - BCP 47 locale; defaults to the browser's.
+ * @returns {string}
+ */
+export const formatPercent = (value, locale) => (
+    numberFormat(locale, { style: 'percent', maximumFractionDigits: 0 }).format((Number(value) || 0) / 100)
+);
+
+const SIZE_MULTIPLIERS = { B: 1, K: 1024, M: 1024 ** 2, G: 1024 ** 3, T: 1024 ** 4 };
+
+/**
+ * Parses the size labels the backend passes through from yt-dlp ('48.2MiB', '~3.4MiB',
+ * '32.00KiB/s') into bytes (or bytes per second).
+ * @param {string} label
+ * @returns {number | null} The byte count, or null when the label is not a size.
+ */
+export const parseSize = (label) => {
+    const match = /^~?\s*([\d.]+)\s*([KMGT]?)i?B(?:\/s)?$/i.exec(String(label ?? '').trim());
+    if (!match) return null;
+    return parseFloat(match[1]) * SIZE_MULTIPLIERS[match[2].toUpperCase() || 'B'];
+};
+
+/**
+ * Formats a timestamp for editing, always including minutes (e.g., '0:00', '12:05' or '1:02:03').
+ * Unlike formatDuration, zero is a valid position.
+ * @param {number} seconds - The position in seconds.
+ * @returns {string} The formatted timestamp.
+ */
+export const formatTimestamp = (seconds) => {
+    const total = Math.max(0, Math.floor(Number(seconds) || 0));
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = total % 60;
+
+    const pad = (n) => n.toString().padStart(2, '0');
+    return h > 0 ? `${h}:${pad(m)}:${pad(s)}` : `${m}:${pad(s)}`;
+};
+
+/**
+ * Parses a 'hh:mm:ss', 'mm:ss' or plain seconds string. Seconds may carry a fraction.
+ * @param {string} value - The timestamp typed by the user.
+ * @returns {number | null} The position in seconds, or null when the input is malformed.
+ */
+export const parseTimestamp = (value) => {
+    const parts = String(value).trim().split(':');
+    if (parts.length > 3 || parts.some(part => !/^\d+(\.\d+)?$/.test(part))) return null;
+
+    const numbers = parts.map(Number);
+    // Only the leading unit may exceed 59 (e.g. '90' or '75:00')
+    if (numbers.slice(1).some(n => n >= 60)) return null;
+
+    return numbers.reduce((total, n) => total * 60 + n, 0);
+};
@@ -0,0 +1,76 @@
+import { describe, expect, it } from 'vitest';
+import { formatBytes, formatDuration, formatUploadDate, parseSize } from './format';
+
+describe('formatDuration', () => {
+  it.each([
+    [1, '00:01'],
+    [59.9, '00:59'],
+    [60, '01:00'],
+    [212, '03:32'],
+    [3599, '59:59'],
+    [3600, '1:00:00'],
+    [3725, '1:02:05'],
+    [36000, '10:00:00'],
+    [360000, '100:00:00'],
+  ])('formats %j seconds as %j', (seconds, expected) => {
+    expect(formatDuration(seconds, 'en')).toBe(expected);
+  });
+
+  it.each([
+    [0],
+    [-5],
+    [NaN],
+    [Infinity],
+    [null],
+    [undefined],
+    ['212'],
+  ])('treats %j as unknown', (seconds) => {
+    expect(formatDuration(seconds, 'en')).toBe('—');
+  });
+
+  it('uses the digits of the locale', () => {
+    expect(formatDuration(75, 'en-u-nu-deva')).toBe('०१:१५');
+  });
+});
+
+describe('formatBytes', () => {
+  it.each([
+    [0, '0 byte'],
+    [1023, '1,023 byte'],
+    [1536, '1.5 kB'],
+    [48.2 * 1024 ** 2, '48.2 MB'],
+  ])('formats %j bytes as %j', (bytes, expected) => {
+    expect(formatBytes(bytes, 'en')).toBe(expected);
+  });
+
+  it('treats missing sizes as unknown', () => {
+    expect(formatBytes(undefined, 'en')).toBe('—');
+    expect(formatBytes(-1, 'en')).toBe('—');
+  });
+});
+
+describe('parseSize', () => {
+  it.each([
+    ['48.2MiB', 48.2 * 1024 ** 2],
+    ['~3.4MiB', 3.4 * 1024 ** 2],
+    ['32.00KiB/s', 32 * 1024],
+    ['512B', 512],
+    ['1.5GiB', 1.5 * 1024 ** 3],
+    ['Unknown', null],
+    ['', null],
+    [undefined, null],
+  ])('parses %j', (label, expected) => {
+    expect(parseSize(label)).toBe(expected);
+  });
+});
+
+describe('formatUploadDate', () => {
+  it('formats YYYYMMDD without shifting the day', () => {
+    expect(formatUploadDate('20240501', 'en')).toBe('May 1, 2024');
+    expect(formatUploadDate('20091231', 'en')).toBe('Dec 31, 2009');
+  });
+
+  it.each([[undefined], [''], ['2024-05-01'], ['2024050']])('treats %j as unknown', (value) => {
+    expect(formatUploadDate(value, 'en')).toBe('—');
+  });
+});
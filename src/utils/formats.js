@@ -0,0 +1,207 @@
+import { parseSize } from './format';
+
+/**
+ * Helpers for reading and ordering the `formats` list returned by `/video-info`.
+ * Backend formats follow yt-dlp naming (vcodec, acodec, tbr, vbr, abr, dynamic_range),
+ * but older responses only carry resolution/quality/filesize/ext, so every helper
+ * tolerates missing fields.
+ */
+
+const hasCodec = (codec) => Boolean(codec) && codec !== 'none';
+
+/**
+ * @param {object} format
+ * @returns {boolean} Whether the format carries a video stream.
+ */
+export const hasVideo = (format) => {
+  if (format.vcodec !== undefined) return hasCodec(format.vcodec);
+  return Boolean(format.resolution) && format.quality !== 'audio only';
+};
+
+/**
+ * @param {object} format
+ * @returns {boolean} Whether the format carries an audio stream. Formats without
+ *   codec details are assumed to be muxed, as the backend used to return only those.
+ */
+export const hasAudio = (format) => {
+  if (format.acodec !== undefined) return hasCodec(format.acodec);
+  return true;
+};
+
+/**
+ * @param {object} format
+ * @returns {'muxed' | 'video' | 'audio'} Muxed formats contain both streams.
+ */
+export const formatKind = (format) => {
+  if (!hasVideo(format)) return 'audio';
+  return hasAudio(format) ? 'muxed' : 'video';
+};
+
+/**
+ * Vertical resolution in pixels, from `height`, '1080p' or '1920x1080'.
+ * @param {object} format
+ * @returns {number} 0 when unknown.
+ */
+export const resolutionHeight = (format) => {
+  if (format.height) return format.height;
+  const match = /(?:\d+x)?(\d+)p?/.exec(format.resolution || '');
+  return match ? parseInt(match[1], 10) : 0;
+};
+
+/**
+ * Total bitrate in kbps.
+ * @param {object} format
+ * @returns {number} 0 when unknown.
+ */
+export const bitrate = (format) => format.tbr || (format.vbr || 0) + (format.abr || 0);
+
+/**
+ * Size of a format in bytes. yt-dlp reports `filesize` (older backends send a label
+ * such as '48.2MiB', '~3.4MiB' or 'Unknown') or `filesize_approx`; when neither is
+ * known the size is estimated from the bitrate over the whole video.
+ * @param {object} format
+ * @param {number} [duration] - Video length in seconds.
+ * @returns {{ bytes: number | null, estimated: boolean }} `bytes` is null when there is nothing to go on.
+ */
+export const formatSize = (format, duration = 0) => {
+  const reported = typeof format.filesize === 'number' ? format.filesize : parseSize(format.filesize);
+  if (reported > 0) return { bytes: reported, estimated: /^\s*~/.test(String(format.filesize)) };
+  if (format.filesize_approx > 0) return { bytes: format.filesize_approx, estimated: true };
+
+  const kbps = bitrate(format);
+  if (kbps > 0 && duration > 0) return { bytes: Math.round((kbps * 1000 / 8) * duration), estimated: true };
+  return { bytes: null, estimated: false };
+};
+
+/**
+ * Size of what a download produces: the format plus, for a merge, the audio stream
+ * muxed into it. Unknown when either part is.
+ * @param {object} format
+ * @param {object | null} audio - Audio stream merged into a video-only `format`.
+ * @param {number} [duration] - Video length in seconds.
+ * @returns {{ bytes: number | null, estimated: boolean }}
+ */
+export const downloadSize = (format, audio, duration = 0) => {
+  const parts = [format, audio].filter(Boolean).map(part => formatSize(part, duration));
+  if (parts.some(part => part.bytes == null)) return { bytes: null, estimated: false };
+  return {
+    bytes: parts.reduce((sum, part) => sum + part.bytes, 0),
+    estimated: parts.some(part => part.estimated),
+  };
+};
+
+/**
+ * @param {object} format
+ * @returns {boolean} Whether the video is HDR (anything other than SDR).
+ */
+export const isHdr = (format) => Boolean(format.dynamic_range) && format.dynamic_range !== 'SDR';
+
+const CODEC_NAMES = [
+  [/^(avc|h264)/i, 'H.264'],
+  [/^(hev|hvc|h265)/i, 'H.265'],
+  [/^vp0?9/i, 'VP9'],
+  [/^vp0?8/i, 'VP8'],
+  [/^av01/i, 'AV1'],
+  [/^mp4a/i, 'AAC'],
+  [/^opus/i, 'Opus'],
+  [/^vorbis/i, 'Vorbis'],
+  [/^mp3/i, 'MP3'],
+];
+
+/**
+ * Short display name for a codec string, e.g. 'avc1.640028' -> 'H.264'.
+ * @param {string | undefined} codec
+ * @returns {string}
+ */
+export const codecName = (codec) => {
+  if (!hasCodec(codec)) return '—';
+  const match = CODEC_NAMES.find(([pattern]) => pattern.test(codec));
+  return match ? match[1] : codec.split('.')[0];
+};
+
+const SORT_VALUES = {
+  resolution: resolutionHeight,
+  fps: (format) => format.fps || 0,
+  vcodec: (format) => codecName(format.vcodec),
+  acodec: (format) => codecName(format.acodec),
+  bitrate,
+  ext: (format) => format.ext || '',
+  hdr: (format) => (isHdr(format) ? 1 : 0),
+};
+
+/**
+ * Returns a sorted copy of `formats`. Ties fall back to resolution, then bitrate,
+ * so equal rows still come out best-first.
+ * @param {object[]} formats
+ * @param {keyof SORT_VALUES} key
+ * @param {'asc' | 'desc'} [direction]
+ * @returns {object[]}
+ */
+export const sortFormats = (formats, key, direction = 'desc') => {
+  const value = SORT_VALUES[key] || resolutionHeight;
+  const sign = direction === 'asc' ? 1 : -1;
+  const compare = (a, b) => {
+    const va = value(a);
+    const vb = value(b);
+    if (typeof va === 'string') return va.localeCompare(vb);
+    return va - vb;
+  };
+
+  return [...formats].sort((a, b) => (
+    sign * compare(a, b)
+      || resolutionHeight(b) - resolutionHeight(a)
+      || bitrate(b) - bitrate(a)
+  ));
+};
+
+/**
+ * @param {object[]} formats
+ * @param {{ kind?: 'all' | 'muxed' | 'video' | 'audio', ext?: string, vcodec?: string, fps?: number, minBitrate?: number, hdrOnly?: boolean }} filters
+ *   `ext`, `vcodec` and `fps` match exactly; `minBitrate` is in kbps and leaves out
+ *   formats of unknown bitrate. Empty values and 0 match everything.
+ * @returns {object[]}
+ */
+export const filterFormats = (formats, { kind = 'all', ext = '', vcodec = '', fps = 0, minBitrate = 0, hdrOnly = false } = {}) => (
+  formats.filter(format => (
+    (kind === 'all' || formatKind(format) === kind)
+      && (!ext || format.ext === ext)
+      && (!vcodec || codecName(format.vcodec) === vcodec)
+      && (!fps || format.fps === fps)
+      && (!minBitrate || bitrate(format) >= minBitrate)
+      && (!hdrOnly || isHdr(format))
+  ))
+);
+
+/**
+ * Picks the audio-only stream to merge with a video-only one: highest bitrate,
+ * preferring a container that matches the video.
+ * @param {object[]} formats
+ * @param {string} [videoExt]
+ * @returns {object | null}
+ */
+export const bestAudioFormat = (formats, videoExt) => {
+  const audio = formats.filter(format => formatKind(format) === 'audio');
+  if (audio.length === 0) return null;
+  const preferredExt = videoExt === 'webm' ? 'webm' : 'm4a';
+  const compatible = audio.filter(format => format.ext === preferredExt);
+  return sortFormats(compatible.length ? compatible : audio, 'bitrate')[0];
+};
+
+/**
+ * Picks the video format closest to the user's defaults: the tallest one not above
+ * `resolution` ('best' means no limit), in `container` when that container has any
+ * video at all. Falls back to the smallest format when every one is above the limit.
+ * @param {object[]} formats
+ * @param {{ resolution?: string, container?: string }} preference
+ *   `resolution` is 'best' or a height such as '1080'; `container` is 'any' or an ext.
+ * @returns {object | null}
+ */
+export const bestMatchFormat = (formats, { resolution = 'best', container = 'any' } = {}) => {
+  const video = formats.filter(format => formatKind(format) !== 'audio');
+  const inContainer = container === 'any' ? [] : video.filter(format => format.ext === container);
+  const candidates = sortFormats(inContainer.length ? inContainer : video, 'resolution');
+  if (candidates.length === 0) return null;
+
+  const limit = resolution === 'best' ? Infinity : Number(resolution);
+  return candidates.find(format => resolutionHeight(format) <= limit) || candidates[candidates.length - 1];
+};
@@ -0,0 +1,175 @@
+import { describe, expect, it } from 'vitest';
+import {
+  bestAudioFormat,
+  bestMatchFormat,
+  bitrate,
+  codecName,
+  downloadSize,
+  filterFormats,
+  formatKind,
+  formatSize,
+  resolutionHeight,
+  sortFormats,
+} from './formats';
+
+const FORMATS = [
+  { format_id: '18', resolution: '640x360', fps: 30, ext: 'mp4', vcodec: 'avc1.42001E', acodec: 'mp4a.40.2', tbr: 600 },
+  { format_id: '137', resolution: '1920x1080', fps: 30, ext: 'mp4', vcodec: 'avc1.640028', acodec: 'none', vbr: 4000 },
+  { format_id: '248', resolution: '1920x1080', fps: 30, ext: 'webm', vcodec: 'vp9', acodec: 'none', vbr: 2600 },
+  { format_id: '337', resolution: '3840x2160', fps: 60, ext: 'webm', vcodec: 'vp09.02.51.10', acodec: 'none', vbr: 24000, dynamic_range: 'HDR10' },
+  { format_id: '399', resolution: '1920x1080', fps: 60, ext: 'mp4', vcodec: 'av01.0.09M.08', acodec: 'none', vbr: 2200 },
+  { format_id: '140', resolution: null, quality: 'audio only', ext: 'm4a', vcodec: 'none', acodec: 'mp4a.40.2', abr: 129 },
+  { format_id: '251', resolution: null, quality: 'audio only', ext: 'webm', vcodec: 'none', acodec: 'opus', abr: 140 },
+];
+
+const ids = (formats) => formats.map(format => format.format_id);
+
+describe('format helpers', () => {
+  it('classifies formats by the streams they carry', () => {
+    expect(FORMATS.map(formatKind)).toEqual(['muxed', 'video', 'video', 'video', 'video', 'audio', 'audio']);
+  });
+
+  it('treats formats without codec details as muxed', () => {
+    expect(formatKind({ resolution: '720p', quality: '720p' })).toBe('muxed');
+    expect(formatKind({ resolution: null, quality: 'audio only' })).toBe('audio');
+  });
+
+  it.each([
+    [{ height: 480, resolution: '1080p' }, 480],
+    [{ resolution: '1280x720' }, 720],
+    [{ resolution: '1080p' }, 1080],
+    [{ resolution: null }, 0],
+  ])('reads the height of %j', (format, expected) => {
+    expect(resolutionHeight(format)).toBe(expected);
+  });
+
+  it('adds video and audio bitrates when there is no total', () => {
+    expect(bitrate({ tbr: 900, vbr: 1, abr: 1 })).toBe(900);
+    expect(bitrate({ vbr: 800, abr: 128 })).toBe(928);
+    expect(bitrate({})).toBe(0);
+  });
+
+  it.each([
+    ['avc1.640028', 'H.264'],
+    ['vp09.02.51.10', 'VP9'],
+    ['av01.0.09M.08', 'AV1'],
+    ['mp4a.40.2', 'AAC'],
+    ['none', '—'],
+    [undefined, '—'],
+    ['theora', 'theora'],
+  ])('names codec %j', (codec, expected) => {
+    expect(codecName(codec)).toBe(expected);
+  });
+});
+
+describe('sortFormats', () => {
+  it('sorts by resolution, best first, without touching the input', () => {
+    const input = [...FORMATS];
+    expect(ids(sortFormats(input, 'resolution')).slice(0, 5)).toEqual(['337', '137', '248', '399', '18']);
+    expect(input).toEqual(FORMATS);
+  });
+
+  it('breaks ties on bitrate', () => {
+    const sorted = sortFormats(FORMATS.filter(format => resolutionHeight(format) === 1080), 'resolution');
+    expect(ids(sorted)).toEqual(['137', '248', '399']);
+  });
+
+  it('sorts ascending on request', () => {
+    expect(ids(sortFormats(FORMATS, 'fps', 'asc')).slice(-2)).toEqual(['337', '399']);
+  });
+
+  it('compares text columns alphabetically', () => {
+    expect(ids(sortFormats(FORMATS, 'ext', 'asc')).slice(0, 1)).toEqual(['140']);
+    expect(sortFormats(FORMATS, 'vcodec', 'asc').map(format => codecName(format.vcodec)).slice(2)).toEqual(['AV1', 'H.264', 'H.264', 'VP9', 'VP9']);
+  });
+
+  it('falls back to resolution for unknown keys', () => {
+    expect(ids(sortFormats(FORMATS, 'nope'))).toEqual(ids(sortFormats(FORMATS, 'resolution')));
+  });
+});
+
+describe('filterFormats', () => {
+  it('returns everything without filters', () => {
+    expect(filterFormats(FORMATS)).toHaveLength(FORMATS.length);
+  });
+
+  it('filters by kind, container, codec and HDR together', () => {
+    expect(ids(filterFormats(FORMATS, { kind: 'muxed' }))).toEqual(['18']);
+    expect(ids(filterFormats(FORMATS, { kind: 'video', ext: 'webm' }))).toEqual(['248', '337']);
+    expect(ids(filterFormats(FORMATS, { vcodec: 'VP9', hdrOnly: true }))).toEqual(['337']);
+    expect(filterFormats(FORMATS, { kind: 'muxed', hdrOnly: true })).toEqual([]);
+  });
+
+  it('filters by frame rate and minimum bitrate', () => {
+    expect(ids(filterFormats(FORMATS, { kind: 'video', fps: 60 }))).toEqual(['337', '399']);
+    expect(ids(filterFormats(FORMATS, { kind: 'video', minBitrate: 2500 }))).toEqual(['137', '248', '337']);
+    expect(ids(filterFormats(FORMATS, { fps: 60, minBitrate: 2500 }))).toEqual(['337']);
+  });
+
+  it('leaves out formats of unknown bitrate once a minimum is set', () => {
+    const unknown = { format_id: '22', resolution: '1280x720', fps: 30, ext: 'mp4' };
+    expect(filterFormats([unknown], { minBitrate: 500 })).toEqual([]);
+    expect(filterFormats([unknown], { minBitrate: 0 })).toEqual([unknown]);
+  });
+});
+
+describe('bestAudioFormat', () => {
+  it('prefers a container that matches the video', () => {
+    expect(bestAudioFormat(FORMATS, 'mp4').format_id).toBe('140');
+    expect(bestAudioFormat(FORMATS, 'webm').format_id).toBe('251');
+  });
+
+  it('falls back to the highest bitrate in any container', () => {
+    const webmOnly = FORMATS.filter(format => format.ext !== 'm4a');
+    expect(bestAudioFormat(webmOnly, 'mp4').format_id).toBe('251');
+  });
+
+  it('returns null when there is no audio-only stream', () => {
+    expect(bestAudioFormat(FORMATS.slice(0, 5), 'mp4')).toBeNull();
+  });
+});
+
+describe('bestMatchFormat', () => {
+  it.each([
+    [{}, '337'],
+    [{ resolution: '1080' }, '137'],
+    [{ resolution: '1080', container: 'webm' }, '248'],
+    [{ resolution: 'best', container: 'mp4' }, '137'],
+    [{ resolution: '720', container: 'mp4' }, '18'],
+    [{ resolution: '240' }, '18'],
+    [{ resolution: '1080', container: 'mkv' }, '137'],
+  ])('picks for %j', (preference, expected) => {
+    expect(bestMatchFormat(FORMATS, preference).format_id).toBe(expected);
+  });
+
+  it('returns null when there is no video', () => {
+    expect(bestMatchFormat(FORMATS.slice(5))).toBeNull();
+  });
+});
+
+describe('formatSize', () => {
+  it('reads sizes in bytes or as yt-dlp labels', () => {
+    expect(formatSize({ filesize: 5000 })).toEqual({ bytes: 5000, estimated: false });
+    expect(formatSize({ filesize: '2MiB' })).toEqual({ bytes: 2 * 1024 ** 2, estimated: false });
+    expect(formatSize({ filesize: '~2MiB' })).toEqual({ bytes: 2 * 1024 ** 2, estimated: true });
+    expect(formatSize({ filesize: null, filesize_approx: 7000 })).toEqual({ bytes: 7000, estimated: true });
+  });
+
+  it('estimates missing sizes from the bitrate and duration', () => {
+    // 4000 kbps for 100 s is 50 MB
+    expect(formatSize({ filesize: 'Unknown', vbr: 4000 }, 100)).toEqual({ bytes: 50000000, estimated: true });
+    expect(formatSize({ filesize: 'Unknown', vbr: 4000 })).toEqual({ bytes: null, estimated: false });
+  });
+});
+
+describe('downloadSize', () => {
+  it('adds the merged audio stream', () => {
+    expect(downloadSize({ filesize: 1000 }, { filesize: 200 })).toEqual({ bytes: 1200, estimated: false });
+    expect(downloadSize({ filesize: 1000 }, { abr: 128 }, 10)).toEqual({ bytes: 161000, estimated: true });
+    expect(downloadSize({ filesize: 1000 }, null)).toEqual({ bytes: 1000, estimated: false });
+  });
+
+  it('is unknown when either part is', () => {
+    expect(downloadSize({ filesize: 1000 }, { filesize: 'Unknown' })).toEqual({ bytes: null, estimated: false });
+  });
+});
@@ -0,0 +1,26 @@
+const CSV_COLUMNS = ['timestamp', 'title', 'author', 'url', 'format_id', 'quality', 'ext', 'is_audio', 'filename', 'size', 'thumbnail'];
+
+const csvCell = (value) => {
+  if (value == null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serializes history entries as pretty-printed JSON.
+ * @param {Array<object>} entries
+ * @returns {string}
+ */
+export const historyToJSON = (entries) => JSON.stringify(entries, null, 2);
+
+/**
+ * Serializes history entries as CSV with a header row; timestamps become ISO dates.
+ * @param {Array<object>} entries
+ * @returns {string}
+ */
+export const historyToCSV = (entries) => {
+  const rows = entries.map(entry => CSV_COLUMNS.map(column => (
+    csvCell(column === 'timestamp' ? new Date(entry.timestamp).toISOString() : entry[column])
+  )).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n');
+};
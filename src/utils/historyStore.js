@@ -0,0 +1,87 @@
+const DB_NAME = 'ultradownloader';
+const DB_VERSION = 1;
+const STORE = 'history';
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('timestamp', 'timestamp');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+// Runs one request inside its own transaction and resolves with its result
+const run = async (mode, operation) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE, mode);
+    const request = operation(transaction.objectStore(STORE));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    // An abort without a failed request (quota, a closing database) reports no error of its own
+    transaction.onabort = () => reject(transaction.error || new DOMException('Transaction aborted', 'AbortError'));
+  });
+};
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {number} [id] - Assigned by IndexedDB.
+ * @property {string} url
+ * @property {string} title
+ * @property {string} author
+ * @property {string} thumbnail
+ * @property {string | null} format_id
+ * @property {string | null} [quality] - Resolution preset of playlist downloads, e.g. '720' or 'best'.
+ * @property {string | null} [audio_format_id]
+ * @property {object | null} [audio_options] - Audio extraction settings, for re-downloads.
+ * @property {{ start: number, end: number } | null} [trim] - Clip range in seconds.
+ * @property {object | null} [subtitles] - Embedded soft-subtitle settings.
+ * @property {string} ext
+ * @property {boolean} is_audio
+ * @property {string} filename
+ * @property {number | string | null} size - Bytes when known, otherwise the server's size label.
+ * @property {number} timestamp - Completion time in ms since the epoch.
+ */
+
+/**
+ * Stores a finished download.
+ * @param {HistoryEntry} entry
+ * @returns {Promise<HistoryEntry>} The entry with its assigned id.
+ */
+export const addHistoryEntry = async (entry) => {
+  const id = await run('readwrite', store => store.add(entry));
+  return { ...entry, id };
+};
+
+/**
+ * Loads every recorded download, newest first.
+ * @returns {Promise<HistoryEntry[]>}
+ */
+export const getHistory = async () => {
+  const entries = await run('readonly', store => store.index('timestamp').getAll());
+  return entries.reverse();
+};
+
+/**
+ * @param {number} id
+ * @returns {Promise<void>}
+ */
+export const deleteHistoryEntry = (id) => run('readwrite', store => store.delete(id));
+
+/**
+ * @returns {Promise<void>}
+ */
+export const clearHistory = () => run('readwrite', store => store.clear());
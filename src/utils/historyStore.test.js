@@ -0,0 +1,22 @@
+import { describe, expect, it, vi } from 'vitest';
+import { addHistoryEntry, getHistory } from './historyStore';
+
+const entry = { url: 'https://youtu.be/x', title: 'Clip', timestamp: 1 };
+
+describe('historyStore', () => {
+  it('rejects when the transaction is aborted without a request error', async () => {
+    vi.spyOn(IDBObjectStore.prototype, 'add').mockImplementation(function add() {
+      this.transaction.abort();
+      return {};
+    });
+
+    await expect(addHistoryEntry(entry)).rejects.toMatchObject({ name: 'AbortError' });
+  });
+
+  it('stores entries and reads them back newest first', async () => {
+    await addHistoryEntry(entry);
+    await addHistoryEntry({ ...entry, title: 'Later', timestamp: 2 });
+
+    expect((await getHistory()).map(item => item.title)).toEqual(['Later', 'Clip']);
+  });
+});
@@ -0,0 +1,72 @@
+import en from '../locales/en';
+import hi from '../locales/hi';
+import gu from '../locales/gu';
+
+/**
+ * Message catalogs are nested objects of strings. `{name}` placeholders are filled
+ * from the params passed to `t`; numeric params are formatted for the active locale.
+ * A message can also be an object of CLDR plural forms (`{ one, other }`), chosen
+ * with the `count` param.
+ */
+
+export const DEFAULT_LANGUAGE = 'en';
+
+/**
+ * Supported UI languages. `locale` drives every Intl formatter; `dir` is applied to
+ * the document so right-to-left catalogs lay out correctly.
+ */
+export const LANGUAGES = [
+  { code: 'en', label: 'English', locale: 'en', dir: 'ltr' },
+  { code: 'hi', label: 'हिन्दी', locale: 'hi-IN', dir: 'ltr' },
+  { code: 'gu', label: 'ગુજરાતી', locale: 'gu-IN', dir: 'ltr' },
+];
+
+const CATALOGS = { en, hi, gu };
+
+/**
+ * @param {string} code
+ * @returns {{ code: string, label: string, locale: string, dir: 'ltr' | 'rtl' }}
+ */
+export const getLanguage = (code) => LANGUAGES.find(language => language.code === code) || LANGUAGES[0];
+
+/**
+ * The first supported language in the browser's preference list.
+ * @returns {string}
+ */
+export const detectLanguage = () => {
+  const preferred = navigator.languages?.length ? navigator.languages : [navigator.language];
+  const match = preferred
+    .map(tag => String(tag || '').toLowerCase().split('-')[0])
+    .find(code => CATALOGS[code]);
+  return match || DEFAULT_LANGUAGE;
+};
+
+const lookup = (messages, key) => key.split('.').reduce((node, part) => node?.[part], messages);
+
+/**
+ * Builds the `t(key, params)` function for a language. Keys missing from the catalog
+ * fall back to English, then to the key itself.
+ * @param {string} code - One of `LANGUAGES`.
+ * @returns {(key: string, params?: Object<string, string | number>) => string}
+ */
+export const createTranslator = (code) => {
+  const { locale } = getLanguage(code);
+  const messages = CATALOGS[code] || CATALOGS[DEFAULT_LANGUAGE];
+  const plurals = new Intl.PluralRules(locale);
+  const numbers = new Intl.NumberFormat(locale);
+
+  return (key, params = {}) => {
+    let message = lookup(messages, key) ?? lookup(CATALOGS[DEFAULT_LANGUAGE], key);
+
+    if (message && typeof message === 'object' && typeof params.count === 'number') {
+      message = message[plurals.select(params.count)] ?? message.other;
+    }
+    if (typeof message !== 'string') return key;
+
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+      const value = params[name];
+      if (value == null) return placeholder;
+      return typeof value === 'number' ? numbers.format(value) : String(value);
+    });
+  };
+};
@@ -0,0 +1,194 @@
+import { AxiosError, CanceledError } from "axios";
+
+/**
+ * In-memory stand-in for the downloader backend, enabled with `VITE_API_MOCK=true`.
+ * Lets the UI be developed and tested without a server: video info is canned,
+ * sessions advance on a timer and the "file" is a small generated payload.
+ */
+
+const MOCK_DOWNLOAD_MS = 8000;
+const MOCK_FILE_BYTES = 256 * 1024;
+const LATENCY_MS = 150;
+
+const sessions = new Map();
+let nextSession = 1;
+
+const mockVideo = (url) => ({
+    title: 'Mock Video: Building a Downloader',
+    author: 'Mock Channel',
+    thumbnail: 'https://i.ytimg.com/vi/dQw4w9WgXcQ/hqdefault.jpg',
+    duration_seconds: 212,
+    view_count: 1234567,
+    like_count: 45678,
+    upload_date: '20240501',
+    channel_url: 'https://www.youtube.com/@MockChannel',
+    webpage_url: url,
+    description: [
+        'A walk through building a video downloader from scratch.',
+        '',
+        'Source code: https://github.com/example/downloader',
+        '',
+        '0:00 Intro',
+        '0:45 Fetching video info',
+        '2:10 Streaming the file',
+    ].join('\n'),
+    tags: ['downloader', 'react', 'yt-dlp'],
+    categories: ['Science & Technology'],
+    chapters: [
+        { title: 'Intro', start_time: 0, end_time: 45 },
+        { title: 'Fetching video info', start_time: 45, end_time: 130 },
+        { title: 'Streaming the file', start_time: 130, end_time: 212 },
+    ],
+    thumbnails: [
+        { url: 'https://i.ytimg.com/vi/dQw4w9WgXcQ/mqdefault.jpg', width: 320, height: 180 },
+        { url: 'https://i.ytimg.com/vi/dQw4w9WgXcQ/hqdefault.jpg', width: 480, height: 360 },
+        { url: 'https://i.ytimg.com/vi/dQw4w9WgXcQ/maxresdefault.jpg', width: 1280, height: 720 },
+    ],
+    subtitles: {
+        en: [{ ext: 'vtt', name: 'English' }],
+        hi: [{ ext: 'vtt', name: 'Hindi' }],
+    },
+    automatic_captions: {
+        en: [{ ext: 'vtt', name: 'English (auto-generated)' }],
+        gu: [{ ext: 'vtt', name: 'Gujarati (auto-generated)' }],
+    },
+    formats: [
+        { format_id: '137', resolution: '1080p', fps: 30, quality: '1080p', filesize: '48.2MiB', ext: 'mp4', vcodec: 'avc1.640028', acodec: 'none', tbr: 1800 },
+        { format_id: '22', resolution: '720p', fps: 30, quality: '720p', filesize: '21.7MiB', ext: 'mp4', vcodec: 'avc1.64001F', acodec: 'mp4a.40.2', tbr: 820 },
+        { format_id: '18', resolution: '360p', fps: 30, quality: '360p', filesize: 'Unknown', ext: 'mp4', vcodec: 'avc1.42001E', acodec: 'mp4a.40.2', tbr: 400 },
+        { format_id: '140', resolution: null, quality: 'audio only', filesize: '3.4MiB', ext: 'm4a', vcodec: 'none', acodec: 'mp4a.40.2', abr: 129 },
+    ],
+});
+
+const mockPlaylist = (url) => ({
+    id: 'PLmock',
+    title: 'Mock Playlist',
+    author: 'Mock Channel',
+    webpage_url: url,
+    entries: Array.from({ length: 5 }, (_, i) => ({
+        id: `mock${i + 1}`,
+        url: `https://www.youtube.com/watch?v=mock${i + 1}`,
+        title: `Mock Playlist Entry ${i + 1}`,
+        thumbnail: 'https://i.ytimg.com/vi/dQw4w9WgXcQ/mqdefault.jpg',
+        duration_seconds: 60 * (i + 2) + 7,
+    })),
+});
+
+const mockSubtitles = (lang, auto) => [
+    'WEBVTT',
+    '',
+    ...Array.from({ length: 12 }, (_, i) => [
+        `00:00:${String(i * 3).padStart(2, '0')}.000 --> 00:00:${String(i * 3 + 3).padStart(2, '0')}.000`,
+        `[${lang}${auto ? ', auto' : ''}] Mock caption line ${i + 1}`,
+        '',
+    ]).flat(),
+].join('\n');
+
+const sessionProgress = (session) => Math.min(((Date.now() - session.startedAt) / MOCK_DOWNLOAD_MS) * 100, 100);
+
+const progressPayload = (session) => {
+    const progress = sessionProgress(session);
+    const totalMiB = MOCK_FILE_BYTES / (1024 * 1024);
+    return {
+        progress,
+        status: progress >= 100 ? 'Finished' : 'Downloading',
+        downloaded: `${((totalMiB * progress) / 100).toFixed(2)}MiB`,
+        total: `${totalMiB.toFixed(2)}MiB`,
+        speed: progress >= 100 ? 'N/A' : '32.00KiB/s',
+        eta: progress >= 100 ? '00:00' : `00:${String(Math.ceil(((100 - progress) / 100) * (MOCK_DOWNLOAD_MS / 1000))).padStart(2, '0')}`,
+        error: null,
+    };
+};
+
+const mockFile = (session) => {
+    const bytes = new Uint8Array(MOCK_FILE_BYTES);
+    return new Blob([bytes], { type: session.isAudio ? 'audio/mpeg' : 'video/mp4' });
+};
+
+const respond = (config, status, data, headers = {}) => {
+    const response = { data, status, statusText: status < 300 ? 'OK' : 'Error', headers, config, request: {} };
+    if (status >= 400) {
+        return Promise.reject(new AxiosError(`Request failed with status code ${status}`, AxiosError.ERR_BAD_RESPONSE, config, {}, response));
+    }
+    return Promise.resolve(response);
+};
+
+const route = (config) => {
+    const path = config.url.replace(/^https?:\/\/[^/]+/, '').replace(/^\/api/, '');
+    const method = (config.method || 'get').toLowerCase();
+    const body = typeof config.data === 'string' ? JSON.parse(config.data) : config.data || {};
+    const [, resource, id] = path.split('/');
+    const session = id ? sessions.get(id) : null;
+
+    if (method === 'get' && resource === 'health') {
+        return respond(config, 200, { status: 'ok' });
+    }
+
+    if (method === 'post' && resource === 'video-info') {
+        if (!body.url) return respond(config, 400, { error: 'URL is required' });
+        return respond(config, 200, body.url.includes('list=') ? mockPlaylist(body.url) : mockVideo(body.url));
+    }
+
+    if (method === 'post' && resource === 'subtitles') {
+        return respond(config, 200, mockSubtitles(body.lang, body.auto), { 'content-type': 'text/vtt' });
+    }
+
+    if (method === 'post' && resource === 'start-download') {
+        const sessionId = `mock-${nextSession++}`;
+        sessions.set(sessionId, { startedAt: Date.now(), isAudio: Boolean(body.is_audio), payload: body });
+        return respond(config, 200, { session_id: sessionId });
+    }
+
+    if (!session) return respond(config, 404, { error: 'Session not found' });
+
+    if (method === 'get' && resource === 'progress') {
+        return respond(config, 200, progressPayload(session));
+    }
+
+    if (method === 'get' && resource === 'file') {
+        if (sessionProgress(session) < 100) return respond(config, 409, { error: 'File is not ready yet' });
+        const blob = mockFile(session);
+        const filename = session.payload.filename || `mock-download.${session.isAudio ? 'mp3' : 'mp4'}`;
+        // ASCII fallback plus the RFC 5987 form, as the real backend sends for non-ASCII names
+        const asciiName = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+        const headers = {
+            'content-type': blob.type,
+            'content-disposition': `attachment; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(filename)}`,
+        };
+
+        // Honour open-ended ranges (`bytes=N-`) the way the real backend does for resumed transfers
+        const range = /^bytes=(\d+)-$/.exec(config.headers?.Range || '');
+        const start = range ? Number(range[1]) : 0;
+        if (start >= blob.size) return respond(config, 416, { error: 'Range not satisfiable' });
+
+        const part = start > 0 ? blob.slice(start) : blob;
+        headers['content-length'] = String(part.size);
+        if (start > 0) headers['content-range'] = `bytes ${start}-${blob.size - 1}/${blob.size}`;
+        return respond(config, start > 0 ? 206 : 200, config.responseType === 'stream' ? part.stream() : part, headers);
+    }
+
+    if (method === 'post' && resource === 'cancel') {
+        sessions.delete(id);
+        return respond(config, 200, { cancelled: true });
+    }
+
+    return respond(config, 404, { error: 'Not found' });
+};
+
+/**
+ * Axios adapter that answers every request from the in-memory mock backend.
+ * @param {import('axios').InternalAxiosRequestConfig} config
+ */
+export const mockAdapter = (config) => new Promise((resolve, reject) => {
+    if (config.signal?.aborted) {
+        reject(new CanceledError(undefined, AxiosError.ERR_CANCELED, config));
+        return;
+    }
+
+    const timer = setTimeout(() => route(config).then(resolve, reject), LATENCY_MS);
+
+    config.signal?.addEventListener?.('abort', () => {
+        clearTimeout(timer);
+        reject(new CanceledError(undefined, AxiosError.ERR_CANCELED, config));
+    });
+});
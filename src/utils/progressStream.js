@@ -0,0 +1,140 @@
+import { isMockApi } from './api';
+import { isCancelled } from './apiError';
+import { endpointUrl, getProgress } from '../services/downloaderApi';
+import { readSettings } from './settings';
+
+let pollInterval = readSettings().progressInterval;
+const MAX_RECONNECTS = 5;
+const BASE_BACKOFF = 500;
+const MAX_BACKOFF = 10000;
+// How long the progress endpoint may keep failing before a download is given up on
+const POLL_FAILURE_BUDGET = 30000;
+
+const backoffDelay = (attempt) => Math.min(BASE_BACKOFF * 2 ** attempt, MAX_BACKOFF);
+
+/**
+ * Polls `GET /progress/:sessionId` every `pollInterval` ms. Used when the browser has no
+ * EventSource or the backend does not serve the progress stream. Failed checks are
+ * retried with exponential backoff for up to `POLL_FAILURE_BUDGET`, which rides out a
+ * backend restart or a dropped connection; only an expired session fails at once.
+ */
+const pollProgress = (sessionId, { onProgress, onError }) => {
+  const controller = new AbortController();
+  let timer = null;
+  let failures = 0;
+  let failingSince = null;
+
+  // Each check is scheduled once the previous one settles, so slow requests never stack up
+  const poll = async () => {
+    try {
+      const data = await getProgress(sessionId, { signal: controller.signal });
+      failures = 0;
+      failingSince = null;
+      onProgress(data);
+    } catch (err) {
+      if (isCancelled(err)) return;
+      failingSince ??= Date.now();
+      // The server no longer knows the session (expired, or lost across a restart); retrying cannot help
+      if (err.code !== 'sessionExpired' && Date.now() - failingSince < POLL_FAILURE_BUDGET) {
+        const delay = Math.max(pollInterval, backoffDelay(failures));
+        failures += 1;
+        console.error(`Progress check failed, retrying in ${delay} ms:`, err.message);
+        timer = setTimeout(poll, delay);
+        return;
+      }
+      onError(err);
+      return;
+    }
+    // `onProgress` unsubscribes once the download is done
+    if (!controller.signal.aborted) timer = setTimeout(poll, pollInterval);
+  };
+
+  timer = setTimeout(poll, pollInterval);
+
+  return () => {
+    clearTimeout(timer);
+    controller.abort();
+  };
+};
+
+/**
+ * Sets how often sessions are polled; applies to subscriptions started afterwards.
+ * @param {{ progressInterval: number }} settings - Milliseconds.
+ */
+export const configureProgress = ({ progressInterval }) => {
+  pollInterval = progressInterval;
+};
+
+/**
+ * Subscribes to progress updates for a download session. Prefers the push-based
+ * `GET /progress/:sessionId/stream` Server-Sent Events channel, reconnecting with
+ * exponential backoff when it drops, and falls back to polling when streaming is
+ * unsupported, never connects, or keeps failing.
+ *
+ * Every update has the same shape as the polling endpoint's response:
+ * `{ progress, error, status, downloaded, total, speed, eta }`.
+ *
+ * @param {string} sessionId - Session returned by `/start-download`.
+ * @param {{ onProgress: (data: object) => void, onError: (err: Error) => void }} handlers
+ * @returns {() => void} Unsubscribe function that closes the stream or stops polling.
+ */
+export const subscribeProgress = (sessionId, handlers) => {
+  // The mock backend lives inside axios, so there is no stream to connect to
+  if (typeof EventSource === 'undefined' || isMockApi) {
+    return pollProgress(sessionId, handlers);
+  }
+
+  let source = null;
+  let reconnectTimer = null;
+  let stopFallback = null;
+  let attempts = 0;
+  let everOpened = false;
+  let closed = false;
+
+  const fallBackToPolling = () => {
+    source?.close();
+    source = null;
+    stopFallback = pollProgress(sessionId, handlers);
+  };
+
+  const connect = () => {
+    source = new EventSource(endpointUrl(`/progress/${sessionId}/stream`));
+
+    source.onopen = () => {
+      everOpened = true;
+      attempts = 0;
+    };
+
+    source.onmessage = (event) => {
+      try {
+        handlers.onProgress(JSON.parse(event.data));
+      } catch {
+        console.error('Malformed progress event');
+      }
+    };
+
+    source.onerror = () => {
+      source.close();
+      source = null;
+      if (closed) return;
+
+      // A stream that never opened means the backend has no streaming endpoint
+      if (!everOpened || attempts >= MAX_RECONNECTS) {
+        fallBackToPolling();
+        return;
+      }
+
+      reconnectTimer = setTimeout(connect, backoffDelay(attempts));
+      attempts += 1;
+    };
+  };
+
+  connect();
+
+  return () => {
+    closed = true;
+    clearTimeout(reconnectTimer);
+    source?.close();
+    stopFallback?.();
+  };
+};
@@ -0,0 +1,92 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { ApiError } from './apiError';
+import { PROGRESS_INTERVALS } from './settings';
+import { configureProgress, subscribeProgress } from './progressStream';
+import { getProgress } from '../services/downloaderApi';
+
+vi.mock('../services/downloaderApi', () => ({
+  endpointUrl: (path) => path,
+  getProgress: vi.fn(),
+}));
+
+const unreachable = () => new ApiError('Could not reach the server', { kind: 'network', code: 'backendUnreachable' });
+
+describe('subscribeProgress polling', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    // The fastest setting leaves the least time between failed checks
+    configureProgress({ progressInterval: Math.min(...PROGRESS_INTERVALS) });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    getProgress.mockReset();
+  });
+
+  it('rides out a backend that is down for several seconds', async () => {
+    const downUntil = Date.now() + 20000;
+    getProgress.mockImplementation(async () => {
+      if (Date.now() < downUntil) throw unreachable();
+      return { progress: 50, error: null };
+    });
+    const onProgress = vi.fn();
+    const onError = vi.fn();
+    const unsubscribe = subscribeProgress('session-1', { onProgress, onError });
+
+    await vi.advanceTimersByTimeAsync(27000);
+    unsubscribe();
+
+    expect(onError).not.toHaveBeenCalled();
+    expect(onProgress).toHaveBeenCalledWith({ progress: 50, error: null });
+  });
+
+  it('backs off between failed checks', async () => {
+    getProgress.mockRejectedValue(unreachable());
+    const unsubscribe = subscribeProgress('session-1', { onProgress: vi.fn(), onError: vi.fn() });
+
+    await vi.advanceTimersByTimeAsync(10000);
+    unsubscribe();
+
+    // Checks at 0.25, 0.75, 1.75, 3.75 and 7.75 s instead of 40 at the fixed interval
+    expect(getProgress).toHaveBeenCalledTimes(5);
+  });
+
+  it('gives up once the endpoint has failed for the whole budget', async () => {
+    const error = unreachable();
+    getProgress.mockRejectedValue(error);
+    const onError = vi.fn();
+    subscribeProgress('session-1', { onProgress: vi.fn(), onError });
+
+    await vi.advanceTimersByTimeAsync(29000);
+    expect(onError).not.toHaveBeenCalled();
+
+    await vi.advanceTimersByTimeAsync(11000);
+    expect(onError).toHaveBeenCalledTimes(1);
+    expect(onError).toHaveBeenCalledWith(error);
+  });
+
+  it('fails at once when the session has expired', async () => {
+    getProgress.mockRejectedValue(new ApiError('Session not found', { kind: 'http', status: 404, code: 'sessionExpired' }));
+    const onError = vi.fn();
+    subscribeProgress('session-1', { onProgress: vi.fn(), onError });
+
+    await vi.advanceTimersByTimeAsync(300);
+
+    expect(onError).toHaveBeenCalledTimes(1);
+    expect(getProgress).toHaveBeenCalledTimes(1);
+  });
+
+  it('stops polling once unsubscribed', async () => {
+    getProgress.mockResolvedValue({ progress: 10, error: null });
+    const unsubscribe = subscribeProgress('session-1', { onProgress: vi.fn(), onError: vi.fn() });
+
+    await vi.advanceTimersByTimeAsync(600);
+    unsubscribe();
+    const calls = getProgress.mock.calls.length;
+    await vi.advanceTimersByTimeAsync(2000);
+
+    expect(calls).toBe(2);
+    expect(getProgress).toHaveBeenCalledTimes(calls);
+  });
+});
@@ -0,0 +1,12 @@
+/**
+ * Registers `public/sw.js`, which caches the app shell for offline starts. Production
+ * builds only: in development the shell is served by Vite and must never come from cache.
+ */
+export const registerServiceWorker = () => {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js')
+      .catch(err => console.error('Service worker registration failed:', err.message));
+  });
+};
@@ -0,0 +1,81 @@
+import { DEFAULT_FILENAME_TEMPLATE } from './filename';
+
+/**
+ * User preferences, persisted as one JSON object under the 'settings' storage key.
+ * Unknown or malformed values fall back to their defaults field by field, so a
+ * settings object saved by an older build still loads.
+ */
+
+const SETTINGS_KEY = 'settings';
+
+export const VIDEO_RESOLUTIONS = ['best', '2160', '1440', '1080', '720', '480', '360'];
+export const VIDEO_CONTAINERS = ['any', 'mp4', 'webm'];
+export const AUDIO_FORMATS = ['mp3', 'm4a', 'opus', 'flac', 'wav'];
+// Extracted without a target bitrate
+export const LOSSLESS_AUDIO_FORMATS = ['flac', 'wav'];
+export const PROGRESS_INTERVALS = [250, 500, 750, 1000, 2000, 5000];
+
+// Seconds; long enough for `/video-info` on large playlists
+export const MIN_REQUEST_TIMEOUT = 10;
+export const MAX_REQUEST_TIMEOUT = 600;
+
+export const DEFAULT_SETTINGS = {
+  filenameTemplate: DEFAULT_FILENAME_TEMPLATE,
+  // Empty means the build-time VITE_API_URL
+  apiUrl: '',
+  videoResolution: 'best',
+  videoContainer: 'any',
+  audioFormat: 'mp3',
+  autoDownload: false,
+  requestTimeout: 120,
+  progressInterval: 750,
+  keyboardShortcuts: true,
+};
+
+/**
+ * @param {string} value
+ * @returns {boolean} Whether `value` is an absolute http(s) URL.
+ */
+export const isValidApiUrl = (value) => {
+  try {
+    return /^https?:$/.test(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+const VALIDATORS = {
+  filenameTemplate: value => typeof value === 'string',
+  apiUrl: value => value === '' || isValidApiUrl(value),
+  videoResolution: value => VIDEO_RESOLUTIONS.includes(value),
+  videoContainer: value => VIDEO_CONTAINERS.includes(value),
+  audioFormat: value => AUDIO_FORMATS.includes(value),
+  autoDownload: value => typeof value === 'boolean',
+  requestTimeout: value => Number.isInteger(value) && value >= MIN_REQUEST_TIMEOUT && value <= MAX_REQUEST_TIMEOUT,
+  progressInterval: value => PROGRESS_INTERVALS.includes(value),
+  keyboardShortcuts: value => typeof value === 'boolean',
+};
+
+/**
+ * @returns {typeof DEFAULT_SETTINGS}
+ */
+export const readSettings = () => {
+  let saved;
+  try {
+    saved = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+  } catch {
+    saved = null;
+  }
+  if (!saved || typeof saved !== 'object') return { ...DEFAULT_SETTINGS };
+
+  return Object.fromEntries(Object.entries(DEFAULT_SETTINGS).map(([key, fallback]) => (
+    [key, VALIDATORS[key](saved[key]) ? saved[key] : fallback]
+  )));
+};
+
+/**
+ * @param {typeof DEFAULT_SETTINGS} settings
+ */
+export const writeSettings = (settings) => {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+};
@@ -0,0 +1,48 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_SETTINGS, isValidApiUrl, readSettings, writeSettings } from './settings';
+
+describe('readSettings', () => {
+  it('returns the defaults when nothing is saved', () => {
+    expect(readSettings()).toEqual(DEFAULT_SETTINGS);
+  });
+
+  it('returns the defaults for malformed storage', () => {
+    localStorage.setItem('settings', '{not json');
+    expect(readSettings()).toEqual(DEFAULT_SETTINGS);
+  });
+
+  it('round-trips saved settings', () => {
+    const settings = { ...DEFAULT_SETTINGS, apiUrl: 'https://dl.example.com/api', videoResolution: '720', autoDownload: true, progressInterval: 2000, keyboardShortcuts: false };
+    writeSettings(settings);
+    expect(readSettings()).toEqual(settings);
+  });
+
+  it('replaces invalid fields with their defaults and keeps the rest', () => {
+    localStorage.setItem('settings', JSON.stringify({
+      filenameTemplate: '{author} - {title}',
+      apiUrl: 'ftp://example.com',
+      videoResolution: '999',
+      videoContainer: 'mkv',
+      audioFormat: 'aac',
+      autoDownload: 'yes',
+      requestTimeout: 5,
+      progressInterval: 123,
+      keyboardShortcuts: 'off',
+      unknown: true,
+    }));
+
+    expect(readSettings()).toEqual({ ...DEFAULT_SETTINGS, filenameTemplate: '{author} - {title}' });
+  });
+});
+
+describe('isValidApiUrl', () => {
+  it.each([
+    ['http://localhost:5000/api', true],
+    ['https://dl.example.com', true],
+    ['dl.example.com', false],
+    ['ftp://dl.example.com', false],
+    ['', false],
+  ])('checks %j', (value, expected) => {
+    expect(isValidApiUrl(value)).toBe(expected);
+  });
+});
@@ -0,0 +1,52 @@
+import { parseSize, parseTimestamp } from './format';
+
+// How far back the average speed looks
+const SPEED_WINDOW_MS = 10000;
+
+const toBytes = (value) => (typeof value === 'number' ? value : parseSize(value));
+
+/**
+ * Turns the progress updates of one download into byte counts, a speed averaged over
+ * the last few seconds and an ETA from that average. yt-dlp's own speed is measured
+ * per fragment and its ETA jumps with it; the average keeps both steady.
+ * @param {{ window?: number }} [options] - Averaging window in milliseconds.
+ * @returns {{ update: (data: object, now?: number) => { downloaded: number | null, total: number | null, speed: number | null, eta: number | null } }}
+ */
+export const createSpeedMeter = ({ window = SPEED_WINDOW_MS } = {}) => {
+  let samples = [];
+
+  const averageSpeed = () => {
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+    const elapsed = (last.time - first.time) / 1000;
+    if (elapsed > 0 && first.downloaded != null && last.downloaded > first.downloaded) {
+      return (last.downloaded - first.downloaded) / elapsed;
+    }
+    // Too few readings to measure; average what the server reported instead
+    const reported = samples.map(sample => sample.speed).filter(speed => speed != null);
+    return reported.length > 0 ? reported.reduce((sum, speed) => sum + speed, 0) / reported.length : null;
+  };
+
+  /**
+   * @param {{ downloaded?: string | number, total?: string | number, speed?: string | number, eta?: string }} data -
+   *   One progress update; sizes may be yt-dlp labels such as '19.3MiB'.
+   * @param {number} [now]
+   */
+  const update = (data, now = Date.now()) => {
+    const downloaded = toBytes(data.downloaded);
+    const total = toBytes(data.total);
+
+    // A merge downloads the video and then the audio stream, so the count starts over
+    if (downloaded != null && samples.some(sample => sample.downloaded > downloaded)) samples = [];
+    samples = [...samples.filter(sample => now - sample.time <= window), { time: now, downloaded, speed: toBytes(data.speed) }];
+
+    const speed = averageSpeed();
+    const eta = total != null && downloaded != null && speed > 0
+      ? Math.max(0, total - downloaded) / speed
+      : parseTimestamp(data.eta ?? '');
+
+    return { downloaded, total, speed, eta };
+  };
+
+  return { update };
+};
@@ -0,0 +1,52 @@
+import { describe, expect, it } from 'vitest';
+import { createSpeedMeter } from './speedMeter';
+
+const MiB = 1024 ** 2;
+
+describe('createSpeedMeter', () => {
+  it('uses the reported speed until there is a second reading', () => {
+    const meter = createSpeedMeter();
+
+    expect(meter.update({ downloaded: '10MiB', total: '30MiB', speed: '2MiB/s', eta: '00:07' }, 0)).toEqual({
+      downloaded: 10 * MiB,
+      total: 30 * MiB,
+      speed: 2 * MiB,
+      eta: 10,
+    });
+  });
+
+  it('averages the transfer over the window instead of following each reading', () => {
+    const meter = createSpeedMeter({ window: 10000 });
+    meter.update({ downloaded: '0MiB', total: '100MiB', speed: '9MiB/s' }, 0);
+    meter.update({ downloaded: '2MiB', total: '100MiB', speed: '1MiB/s' }, 1000);
+    const reading = meter.update({ downloaded: '4MiB', total: '100MiB', speed: '20MiB/s' }, 2000);
+
+    expect(reading.speed).toBe(2 * MiB);
+    expect(reading.eta).toBe(48);
+  });
+
+  it('forgets readings older than the window', () => {
+    const meter = createSpeedMeter({ window: 1000 });
+    meter.update({ downloaded: '0MiB', total: '100MiB' }, 0);
+    meter.update({ downloaded: '1MiB', total: '100MiB' }, 5000);
+
+    expect(meter.update({ downloaded: '5MiB', total: '100MiB' }, 6000).speed).toBe(4 * MiB);
+  });
+
+  it('starts over when a merge moves on to the audio stream', () => {
+    const meter = createSpeedMeter();
+    meter.update({ downloaded: '50MiB', total: '50MiB' }, 0);
+    meter.update({ downloaded: '0MiB', total: '4MiB', speed: '1MiB/s' }, 1000);
+
+    expect(meter.update({ downloaded: '1MiB', total: '4MiB', speed: '1MiB/s' }, 2000)).toMatchObject({ speed: MiB, eta: 3 });
+  });
+
+  it('falls back to the server ETA when sizes are unknown', () => {
+    expect(createSpeedMeter().update({ downloaded: 'N/A', speed: 'N/A', eta: '01:05' }, 0)).toEqual({
+      downloaded: null,
+      total: null,
+      speed: null,
+      eta: 65,
+    });
+  });
+});
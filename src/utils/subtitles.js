@@ -0,0 +1,105 @@
+/**
+ * WebVTT parsing and conversion for caption tracks fetched from `/subtitles`.
+ */
+
+const TIMING = /^((?:\d+:)?\d{1,2}:\d{2}[.,]\d{3})\s+-->\s+((?:\d+:)?\d{1,2}:\d{2}[.,]\d{3})/;
+
+const toSeconds = (stamp) => {
+  const parts = stamp.replace(',', '.').split(':').map(Number);
+  return parts.reduce((total, n) => total * 60 + n, 0);
+};
+
+const pad = (n, width = 2) => String(n).padStart(width, '0');
+
+const formatCueTime = (seconds, separator) => {
+  const ms = Math.round(seconds * 1000);
+  const h = Math.floor(ms / 3600000);
+  const m = Math.floor((ms % 3600000) / 60000);
+  const s = Math.floor((ms % 60000) / 1000);
+  return `${pad(h)}:${pad(m)}:${pad(s)}${separator}${pad(ms % 1000, 3)}`;
+};
+
+// Auto-generated captions carry inline word timings and styling tags
+const stripTags = (text) => text
+  .replace(/<\d{2}:\d{2}:\d{2}\.\d{3}>/g, '')
+  .replace(/<\/?[^>]+>/g, '')
+  .replace(/&amp;/g, '&')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&nbsp;/g, ' ');
+
+/**
+ * @typedef {Object} Cue
+ * @property {number} start - Seconds.
+ * @property {number} end - Seconds.
+ * @property {string} text - Plain text, lines joined with '\n'.
+ */
+
+/**
+ * Parses WebVTT (or SRT, which differs only in the header and decimal comma).
+ * @param {string} source
+ * @returns {Cue[]}
+ */
+export const parseCues = (source) => {
+  const blocks = source.replace(/\r\n?/g, '\n').split(/\n{2,}/);
+  const cues = [];
+
+  blocks.forEach(block => {
+    const lines = block.split('\n');
+    const timingIndex = lines.findIndex(line => TIMING.test(line));
+    if (timingIndex === -1) return;
+
+    const [, start, end] = TIMING.exec(lines[timingIndex]);
+    const text = lines.slice(timingIndex + 1).map(stripTags).map(line => line.trim()).filter(Boolean).join('\n');
+    if (text) cues.push({ start: toSeconds(start), end: toSeconds(end), text });
+  });
+
+  return cues;
+};
+
+/**
+ * Auto-generated tracks repeat each line as it scrolls; drop a cue's leading lines
+ * when they are the tail of the previous cue.
+ * @param {Cue[]} cues
+ * @returns {Cue[]}
+ */
+export const collapseRollingCues = (cues) => cues.reduce((result, cue) => {
+  const previous = result[result.length - 1];
+  if (!previous) return [cue];
+
+  const prevLines = previous.text.split('\n');
+  const lines = cue.text.split('\n');
+  while (lines.length && prevLines.includes(lines[0])) lines.shift();
+
+  if (lines.length) result.push({ ...cue, text: lines.join('\n') });
+  return result;
+}, []);
+
+/**
+ * @param {Cue[]} cues
+ * @returns {string} SubRip text.
+ */
+export const toSrt = (cues) => cues
+  .map((cue, index) => `${index + 1}\n${formatCueTime(cue.start, ',')} --> ${formatCueTime(cue.end, ',')}\n${cue.text}`)
+  .join('\n\n') + '\n';
+
+/**
+ * @param {Cue[]} cues
+ * @returns {string} WebVTT text without styling.
+ */
+export const toVtt = (cues) => `WEBVTT\n\n${cues
+  .map(cue => `${formatCueTime(cue.start, '.')} --> ${formatCueTime(cue.end, '.')}\n${cue.text}`)
+  .join('\n\n')}\n`;
+
+/**
+ * @param {Cue[]} cues
+ * @returns {string} Transcript with one cue per line.
+ */
+export const toPlainText = (cues) => cues.map(cue => cue.text.replace(/\n/g, ' ')).join('\n') + '\n';
+
+// Display names live in the message catalogs under `subtitles.formats.<value>`
+export const SUBTITLE_FORMATS = [
+  { value: 'srt', type: 'application/x-subrip', convert: toSrt },
+  { value: 'vtt', type: 'text/vtt', convert: toVtt },
+  { value: 'txt', type: 'text/plain', convert: toPlainText },
+];
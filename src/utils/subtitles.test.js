@@ -0,0 +1,56 @@
+import { describe, expect, it } from 'vitest';
+import { collapseRollingCues, parseCues, toPlainText, toSrt, toVtt } from './subtitles';
+
+const CUES = [
+  { start: 1.5, end: 4, text: 'Hello there' },
+  { start: 3661.25, end: 3662, text: 'Two\nlines' },
+];
+
+describe('parseCues', () => {
+  it('reads WebVTT cues and ignores the header and notes', () => {
+    const vtt = 'WEBVTT\nKind: captions\n\nNOTE written by hand\n\nintro\n00:01.500 --> 00:04.000 align:start\nHello <b>there</b>\n\n01:01:01.250 --> 01:01:02.000\nTwo\nlines\n';
+    expect(parseCues(vtt)).toEqual(CUES);
+  });
+
+  it('reads SRT with decimal commas and CRLF line endings', () => {
+    const srt = '1\r\n00:00:01,500 --> 00:00:04,000\r\nHello there\r\n\r\n2\r\n01:01:01,250 --> 01:01:02,000\r\nTwo\r\nlines\r\n';
+    expect(parseCues(srt)).toEqual(CUES);
+  });
+
+  it('strips word timings and entities from auto-generated captions and drops empty cues', () => {
+    const vtt = 'WEBVTT\n\n00:00:00.000 --> 00:00:02.000\nfish<00:00:00.500><c> &amp; chips</c>\n\n00:00:02.000 --> 00:00:03.000\n<c> </c>\n';
+    expect(parseCues(vtt)).toEqual([{ start: 0, end: 2, text: 'fish & chips' }]);
+  });
+});
+
+describe('collapseRollingCues', () => {
+  it('drops lines repeated from the previous cue', () => {
+    const rolling = [
+      { start: 0, end: 2, text: 'first line' },
+      { start: 2, end: 4, text: 'first line\nsecond line' },
+      { start: 4, end: 6, text: 'second line' },
+      { start: 6, end: 8, text: 'second line\nthird line' },
+    ];
+    expect(collapseRollingCues(rolling)).toEqual([
+      { start: 0, end: 2, text: 'first line' },
+      { start: 2, end: 4, text: 'second line' },
+      { start: 6, end: 8, text: 'third line' },
+    ]);
+  });
+});
+
+describe('converters', () => {
+  it('writes SubRip with numbered cues and comma decimals', () => {
+    expect(toSrt(CUES)).toBe('1\n00:00:01,500 --> 00:00:04,000\nHello there\n\n2\n01:01:01,250 --> 01:01:02,000\nTwo\nlines\n');
+  });
+
+  it('writes WebVTT that parses back to the same cues', () => {
+    const vtt = toVtt(CUES);
+    expect(vtt.startsWith('WEBVTT\n\n00:00:01.500 --> 00:00:04.000\n')).toBe(true);
+    expect(parseCues(vtt)).toEqual(CUES);
+  });
+
+  it('writes a transcript with one cue per line', () => {
+    expect(toPlainText(CUES)).toBe('Hello there\nTwo lines\n');
+  });
+});
@@ -0,0 +1,184 @@
+/**
+ * Client-side parsing and validation for every YouTube URL shape the backend
+ * accepts. Pure functions only, so the module can be unit tested without a DOM.
+ */
+
+const VIDEO_ID = /^[A-Za-z0-9_-]{11}$/;
+const PLAYLIST_ID = /^[A-Za-z0-9_-]{2,}$/;
+const CHANNEL_ID = /^UC[A-Za-z0-9_-]{22}$/;
+const HANDLE = /^@[A-Za-z0-9._-]{3,30}$/;
+
+const YOUTUBE_HOSTS = ['youtube.com', 'www.youtube.com', 'm.youtube.com', 'music.youtube.com', 'youtube-nocookie.com', 'www.youtube-nocookie.com'];
+const SHORT_HOSTS = ['youtu.be', 'www.youtu.be'];
+
+// Path prefixes whose next segment is a video id
+const VIDEO_PATHS = ['shorts', 'embed', 'live', 'v', 'e'];
+// Legacy channel URL forms: /channel/UC..., /c/name, /user/name
+const CHANNEL_PATHS = ['channel', 'c', 'user'];
+
+/**
+ * @typedef {Object} ParsedYouTubeUrl
+ * @property {boolean} valid
+ * @property {string} [code] - Machine-readable rejection reason, for translated messages (only when `valid` is false).
+ * @property {string} [error] - Why the input was rejected, in English (only when `valid` is false).
+ * @property {'video' | 'short' | 'live' | 'playlist' | 'channel'} [type]
+ * @property {string | null} [videoId]
+ * @property {string | null} [playlistId]
+ * @property {string | null} [channel] - '@handle', a 'UC...' id, or 'c/name' / 'user/name'.
+ * @property {number | null} [startTime] - Seconds from `t=` (or `start=` on embeds).
+ * @property {boolean} [music] - Link points at music.youtube.com.
+ * @property {string} [cleanUrl] - Canonical URL without tracking parameters.
+ * @property {boolean} [trackingRemoved] - Whether anything besides the canonical parameters was dropped.
+ */
+
+/**
+ * Parses a `t=` value: '90', '90s', '1m30s', '1h2m3s' or '01:30'.
+ * @param {string | null} value
+ * @returns {number | null}
+ */
+export const parseStartTime = (value) => {
+  if (!value) return null;
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+
+  const units = /^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/.exec(value);
+  if (units && units[0]) {
+    const [, h = 0, m = 0, s = 0] = units;
+    return Number(h) * 3600 + Number(m) * 60 + Number(s);
+  }
+
+  if (/^\d+(:\d{1,2}){1,2}$/.test(value)) {
+    return value.split(':').map(Number).reduce((total, n) => total * 60 + n, 0);
+  }
+  return null;
+};
+
+const toUrl = (input) => {
+  const text = input.trim();
+  // Accept pasted links without a scheme, e.g. 'youtu.be/abc' or 'www.youtube.com/watch?v=...'
+  const withScheme = /^[a-z][a-z0-9+.-]*:\/\//i.test(text) ? text : `https://${text}`;
+  try {
+    const url = new URL(withScheme);
+    return url.hostname.includes('.') ? url : null;
+  } catch {
+    return null;
+  }
+};
+
+const invalid = (code, error) => ({ valid: false, code, error });
+
+const buildCleanUrl = ({ type, videoId, playlistId, channel, startTime, music }) => {
+  const host = music ? 'https://music.youtube.com' : 'https://www.youtube.com';
+
+  if (type === 'channel') {
+    return `${host}/${channel.startsWith('@') ? channel : channel.startsWith('UC') ? `channel/${channel}` : channel}`;
+  }
+  if (type === 'playlist') {
+    return `${host}/playlist?list=${playlistId}`;
+  }
+
+  const params = new URLSearchParams({ v: videoId });
+  if (playlistId) params.set('list', playlistId);
+  if (startTime) params.set('t', `${startTime}s`);
+  return `${host}/watch?${params.toString()}`;
+};
+
+// Parameters that survive into the canonical URL; everything else (si, feature, pp, utm_*...) is tracking
+const CANONICAL_PARAMS = ['v', 'list', 't', 'start'];
+
+/**
+ * Parses and validates a YouTube URL.
+ * @param {string} input - Raw text from the URL field.
+ * @returns {ParsedYouTubeUrl}
+ */
+export const parseYouTubeUrl = (input) => {
+  if (!input || !input.trim()) return invalid('empty', 'Please enter a YouTube URL');
+
+  const url = toUrl(input);
+  if (!url || !/^https?:$/.test(url.protocol)) return invalid('notUrl', 'That does not look like a valid URL');
+
+  const host = url.hostname.toLowerCase();
+  const isShortHost = SHORT_HOSTS.includes(host);
+  if (!isShortHost && !YOUTUBE_HOSTS.includes(host)) return invalid('notYouTube', 'Only YouTube links are supported');
+
+  const segments = url.pathname.split('/').filter(Boolean);
+  const params = url.searchParams;
+  const playlistId = params.get('list');
+  const startTime = parseStartTime(params.get('t') || params.get('start'));
+  const music = host === 'music.youtube.com';
+
+  let result = null;
+
+  if (isShortHost) {
+    result = { type: 'video', videoId: segments[0] || '' };
+  } else if (segments[0] === 'watch') {
+    result = { type: 'video', videoId: params.get('v') || '' };
+  } else if (VIDEO_PATHS.includes(segments[0])) {
+    const type = segments[0] === 'shorts' ? 'short' : segments[0] === 'live' ? 'live' : 'video';
+    result = { type, videoId: segments[1] || '' };
+  } else if (segments[0] === 'playlist') {
+    if (!playlistId || !PLAYLIST_ID.test(playlistId)) return invalid('missingList', 'This playlist link is missing its list ID');
+    result = { type: 'playlist', videoId: null };
+  } else if (segments[0]?.startsWith('@')) {
+    if (!HANDLE.test(segments[0])) return invalid('badHandle', 'This channel handle does not look right');
+    result = { type: 'channel', videoId: null, channel: segments[0] };
+  } else if (CHANNEL_PATHS.includes(segments[0]) && segments[1]) {
+    if (segments[0] === 'channel' && !CHANNEL_ID.test(segments[1])) return invalid('badChannelId', 'This channel ID does not look right');
+    result = { type: 'channel', videoId: null, channel: segments[0] === 'channel' ? segments[1] : `${segments[0]}/${segments[1]}` };
+  }
+
+  if (!result) return invalid('unsupportedPath', 'This YouTube link does not point to a video, playlist or channel');
+
+  if (result.videoId !== null && !VIDEO_ID.test(result.videoId)) {
+    return result.videoId
+      ? invalid('shortVideoId', 'The video ID in this link looks incomplete')
+      : invalid('missingVideoId', 'This link is missing the video ID');
+  }
+  if (playlistId && !PLAYLIST_ID.test(playlistId)) return invalid('badListId', 'The playlist ID in this link looks malformed');
+
+  const parsed = {
+    valid: true,
+    type: result.type,
+    videoId: result.videoId,
+    playlistId: result.type === 'channel' ? null : playlistId,
+    channel: result.channel || null,
+    startTime: result.videoId ? startTime : null,
+    music,
+  };
+
+  const hasTracking = [...params.keys()].some(key => !CANONICAL_PARAMS.includes(key)) || Boolean(url.hash);
+
+  return {
+    ...parsed,
+    cleanUrl: buildCleanUrl(parsed),
+    trackingRemoved: hasTracking,
+  };
+};
+
+/**
+ * Finds the first YouTube link in free text, such as "Check this out https://youtu.be/..."
+ * from a share sheet, which puts the link in `text` as often as in `url`.
+ * @param {string | null} text
+ * @returns {string | null} The link as written, or null when the text has none.
+ */
+export const findYouTubeUrl = (text) => {
+  if (!text) return null;
+  const candidates = text.match(/https?:\/\/\S+/gi) || [text];
+  return candidates
+    .map(candidate => candidate.trim().replace(/[)\].,;!?'"]+$/, ''))
+    .find(candidate => parseYouTubeUrl(candidate).valid) || null;
+};
+
+/**
+ * Points a video link at a position, replacing any existing `t=`, so description
+ * timestamps and chapters open the video where they refer to.
+ * @param {string} videoUrl
+ * @param {number} seconds
+ * @returns {string} The link with `t=<seconds>s`, or `videoUrl` unchanged when it is not a URL.
+ */
+export const withStartTime = (videoUrl, seconds) => {
+  const url = toUrl(videoUrl);
+  if (!url) return videoUrl;
+  url.searchParams.delete('start');
+  url.searchParams.set('t', `${Math.max(0, Math.floor(seconds))}s`);
+  return url.toString();
+};
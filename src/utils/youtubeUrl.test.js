@@ -0,0 +1,124 @@
+import { describe, expect, it } from 'vitest';
+import { findYouTubeUrl, parseStartTime, parseYouTubeUrl, withStartTime } from './youtubeUrl';
+
+const ID = 'dQw4w9WgXcQ';
+
+describe('parseYouTubeUrl', () => {
+  it.each([
+    ['https://www.youtube.com/watch?v=dQw4w9WgXcQ', 'video'],
+    ['https://youtube.com/watch?v=dQw4w9WgXcQ', 'video'],
+    ['https://m.youtube.com/watch?v=dQw4w9WgXcQ', 'video'],
+    ['https://youtu.be/dQw4w9WgXcQ', 'video'],
+    ['https://www.youtube.com/shorts/dQw4w9WgXcQ', 'short'],
+    ['https://www.youtube.com/embed/dQw4w9WgXcQ', 'video'],
+    ['https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ', 'video'],
+    ['https://www.youtube.com/live/dQw4w9WgXcQ', 'live'],
+    ['www.youtube.com/watch?v=dQw4w9WgXcQ', 'video'],
+    ['youtu.be/dQw4w9WgXcQ', 'video'],
+  ])('extracts the video id from %s', (input, type) => {
+    const parsed = parseYouTubeUrl(input);
+    expect(parsed.valid).toBe(true);
+    expect(parsed.type).toBe(type);
+    expect(parsed.videoId).toBe(ID);
+    expect(parsed.cleanUrl).toBe(`https://www.youtube.com/watch?v=${ID}`);
+  });
+
+  it('keeps music.youtube.com links on the music host', () => {
+    const parsed = parseYouTubeUrl(`https://music.youtube.com/watch?v=${ID}&feature=share`);
+    expect(parsed.music).toBe(true);
+    expect(parsed.cleanUrl).toBe(`https://music.youtube.com/watch?v=${ID}`);
+  });
+
+  it('extracts the playlist id alongside a video', () => {
+    const parsed = parseYouTubeUrl(`https://www.youtube.com/watch?v=${ID}&list=PLrAXtmErZgOeiKm4sgNOknGvNjby9efdf&index=3`);
+    expect(parsed.playlistId).toBe('PLrAXtmErZgOeiKm4sgNOknGvNjby9efdf');
+    expect(parsed.cleanUrl).toBe(`https://www.youtube.com/watch?v=${ID}&list=PLrAXtmErZgOeiKm4sgNOknGvNjby9efdf`);
+  });
+
+  it('recognises playlist pages', () => {
+    const parsed = parseYouTubeUrl('https://www.youtube.com/playlist?list=PLrAXtmErZgOeiKm4sgNOknGvNjby9efdf&si=abc');
+    expect(parsed).toMatchObject({ valid: true, type: 'playlist', videoId: null, playlistId: 'PLrAXtmErZgOeiKm4sgNOknGvNjby9efdf' });
+    expect(parsed.cleanUrl).toBe('https://www.youtube.com/playlist?list=PLrAXtmErZgOeiKm4sgNOknGvNjby9efdf');
+  });
+
+  it.each([
+    ['https://www.youtube.com/@SomeChannel/videos', '@SomeChannel', 'https://www.youtube.com/@SomeChannel'],
+    ['https://www.youtube.com/channel/UC38IQsAvIsxxjztdMZQtwHA', 'UC38IQsAvIsxxjztdMZQtwHA', 'https://www.youtube.com/channel/UC38IQsAvIsxxjztdMZQtwHA'],
+    ['https://www.youtube.com/c/SomeChannel', 'c/SomeChannel', 'https://www.youtube.com/c/SomeChannel'],
+    ['https://www.youtube.com/user/someone', 'user/someone', 'https://www.youtube.com/user/someone'],
+  ])('recognises channel URL %s', (input, channel, cleanUrl) => {
+    const parsed = parseYouTubeUrl(input);
+    expect(parsed).toMatchObject({ valid: true, type: 'channel', channel, cleanUrl });
+  });
+
+  it('reads the t= start time in any of its forms', () => {
+    expect(parseYouTubeUrl(`https://youtu.be/${ID}?t=90`).startTime).toBe(90);
+    expect(parseYouTubeUrl(`https://www.youtube.com/watch?v=${ID}&t=1m30s`).startTime).toBe(90);
+    expect(parseYouTubeUrl(`https://www.youtube.com/embed/${ID}?start=42`).startTime).toBe(42);
+    expect(parseYouTubeUrl(`https://youtu.be/${ID}?t=90`).cleanUrl).toBe(`https://www.youtube.com/watch?v=${ID}&t=90s`);
+  });
+
+  it('strips tracking parameters and fragments', () => {
+    const parsed = parseYouTubeUrl(`https://youtu.be/${ID}?si=Xk2pQ9&feature=shared&utm_source=twitter#comments`);
+    expect(parsed.trackingRemoved).toBe(true);
+    expect(parsed.cleanUrl).toBe(`https://www.youtube.com/watch?v=${ID}`);
+    expect(parseYouTubeUrl(`https://www.youtube.com/watch?v=${ID}`).trackingRemoved).toBe(false);
+  });
+
+  it.each([
+    ['', 'empty', 'Please enter a YouTube URL'],
+    ['   ', 'empty', 'Please enter a YouTube URL'],
+    ['not a url', 'notUrl', 'That does not look like a valid URL'],
+    ['ftp://youtube.com/watch?v=dQw4w9WgXcQ', 'notUrl', 'That does not look like a valid URL'],
+    ['https://vimeo.com/12345', 'notYouTube', 'Only YouTube links are supported'],
+    ['https://www.youtube.com/feed/trending', 'unsupportedPath', 'This YouTube link does not point to a video, playlist or channel'],
+    ['https://www.youtube.com/watch?v=dQw4w9', 'shortVideoId', 'The video ID in this link looks incomplete'],
+    ['https://www.youtube.com/watch?list=', 'missingVideoId', 'This link is missing the video ID'],
+    ['https://youtu.be/', 'missingVideoId', 'This link is missing the video ID'],
+    ['https://www.youtube.com/playlist', 'missingList', 'This playlist link is missing its list ID'],
+    ['https://www.youtube.com/channel/nope', 'badChannelId', 'This channel ID does not look right'],
+  ])('rejects %j', (input, code, error) => {
+    expect(parseYouTubeUrl(input)).toEqual({ valid: false, code, error });
+  });
+});
+
+describe('parseStartTime', () => {
+  it.each([
+    [null, null],
+    ['', null],
+    ['75', 75],
+    ['75s', 75],
+    ['2m', 120],
+    ['1h2m3s', 3723],
+    ['01:30', 90],
+    ['1:00:05', 3605],
+    ['abc', null],
+  ])('parses %j as %j', (value, expected) => {
+    expect(parseStartTime(value)).toBe(expected);
+  });
+});
+
+describe('findYouTubeUrl', () => {
+  it.each([
+    ['https://youtu.be/dQw4w9WgXcQ', 'https://youtu.be/dQw4w9WgXcQ'],
+    ['Watch this! https://youtu.be/dQw4w9WgXcQ?si=abc', 'https://youtu.be/dQw4w9WgXcQ?si=abc'],
+    ['Great talk (https://www.youtube.com/watch?v=dQw4w9WgXcQ).', 'https://www.youtube.com/watch?v=dQw4w9WgXcQ'],
+    ['https://example.com and https://youtu.be/dQw4w9WgXcQ', 'https://youtu.be/dQw4w9WgXcQ'],
+    ['youtube.com/watch?v=dQw4w9WgXcQ', 'youtube.com/watch?v=dQw4w9WgXcQ'],
+    ['No links here', null],
+    ['https://vimeo.com/12345', null],
+    [null, null],
+  ])('finds the link in %j', (text, expected) => {
+    expect(findYouTubeUrl(text)).toBe(expected);
+  });
+});
+
+describe('withStartTime', () => {
+  it.each([
+    ['https://www.youtube.com/watch?v=dQw4w9WgXcQ', 65, 'https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=65s'],
+    ['https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=10', 90.7, 'https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=90s'],
+    ['https://youtu.be/dQw4w9WgXcQ', 0, 'https://youtu.be/dQw4w9WgXcQ?t=0s'],
+  ])('points %j at %j seconds', (url, seconds, expected) => {
+    expect(withStartTime(url, seconds)).toBe(expected);
+  });
+});
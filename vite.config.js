@@ -5,4 +5,10 @@ import tailwindcss from '@tailwindcss/vite'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react(), tailwindcss()],
+  test: {
+    environment: 'jsdom',
+    setupFiles: ['./src/test/setup.js'],
+    // Keep the mock backend off so requests reach the MSW handlers
+    env: { VITE_API_MOCK: 'false', VITE_API_URL: 'http://localhost:5000/api' },
+  },
 })